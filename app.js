@@ -6,16 +6,28 @@ const { errorConverter, errorHandler } = require("./src/middlwares/errors");
 const bodyParser = require("body-parser");
 const { createApiError } = require("./src/utils/apiError");
 const { authLimiter } = require("./src/middlwares/rateLimiter");
+const { requestId } = require("./src/middlwares/requestId");
 const { trackMetrics } = require("./src/utils/metrics");
+const metricsController = require("./src/controller/metrics.controller");
+const healthController = require("./src/controller/health.controller");
 const routes = require('./src/routers/v1')
 
 const app = express();
 
+// Request id first, so everything after it (logs included) can see it
+app.use(requestId());
+
 // Metrics tracking middleware (before everything else to capture all requests)
 app.use(trackMetrics);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(bodyParser.json());
@@ -37,17 +49,24 @@ app.get("/", (req, res) => {
   });
 });
 
+// Liveness: the process answers. Readiness: it can take buyers.
+app.get("/health/live", healthController.getLiveness);
+app.get("/health/ready", healthController.getReadiness);
+
+// Prometheus scrape endpoint
+app.get("/metrics", metricsController.getMetrics);
+
 // Handle favicon requests to prevent 404 errors
 app.get("/favicon.ico", (req, res) => {
   res.status(204).end();
 });
 
+// Rate limiting for authentication
+app.use("/api/v1/auth", authLimiter);
+
 // API routes
 app.use("/api/v1", routes);
 
-// Rate limiting for authentication (if needed)
-app.use("/api/v1/auth", authLimiter);
-
 // Error handling middleware
 app.use((req, res, next) => {
   next(createApiError(httpStatus.NOT_FOUND, "Route not found"));
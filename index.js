@@ -1,17 +1,51 @@
 const app = require("./app");
 const config = require("./src/config/config");
 const logger = require("./src/config/logger");
+const HoldService = require("./src/services/hold.service");
+const EventService = require("./src/services/event.service");
+const SeatCacheService = require("./src/services/seatCache.service");
+const PurchaseOutboxService = require("./src/services/purchaseOutbox.service");
+const PaymentService = require("./src/services/payment.service");
+const WaitlistService = require("./src/services/waitlist.service");
+const WaitingRoomService = require("./src/services/waitingRoom.service");
+const AvailabilityStreamService = require("./src/services/availabilityStream.service");
+const HealthService = require("./src/services/health.service");
+const ShutdownService = require("./src/services/shutdown.service");
+const { getCoordinator } = require("./src/services/coordination");
 
 let server;
 
 // Start the server
 async function startServer() {
   try {
+    // Fails fast on an unknown COORDINATION_BACKEND
+    const coordinator = getCoordinator();
+
+    // Purchases accepted before a crash must be in the database before
+    // the seat cache is built from it
+    await PurchaseOutboxService.replay();
+    await SeatCacheService.initializeSeatCache();
+    PurchaseOutboxService.start();
+
+    // A signal during startup has already begun the drain
+    if (ShutdownService.isShuttingDown()) {
+      return;
+    }
+
     server = app.listen(config.port, () => {
       logger.info(`Ticket Reservation API running on port ${config.port}`);
       logger.info(`Environment: ${config.env}`);
-      logger.info(`Health check: http://localhost:${config.port}/`);
+      logger.info(`Coordination backend: ${coordinator.name}`);
+      logger.info(`Readiness check: http://localhost:${config.port}/health/ready`);
     });
+
+    EventService.start();
+    HoldService.startExpirySweeper();
+    PaymentService.startPendingSweeper();
+    WaitlistService.start();
+    WaitingRoomService.start();
+    AvailabilityStreamService.start();
+    HealthService.start();
   } catch (error) {
     logger.error('Error starting server:', error);
     process.exit(1);
@@ -20,28 +54,14 @@ async function startServer() {
 
 startServer();
 
-const exitHandler = () => {
-  if (server) {
-    server.close(() => {
-      logger.info("Server closed");
-      process.exit(1);
-    });
-  } else {
-    process.exit(1);
-  }
-};
-
+// Accepted purchases are still drained to the database on a crash
 const unexpectedErrorHandler = (error) => {
   logger.error(error);
-  exitHandler();
+  ShutdownService.shutdown({ signal: "unexpectedError", server, exitCode: 1 });
 };
 
 process.on("uncaughtException", unexpectedErrorHandler);
 process.on("unhandledRejection", unexpectedErrorHandler);
 
-process.on("SIGTERM", () => {
-  logger.info("SIGTERM received");
-  if (server) {
-    server.close();
-  }
-});
+process.on("SIGTERM", () => ShutdownService.shutdown({ signal: "SIGTERM", server }));
+process.on("SIGINT", () => ShutdownService.shutdown({ signal: "SIGINT", server }));
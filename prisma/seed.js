@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
 
 const prisma = new PrismaClient();
 
@@ -11,6 +12,9 @@ async function main() {
       name: 'Summer Music Festival 2024',
       totalSeats: 5000,
       seatsSold: 0,
+      status: 'ON_SALE',
+      venue: 'Riverside Park',
+      timezone: 'Europe/London',
     },
   });
 
@@ -19,6 +23,9 @@ async function main() {
       name: 'Tech Conference 2024',
       totalSeats: 3000,
       seatsSold: 150,
+      status: 'ON_SALE',
+      venue: 'Convention Centre',
+      timezone: 'America/New_York',
     },
   });
 
@@ -27,6 +34,7 @@ async function main() {
       name: 'Comedy Night Special',
       totalSeats: 1500,
       seatsSold: 45,
+      status: 'ON_SALE',
     },
   });
 
@@ -36,6 +44,17 @@ async function main() {
     event3: event3.name,
   });
 
+  const admin = await prisma.user.create({
+    data: {
+      email: (process.env.SEED_ADMIN_EMAIL || 'admin@example.com').toLowerCase(),
+      name: 'Admin',
+      passwordHash: await bcrypt.hash(process.env.SEED_ADMIN_PASSWORD || 'change-me-please', 10),
+      role: 'admin',
+    },
+  });
+
+  console.log('✅ Created admin user:', admin.email);
+
   console.log('🎉 Seeding completed!');
 }
 
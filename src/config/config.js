@@ -11,8 +11,82 @@ module.exports = {
   },
   jwt: {
     secret: process.env.JWT_SECRET || 'your-super-secret-jwt-key',
-    accessExpirationMinutes: process.env.JWT_ACCESS_EXPIRATION_MINUTES || 30,
-    refreshExpirationDays: process.env.JWT_REFRESH_EXPIRATION_DAYS || 30,
+    accessExpirationMinutes: parseInt(process.env.JWT_ACCESS_EXPIRATION_MINUTES, 10) || 30,
+    refreshExpirationDays: parseInt(process.env.JWT_REFRESH_EXPIRATION_DAYS, 10) || 30,
+  },
+  tickets: {
+    codeSecret: process.env.TICKET_CODE_SECRET || 'your-ticket-code-secret', // signs ticket codes; changing it invalidates issued tickets
+    manifestSecret: process.env.TICKET_MANIFEST_SECRET || 'your-ticket-manifest-secret', // shared with door scanners to verify offline manifests
+  },
+  transfers: {
+    ttlHours: parseInt(process.env.TRANSFER_TTL_HOURS, 10) || 72, // how long a recipient has to accept
+  },
+  holds: {
+    ttlSeconds: parseInt(process.env.HOLD_TTL_SECONDS, 10) || 600, // 10 minutes
+    sweepIntervalMs: parseInt(process.env.HOLD_SWEEP_INTERVAL_MS, 10) || 15 * 1000,
+  },
+  waitlist: {
+    offerTtlSeconds: parseInt(process.env.WAITLIST_OFFER_TTL_SECONDS, 10) || 300, // how long an offer holds seats before passing on
+    sweepIntervalMs: parseInt(process.env.WAITLIST_SWEEP_INTERVAL_MS, 10) || 15 * 1000,
+  },
+  queue: {
+    admissionRatePerSecond: parseInt(process.env.QUEUE_ADMISSION_RATE, 10) || 0, // 0 = no waiting room unless the event sets a rate
+    admissionTtlSeconds: parseInt(process.env.QUEUE_ADMISSION_TTL_SECONDS, 10) || 120, // how long an admitted buyer may purchase
+    tokenTtlSeconds: parseInt(process.env.QUEUE_TOKEN_TTL_SECONDS, 10) || 60 * 60,
+    tickMs: parseInt(process.env.QUEUE_TICK_MS, 10) || 1000,
+    joinsPerMinute: parseInt(process.env.QUEUE_JOINS_PER_MINUTE, 10) || 10, // per client IP
+  },
+  stream: {
+    coalesceMs: parseInt(process.env.STREAM_COALESCE_MS, 10) || 250, // at most one availability message per event per interval
+    heartbeatMs: parseInt(process.env.STREAM_HEARTBEAT_MS, 10) || 15 * 1000,
+    retryMs: parseInt(process.env.STREAM_RETRY_MS, 10) || 3000, // client reconnect delay
+  },
+  purchaseLimits: {
+    perBuyerPerEvent: parseInt(process.env.MAX_TICKETS_PER_BUYER, 10) || 0, // 0 = no limit unless the event sets one
+  },
+  cancellation: {
+    cutoffHours: parseInt(process.env.CANCELLATION_CUTOFF_HOURS, 10) || 24, // no cancellations this close to the event start
+  },
+  outbox: {
+    path: process.env.OUTBOX_PATH || path.join(__dirname, "../../data/purchase-outbox.log"),
+    fsync: process.env.OUTBOX_FSYNC !== 'false',
+    flushIntervalMs: parseInt(process.env.OUTBOX_FLUSH_INTERVAL_MS, 10) || 50,
+    batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE, 10) || 100,
+    alertAfterAttempts: parseInt(process.env.OUTBOX_ALERT_AFTER_ATTEMPTS, 10) || 10, // failed writes before a purchase is reported stuck
+    replayMaxAttempts: parseInt(process.env.OUTBOX_REPLAY_MAX_ATTEMPTS, 10) || 10, // failed writes at startup before a record is dead-lettered so the server can start
+    deadLetterPath: process.env.OUTBOX_DEAD_LETTER_PATH || path.join(__dirname, "../../data/purchase-outbox.dead.log"),
+    compactAfter: parseInt(process.env.OUTBOX_COMPACT_AFTER, 10) || 1000, // acked records before the drained log is truncated
+  },
+  payments: {
+    gateway: process.env.PAYMENT_GATEWAY || 'fake',
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'your-payment-webhook-secret',
+    pendingTimeoutSeconds: parseInt(process.env.PAYMENT_PENDING_TIMEOUT_SECONDS, 10) || 900, // seats are released if no webhook arrives
+    sweepIntervalMs: parseInt(process.env.PAYMENT_SWEEP_INTERVAL_MS, 10) || 30 * 1000,
+    fake: {
+      autoWebhooks: process.env.FAKE_PAYMENT_AUTO_WEBHOOKS !== 'false',
+      webhookDelayMs: parseInt(process.env.FAKE_PAYMENT_WEBHOOK_DELAY_MS, 10) || 1000,
+      webhookUrl: process.env.FAKE_PAYMENT_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/v1/payments/webhook`,
+    },
+  },
+  logging: {
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'json', // json (one object per line) or pretty for local development
+    slowQueryMs: parseInt(process.env.LOG_SLOW_QUERY_MS, 10) || 500, // database calls slower than this are logged
+  },
+  health: {
+    maxEventLoopLagMs: parseInt(process.env.HEALTH_MAX_EVENT_LOOP_LAG_MS, 10) || 500, // not ready above this p99 lag
+    maxOutboxBacklog: parseInt(process.env.HEALTH_MAX_OUTBOX_BACKLOG, 10) || 5000, // not ready while more purchases than this await the database
+    dbTimeoutMs: parseInt(process.env.HEALTH_DB_TIMEOUT_MS, 10) || 1000,
+  },
+  coordination: {
+    backend: process.env.COORDINATION_BACKEND || 'memory', // memory (one instance) or database (several instances sharing one database)
+  },
+  shutdown: {
+    timeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 8000, // drain budget; keep below the orchestrator's kill timeout (10s for docker stop)
+    retryAfterSeconds: parseInt(process.env.SHUTDOWN_RETRY_AFTER_SECONDS, 10) || 5, // Retry-After sent with purchases refused while draining
+  },
+  metrics: {
+    token: process.env.METRICS_TOKEN || '', // when set, /metrics requires Authorization: Bearer <token>
   },
   rateLimit: {
     windowMs: process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000, // 15 minutes
@@ -1,8 +1,42 @@
 const { PrismaClient } = require('@prisma/client');
+const config = require('./config');
 const logger = require('./logger');
 
 let prisma;
 
+/**
+ * Log failed and slow database calls. Queries run in the caller's async
+ * context, so these lines carry the id of the request that made them.
+ * @param {Object} client - Prisma client
+ * @returns {Object} Extended client
+ */
+const withQueryLogging = (client) => client.$extends({
+  query: {
+    async $allOperations({ model, operation, args, query }) {
+      const startTime = Date.now();
+      try {
+        const result = await query(args);
+        const durationMs = Date.now() - startTime;
+        if (durationMs >= config.logging.slowQueryMs) {
+          logger.warn('[DB_SLOW_QUERY]', { model, operation, durationMs });
+        }
+        return result;
+      } catch (error) {
+        // Coded errors such as unique violations are often expected and
+        // handled by the caller
+        logger.log(error.code ? 'warn' : 'error', '[DB_QUERY_ERROR]', {
+          model,
+          operation,
+          durationMs: Date.now() - startTime,
+          code: error.code,
+          error: error.message
+        });
+        throw error;
+      }
+    }
+  }
+});
+
 if (process.env.NODE_ENV === 'production') {
   prisma = new PrismaClient({
     datasources: {
@@ -37,6 +71,8 @@ if (process.env.NODE_ENV === 'production') {
   prisma = global.__prisma;
 }
 
+prisma = withQueryLogging(prisma);
+
 // Enable WAL mode for SQLite to improve concurrency
 if (process.env.DATABASE_URL?.includes('file:') || !process.env.DATABASE_URL) {
   prisma.$executeRaw`PRAGMA journal_mode = WAL;`.catch(err => {
@@ -56,21 +92,6 @@ if (process.env.DATABASE_URL?.includes('file:') || !process.env.DATABASE_URL) {
   });
 }
 
-if (!global.__prismaShutdownRegistered) {
-  global.__prismaShutdownRegistered = true;
-  
-  const gracefulShutdown = async () => {
-    try {
-      await prisma.$disconnect();
-      logger.info('Prisma client disconnected gracefully');
-    } catch (error) {
-      logger.error('Error disconnecting Prisma client:', error);
-    }
-  };
-
-  process.on('SIGTERM', gracefulShutdown);
-  process.on('SIGINT', gracefulShutdown);
-  process.on('beforeExit', gracefulShutdown);
-}
+// Disconnecting is left to ShutdownService, after pending writes drain
 
 module.exports = prisma; 
\ No newline at end of file
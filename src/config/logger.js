@@ -1,24 +1,44 @@
 const winston = require("winston");
+const config = require("./config");
+const { getRequestId } = require("../utils/requestContext");
 
-const enumerateErrorFormat = winston.format((info) => {
-  if (info instanceof Error) {
-    Object.assign(info, { message: info.stack });
+// Tags every line with the request it was logged for. A requestId passed
+// explicitly wins, e.g. for background work done on a request's behalf.
+const requestIdFormat = winston.format((info) => {
+  if (info.requestId === undefined) {
+    const requestId = getRequestId();
+    if (requestId) {
+      info.requestId = requestId;
+    }
   }
   return info;
 });
 
+// One JSON object per line, with structured fields next to the message
+const jsonFormat = winston.format.combine(
+  winston.format.timestamp(),
+  winston.format.json()
+);
+
+// Human-readable output for local development
+const prettyFormat = winston.format.combine(
+  winston.format.timestamp({
+    format: 'YYYY-MM-DD HH:mm:ss'
+  }),
+  winston.format.colorize(),
+  winston.format.printf(({ level, message, timestamp, requestId, stack, ...fields }) => {
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `${timestamp} ${level}:${requestId ? ` [${requestId}]` : ''} ${message}${extra}${stack ? `\n${stack}` : ''}`;
+  })
+);
+
 const logger = winston.createLogger({
-  level: "info",
+  level: config.logging.level,
   format: winston.format.combine(
-    enumerateErrorFormat(),
-    winston.format.timestamp({
-      format: 'YYYY-MM-DD HH:mm:ss'
-    }),
-    winston.format.colorize(),
+    winston.format.errors({ stack: true }),
     winston.format.splat(),
-    winston.format.printf(({ level, message, timestamp }) => 
-      `${timestamp} ${level}: ${message}`
-    )
+    requestIdFormat(),
+    config.logging.format === 'pretty' ? prettyFormat : jsonFormat
   ),
   transports: [
     new winston.transports.Console({
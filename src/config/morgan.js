@@ -2,30 +2,36 @@ const morgan = require("morgan");
 const logger = require("./logger");
 
 morgan.token("message", (req, res) => res.locals.errorMessage || "");
+morgan.token("id", (req) => req.id);
 
-// Enhanced logging format with more details for observability
-const getIpFormat = () => ":remote-addr";
-const successResponseFormat = `${getIpFormat()} :method :url :status :res[content-length] - :response-time ms`;
-const errorResponseFormat = `${getIpFormat()} :method :url :status :res[content-length] - :response-time ms - message: :message`;
+// Each access log line is built as JSON so it is logged as structured
+// fields. Morgan writes after the response has gone, outside the
+// request's async context, so the request id travels in the line itself.
+const accessFormat = (tokens, req, res) => JSON.stringify({
+  requestId: tokens.id(req, res),
+  remoteAddr: tokens["remote-addr"](req, res),
+  method: tokens.method(req, res),
+  url: tokens.url(req, res),
+  status: Number(tokens.status(req, res)),
+  contentLength: Number(tokens.res(req, res, "content-length")) || 0,
+  durationMs: Number(tokens["response-time"](req, res)),
+  ...(res.statusCode >= 400 && { errorMessage: tokens.message(req, res) }),
+});
 
-const successHandler = morgan(successResponseFormat, {
+const successHandler = morgan(accessFormat, {
   skip: (req, res) => res.statusCode >= 400,
-  stream: { 
-    write: (message) => {
-      // Enhanced logging with timestamp and structured format
-      const cleanMessage = message.trim();
-      logger.info(`[REQUEST] ${cleanMessage}`);
+  stream: {
+    write: (line) => {
+      logger.info("[REQUEST]", JSON.parse(line));
     }
   },
 });
 
-const errorHandler = morgan(errorResponseFormat, {
+const errorHandler = morgan(accessFormat, {
   skip: (req, res) => res.statusCode < 400,
-  stream: { 
-    write: (message) => {
-      // Enhanced error logging with timestamp and structured format
-      const cleanMessage = message.trim();
-      logger.error(`[REQUEST_ERROR] ${cleanMessage}`);
+  stream: {
+    write: (line) => {
+      logger.error("[REQUEST_ERROR]", JSON.parse(line));
     }
   },
 });
@@ -0,0 +1,13 @@
+const allRoles = {
+  user: [],
+  staff: ['checkIn'],
+  admin: ['manageEvents', 'viewStats', 'viewPurchases', 'checkIn'],
+};
+
+const roles = Object.keys(allRoles);
+const roleRights = new Map(Object.entries(allRoles));
+
+module.exports = {
+  roles,
+  roleRights,
+};
@@ -0,0 +1,9 @@
+const tokenTypes = {
+  ACCESS: 'access',
+  REFRESH: 'refresh',
+  QUEUE_ADMISSION: 'queueAdmission',
+};
+
+module.exports = {
+  tokenTypes,
+};
@@ -0,0 +1,54 @@
+const AuthService = require('../services/auth.service');
+const UserService = require('../services/user.service');
+const TokenService = require('../services/token.service');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+
+const register = catchAsync(async (req, res) => {
+  const user = await UserService.createUser(req.body);
+  const tokens = await TokenService.generateAuthTokens(user);
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'User registered successfully',
+    data: { user, tokens }
+  });
+});
+
+const login = catchAsync(async (req, res) => {
+  const { email, password } = req.body;
+  const user = await AuthService.loginUserWithEmailAndPassword(email, password);
+  const tokens = await TokenService.generateAuthTokens(user);
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: { user, tokens }
+  });
+});
+
+const refreshTokens = catchAsync(async (req, res) => {
+  const tokens = await AuthService.refreshAuth(req.body.refreshToken);
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: { tokens }
+  });
+});
+
+const logout = catchAsync(async (req, res) => {
+  await AuthService.logout(req.body.refreshToken);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const getMe = catchAsync(async (req, res) => {
+  const user = await UserService.getUserById(req.user.id);
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: user
+  });
+});
+
+module.exports = {
+  register,
+  login,
+  refreshTokens,
+  logout,
+  getMe
+};
@@ -1,12 +1,16 @@
 const EventService = require('../services/event.service');
+const SeatMapService = require('../services/seatMap.service');
+const TierService = require('../services/tier.service');
+const PromoCodeService = require('../services/promoCode.service');
 const catchAsync = require('../utils/catchAsync');
 const httpStatus = require('http-status');
 
 const getAllEvents = catchAsync(async (req, res) => {
-  const events = await EventService.getAllEvents();
+  const { data, pagination } = await EventService.getAllEvents(req.query);
   res.status(httpStatus.OK).json({
     success: true,
-    data: events
+    data,
+    pagination
   });
 });
 
@@ -27,6 +31,28 @@ const createEvent = catchAsync(async (req, res) => {
   });
 });
 
+const updateEvent = catchAsync(async (req, res) => {
+  const event = await EventService.updateEvent(req.params.id, req.body);
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Event updated successfully',
+    data: event
+  });
+});
+
+const cancelEvent = catchAsync(async (req, res) => {
+  const { event, cancelledPurchases, refundsPending, isNewCancellation } = await EventService.cancelEvent(req.params.id);
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: isNewCancellation ? 'Event cancelled, refunds are being processed' : 'Event was already cancelled',
+    data: {
+      event,
+      cancelledPurchases,
+      refundsPending
+    }
+  });
+});
+
 const getEventAvailability = catchAsync(async (req, res) => {
   const availability = await EventService.getEventAvailability(req.params.id);
   res.status(httpStatus.OK).json({
@@ -35,9 +61,100 @@ const getEventAvailability = catchAsync(async (req, res) => {
   });
 });
 
+const getSeatMap = catchAsync(async (req, res) => {
+  const seatMap = await SeatMapService.getSeatMap(req.params.id);
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: seatMap
+  });
+});
+
+const saveSeatMap = catchAsync(async (req, res) => {
+  const seatMap = await SeatMapService.saveSeatMap(req.params.id, req.body);
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Seat map saved successfully',
+    data: seatMap
+  });
+});
+
+const setQueueSettings = catchAsync(async (req, res) => {
+  const event = await EventService.setQueueAdmissionRate(req.params.id, req.body.admissionRate);
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Waiting room settings saved',
+    data: event
+  });
+});
+
+const changeEventStatus = catchAsync(async (req, res) => {
+  const event = await EventService.changeStatus(req.params.id, req.body.status);
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: `Event is ${event.status}`,
+    data: event
+  });
+});
+
+const setTransferSettings = catchAsync(async (req, res) => {
+  const event = await EventService.setTransfersEnabled(req.params.id, req.body.enabled);
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Transfer settings saved',
+    data: event
+  });
+});
+
+const getTiers = catchAsync(async (req, res) => {
+  await EventService.getEventById(req.params.id);
+  const tiers = await TierService.getTierAvailability(req.params.id);
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: tiers
+  });
+});
+
+const createTier = catchAsync(async (req, res) => {
+  const tier = await TierService.createTier(req.params.id, req.body);
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Ticket tier created successfully',
+    data: tier
+  });
+});
+
+const getPromoCodes = catchAsync(async (req, res) => {
+  await EventService.getEventById(req.params.id);
+  const promoCodes = await PromoCodeService.getPromoCodes(req.params.id);
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: promoCodes
+  });
+});
+
+const createPromoCode = catchAsync(async (req, res) => {
+  const promoCode = await PromoCodeService.createPromoCode(req.params.id, req.body);
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Promo code created successfully',
+    data: promoCode
+  });
+});
+
 module.exports = {
   getAllEvents,
   getEventById,
   createEvent,
-  getEventAvailability
+  updateEvent,
+  cancelEvent,
+  getEventAvailability,
+  getSeatMap,
+  saveSeatMap,
+  setQueueSettings,
+  changeEventStatus,
+  setTransferSettings,
+  getTiers,
+  createTier,
+  getPromoCodes,
+  createPromoCode
 }; 
\ No newline at end of file
@@ -0,0 +1,19 @@
+const HealthService = require('../services/health.service');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+
+const getLiveness = (req, res) => {
+  res.status(httpStatus.OK).json(HealthService.getLiveness());
+};
+
+// 503 while not ready, so load balancers route buyers elsewhere
+const getReadiness = catchAsync(async (req, res) => {
+  const { ready, ...result } = await HealthService.getReadiness();
+  res.set('Cache-Control', 'no-store');
+  res.status(ready ? httpStatus.OK : httpStatus.SERVICE_UNAVAILABLE).json(result);
+});
+
+module.exports = {
+  getLiveness,
+  getReadiness
+};
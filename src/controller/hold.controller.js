@@ -0,0 +1,54 @@
+const HoldService = require('../services/hold.service');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+const { resolveBuyerKey, getHoldKey } = require('../utils/buyer');
+
+const createHold = catchAsync(async (req, res) => {
+  const { eventId, quantity } = req.body;
+
+  const result = await HoldService.createHold({
+    eventId,
+    quantity,
+    idempotencyKey: req.idempotencyKey,
+    buyerKey: resolveBuyerKey(req)
+  });
+
+  const statusCode = result.isNewHold ? httpStatus.CREATED : httpStatus.OK;
+
+  res.status(statusCode).json({
+    success: true,
+    message: result.message,
+    data: result.hold,
+    isNewHold: result.isNewHold
+  });
+});
+
+const getHoldById = catchAsync(async (req, res) => {
+  const hold = await HoldService.getAccessibleHold(req.params.id, req.user, getHoldKey(req));
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: hold
+  });
+});
+
+const confirmHold = catchAsync(async (req, res) => {
+  const result = await HoldService.confirmHold(req.params.id, req.idempotencyKey, {
+    user: req.user,
+    accessKey: getHoldKey(req)
+  });
+
+  const statusCode = result.isNewPurchase ? httpStatus.CREATED : httpStatus.OK;
+
+  res.status(statusCode).json({
+    success: true,
+    message: result.message,
+    data: result.purchase,
+    isNewPurchase: result.isNewPurchase
+  });
+});
+
+module.exports = {
+  createHold,
+  getHoldById,
+  confirmHold
+};
@@ -0,0 +1,83 @@
+const IssuedTicketService = require('../services/issuedTicket.service');
+const catchAsync = require('../utils/catchAsync');
+const { getAccessKey } = require('../utils/buyer');
+const httpStatus = require('http-status');
+
+const getPurchaseTickets = catchAsync(async (req, res) => {
+  const tickets = await IssuedTicketService.getTicketsForPurchase(req.params.id, req.user, getAccessKey(req));
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: tickets
+  });
+});
+
+const getMyTickets = catchAsync(async (req, res) => {
+  const tickets = await IssuedTicketService.getMyTickets(req.user);
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: tickets
+  });
+});
+
+const getTicketHistory = catchAsync(async (req, res) => {
+  const history = await IssuedTicketService.getTicketHistory(req.params.id, req.user, getAccessKey(req));
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: history
+  });
+});
+
+const getTicketQr = catchAsync(async (req, res) => {
+  const { ticket, payload } = await IssuedTicketService.getTicketQr(req.params.id, req.user, getAccessKey(req));
+
+  if (req.query.format === 'png') {
+    const png = await IssuedTicketService.renderQrPng(payload);
+    res.set('Cache-Control', 'private, no-store');
+    res.type('png').send(png);
+    return;
+  }
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: {
+      ticket,
+      payload
+    }
+  });
+});
+
+const checkIn = catchAsync(async (req, res) => {
+  const ticket = await IssuedTicketService.checkIn(req.params.id, req.body.code, req.user.id);
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Ticket checked in',
+    data: ticket
+  });
+});
+
+const getCheckInManifest = catchAsync(async (req, res) => {
+  const result = await IssuedTicketService.getCheckInManifest(req.params.id);
+  res.set('Cache-Control', 'no-store');
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: result
+  });
+});
+
+const syncScans = catchAsync(async (req, res) => {
+  const result = await IssuedTicketService.syncScans(req.params.id, req.body, req.user.id);
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: result
+  });
+});
+
+module.exports = {
+  getPurchaseTickets,
+  getMyTickets,
+  getTicketHistory,
+  getTicketQr,
+  checkIn,
+  getCheckInManifest,
+  syncScans
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const SeatCacheService = require('../services/seatCache.service');
+const PurchaseOutboxService = require('../services/purchaseOutbox.service');
+const WaitingRoomService = require('../services/waitingRoom.service');
+const AvailabilityStreamService = require('../services/availabilityStream.service');
+const { renderMetrics } = require('../utils/metrics');
+const { createApiError } = require('../utils/apiError');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+const config = require('../config/config');
+
+/**
+ * Read the gauges that describe current state rather than history
+ * @returns {Array<Object>}
+ */
+const collectGauges = () => {
+  const caches = SeatCacheService.getSnapshot();
+  const perEvent = (field) => caches.map((entry) => ({ labels: { event_id: entry.eventId }, value: entry[field] }));
+  const outbox = PurchaseOutboxService.getStats();
+  const streams = AvailabilityStreamService.getStats();
+  const memory = process.memoryUsage();
+
+  return [
+    { name: 'seat_cache_events', help: 'Events held in the seat cache', samples: [{ value: caches.length }] },
+    { name: 'seat_cache_total_seats', help: 'Capacity per cached event', samples: perEvent('totalSeats') },
+    { name: 'seat_cache_seats_sold', help: 'Seats sold per cached event, including sales not yet persisted', samples: perEvent('seatsSold') },
+    { name: 'seat_cache_pending_seats', help: 'Seats sold on the fast path and not yet persisted', samples: perEvent('pendingSeats') },
+    { name: 'seat_cache_tracked_buyers', help: 'Buyers with a cached seat count per event', samples: perEvent('trackedBuyers') },
+    { name: 'purchase_outbox_backlog', help: 'Purchases waiting to be written to the database', samples: [{ value: outbox.backlogDepth }] },
+    { name: 'purchase_outbox_stuck', help: 'Purchases that keep failing to be written to the database', samples: [{ value: outbox.stuck }] },
+    {
+      name: 'waiting_room_waiting',
+      help: 'Buyers waiting for admission per event',
+      samples: WaitingRoomService.getStats().map((room) => ({ labels: { event_id: room.eventId }, value: room.waiting }))
+    },
+    { name: 'availability_stream_subscribers', help: 'Open seat availability streams', samples: [{ value: streams.subscribers }] },
+    { name: 'process_resident_memory_bytes', help: 'Resident memory size in bytes', samples: [{ value: memory.rss }] },
+    { name: 'nodejs_heap_used_bytes', help: 'V8 heap in use in bytes', samples: [{ value: memory.heapUsed }] },
+    { name: 'process_uptime_seconds', help: 'Seconds since the process started', samples: [{ value: Math.round(process.uptime()) }] }
+  ];
+};
+
+/**
+ * Compare the Authorization header with the metrics token in constant time
+ * @param {string} [header] - Authorization header
+ * @returns {boolean}
+ */
+const hasMetricsToken = (header) => {
+  const expected = Buffer.from(`Bearer ${config.metrics.token}`);
+  const received = Buffer.from(header || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const getMetrics = catchAsync(async (req, res) => {
+  if (config.metrics.token && !hasMetricsToken(req.headers.authorization)) {
+    throw createApiError(httpStatus.UNAUTHORIZED, 'Invalid metrics token');
+  }
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.status(httpStatus.OK).send(renderMetrics(collectGauges()));
+});
+
+module.exports = {
+  getMetrics
+};
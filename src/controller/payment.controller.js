@@ -0,0 +1,15 @@
+const PaymentService = require('../services/payment.service');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+
+const handleWebhook = catchAsync(async (req, res) => {
+  const result = await PaymentService.handleWebhook(req.rawBody, req.headers);
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: result
+  });
+});
+
+module.exports = {
+  handleWebhook
+};
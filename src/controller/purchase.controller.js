@@ -1,15 +1,35 @@
 const PurchaseService = require('../services/purchase.service');
+const SeatCacheService = require('../services/seatCache.service');
 const catchAsync = require('../utils/catchAsync');
 const httpStatus = require('http-status');
+const { resolveBuyerKey, getAccessKey } = require('../utils/buyer');
+const { recordPurchaseOutcome } = require('../utils/metrics');
 
 const purchaseTickets = catchAsync(async (req, res) => {
-  const { eventId, quantity, idempotencyKey } = req.body;
+  const { eventId, quantity, idempotencyKey, seatIds, tierId, promoCode, paymentMethod } = req.body;
   
-  const result = await PurchaseService.purchaseTickets({
-    eventId,
-    quantity,
-    idempotencyKey
-  });
+  let result;
+  try {
+    result = await PurchaseService.purchaseTickets({
+      eventId,
+      quantity,
+      idempotencyKey,
+      seatIds,
+      tierId,
+      promoCode,
+      paymentMethod,
+      userId: req.user ? req.user.id : null,
+      buyerKey: resolveBuyerKey(req)
+    });
+  } catch (error) {
+    // The ID comes from the client; label only events that exist
+    recordPurchaseOutcome(SeatCacheService.isCached(eventId) ? eventId : null, error.errorCode || (error.statusCode < 500 ? 'rejected' : 'error'));
+    throw error;
+  }
+
+  if (result.isNewPurchase) {
+    recordPurchaseOutcome(result.purchase.eventId, 'success');
+  }
 
   const statusCode = result.isNewPurchase ? httpStatus.CREATED : httpStatus.OK;
   
@@ -22,26 +42,38 @@ const purchaseTickets = catchAsync(async (req, res) => {
 });
 
 const getPurchaseById = catchAsync(async (req, res) => {
-  const purchase = await PurchaseService.getPurchaseById(req.params.id);
+  const purchase = await PurchaseService.getAccessiblePurchase(req.params.id, req.user, getAccessKey(req));
   res.status(httpStatus.OK).json({
     success: true,
     data: purchase
   });
 });
 
+const cancelPurchase = catchAsync(async (req, res) => {
+  const result = await PurchaseService.cancelPurchase(req.params.id, req.user, getAccessKey(req));
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: result.message,
+    data: result.purchase,
+    isNewCancellation: result.isNewCancellation
+  });
+});
+
 const getAllPurchases = catchAsync(async (req, res) => {
-  const purchases = await PurchaseService.getAllPurchases();
+  const { data, pagination } = await PurchaseService.getAllPurchases(req.query);
   res.status(httpStatus.OK).json({
     success: true,
-    data: purchases
+    data,
+    pagination
   });
 });
 
 const getPurchasesByEventId = catchAsync(async (req, res) => {
-  const purchases = await PurchaseService.getPurchasesByEventId(req.params.eventId);
+  const { data, pagination } = await PurchaseService.getPurchasesByEventId(req.params.eventId, req.query);
   res.status(httpStatus.OK).json({
     success: true,
-    data: purchases
+    data,
+    pagination
   });
 });
 
@@ -64,6 +96,7 @@ const generateIdempotencyKey = catchAsync(async (req, res) => {
 module.exports = {
   purchaseTickets,
   getPurchaseById,
+  cancelPurchase,
   getAllPurchases,
   getPurchasesByEventId,
   getPurchaseStats,
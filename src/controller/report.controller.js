@@ -0,0 +1,36 @@
+const ReportService = require('../services/report.service');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+const logger = require('../config/logger');
+
+const getSalesReport = catchAsync(async (req, res) => {
+  const report = await ReportService.getSalesReport(req.params.id, req.query);
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: report
+  });
+});
+
+const exportPurchases = catchAsync(async (req, res) => {
+  const event = await ReportService.getExportableEvent(req.params.id);
+  const { format } = req.query;
+
+  res.status(httpStatus.OK);
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="purchases-${event.id}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    await ReportService.streamPurchaseExport(event.id, req.query, res);
+  } catch (error) {
+    // Headers are gone; cutting the connection is the only way to tell
+    // the client the file is incomplete
+    logger.error(`[EXPORT_ERROR] Export for event ${event.id} failed:`, error);
+    res.destroy();
+  }
+});
+
+module.exports = {
+  getSalesReport,
+  exportPurchases
+};
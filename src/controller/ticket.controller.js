@@ -1,174 +1,116 @@
 const catchAsync = require('../utils/catchAsync');
 const { createApiError } = require('../utils/apiError');
-const { 
-  getMetrics, 
-  recordSuccessPurchase, 
-  recordFailedPurchase 
-} = require('../utils/metrics');
-const prisma = require('../config/database');
+const { getMetrics, recordPurchaseOutcome } = require('../utils/metrics');
+const SeatCacheService = require('../services/seatCache.service');
+const PurchaseOutboxService = require('../services/purchaseOutbox.service');
+const { getCoordinator } = require('../services/coordination');
+const WaitingRoomService = require('../services/waitingRoom.service');
+const AvailabilityStreamService = require('../services/availabilityStream.service');
+const { getSaleBlocker } = require('../models/event.model');
+const { resolveBuyerKey } = require('../utils/buyer');
 const httpStatus = require('http-status');
 const logger = require('../config/logger');
 
-let seatCache = {
-  eventId: null,
-  totalSeats: 0,
-  seatsSold: 0,
-  lastUpdated: 0
-};
-
-const idempotencyCache = new Map();
+const getEvent = catchAsync(async (req, res) => {
+  const eventId = await SeatCacheService.resolveEventId(req.params.eventId);
+  const entry = eventId ? await SeatCacheService.getEntry(eventId) : null;
 
-async function initializeSeatCache() {
-  try {
-    const event = await prisma.event.findFirst({
-      orderBy: { createdAt: 'desc' }
-    });
-    
-    if (event) {
-      seatCache = {
-        eventId: event.id,
-        totalSeats: event.totalSeats,
-        seatsSold: event.seatsSold,
-        lastUpdated: Date.now()
-      };
-      logger.info(`[CACHE_INIT] Initialized seat cache - Total: ${event.totalSeats}, Sold: ${event.seatsSold}`);
-    }
-  } catch (error) {
-    logger.error('[CACHE_INIT] Failed to initialize seat cache:', error);
+  if (!entry) {
+    throw createApiError(httpStatus.NOT_FOUND, 'No event found');
   }
-}
 
-initializeSeatCache();
+  res.status(200).json({
+    eventId: entry.eventId,
+    totalSeats: entry.totalSeats,
+    seatsSold: entry.seatsSold,
+    seatsRemaining: entry.totalSeats - entry.seatsSold
+  });
+});
 
-const getEvent = catchAsync(async (req, res) => {
-  if (seatCache.eventId && Date.now() - seatCache.lastUpdated < 5000) {
-    const seatsRemaining = seatCache.totalSeats - seatCache.seatsSold;
-    return res.status(200).json({
-      totalSeats: seatCache.totalSeats,
-      seatsSold: seatCache.seatsSold,
-      seatsRemaining: seatsRemaining
-    });
+async function attemptPurchase(idempotencyKey, quantity, { eventId: requestedEventId, userId, buyerKey }) {
+  const storedResult = await getCoordinator().getResult(idempotencyKey);
+  if (storedResult) {
+    logger.info('[PURCHASE_CACHE_HIT] Returning stored result', { idempotencyKey });
+    return { ...storedResult, isIdempotent: true };
   }
 
-  const event = await prisma.event.findFirst({
-    orderBy: { createdAt: 'desc' }
-  });
+  const eventId = await SeatCacheService.resolveEventId(requestedEventId);
+  const entry = eventId ? await SeatCacheService.getEntry(eventId) : null;
 
-  if (!event) {
-    throw createApiError(httpStatus.NOT_FOUND, 'No event found');
+  if (!entry) {
+    return {
+      error: 'EVENT_NOT_FOUND',
+      statusCode: 404
+    };
   }
 
-  seatCache = {
-    eventId: event.id,
-    totalSeats: event.totalSeats,
-    seatsSold: event.seatsSold,
-    lastUpdated: Date.now()
-  };
-
-  const seatsRemaining = event.totalSeats - event.seatsSold;
-  
-  res.status(200).json({
-    totalSeats: event.totalSeats,
-    seatsSold: event.seatsSold,
-    seatsRemaining: seatsRemaining
-  });
-});
+  const saleBlocker = getSaleBlocker(entry);
+  if (saleBlocker) {
+    return {
+      error: saleBlocker,
+      statusCode: 409,
+      eventId
+    };
+  }
 
-async function attemptPurchase(idempotencyKey, quantity) {
-  if (idempotencyCache.has(idempotencyKey)) {
-    const cachedResult = idempotencyCache.get(idempotencyKey);
-    logger.info(`[PURCHASE_CACHE_HIT] Found cached result for key: ${idempotencyKey}`);
-    return { ...cachedResult, isIdempotent: true };
+  // Reserved seating needs seat allocation, which only the transactional path does
+  if (entry.hasSeatMap) {
+    return {
+      error: 'SEAT_SELECTION_REQUIRED',
+      statusCode: 409,
+      eventId
+    };
   }
 
-  const seatsRemaining = seatCache.totalSeats - seatCache.seatsSold;
-  if (quantity > seatsRemaining) {
-    const soldOutResponse = {
-      error: 'SOLD_OUT',
+  // Priced tiers have their own capacity, which only the transactional path tracks
+  if (entry.hasTiers) {
+    return {
+      error: 'TIER_SELECTION_REQUIRED',
       statusCode: 409,
-      seatsRemaining: seatsRemaining
+      eventId
     };
-    
-    idempotencyCache.set(idempotencyKey, soldOutResponse);
-    
-    setImmediate(async () => {
-      try {
-        await prisma.purchase.create({
-          data: {
-            eventId: seatCache.eventId,
-            quantity: quantity,
-            idempotencyKey: idempotencyKey,
-            statusCode: 409,
-            responseBody: JSON.stringify({ error: 'SOLD_OUT' }),
-            wasSuccessful: false
-          }
-        });
-      } catch (error) {
-      }
-    });
-    
-    return soldOutResponse;
   }
 
-  seatCache.seatsSold += quantity;
-  const newSeatsRemaining = seatCache.totalSeats - seatCache.seatsSold;
-  
-  const successResponse = {
-    success: true,
-    seatsRemaining: newSeatsRemaining,
-    statusCode: 200
-  };
-
-  idempotencyCache.set(idempotencyKey, successResponse);
-
-  setImmediate(async () => {
-    try {
-      await prisma.$transaction(async (tx) => {
-        await tx.event.update({
-          where: { id: seatCache.eventId },
-          data: {
-            seatsSold: {
-              increment: quantity
-            }
-          }
-        });
-
-        await tx.purchase.create({
-          data: {
-            eventId: seatCache.eventId,
-            quantity: quantity,
-            idempotencyKey: idempotencyKey,
-            statusCode: 200,
-            responseBody: JSON.stringify(successResponse),
-            wasSuccessful: true
-          }
-        });
-      });
-      
-      logger.info(`[PURCHASE_DB_SUCCESS] Persisted purchase for key: ${idempotencyKey}`);
-    } catch (error) {
-      logger.error(`[PURCHASE_DB_ERROR] Failed to persist purchase for key: ${idempotencyKey}`, error);
-      
-      seatCache.seatsSold -= quantity;
-      idempotencyCache.delete(idempotencyKey);
-    }
-  });
+  // A cap cannot be enforced on a buyer nobody can tell apart
+  if (entry.maxTicketsPerBuyer && !buyerKey) {
+    return {
+      error: 'BUYER_ID_REQUIRED',
+      statusCode: 400,
+      eventId
+    };
+  }
+
+  const result = await getCoordinator().purchase(entry, { quantity, idempotencyKey, userId, buyerKey });
 
-  logger.info(`[PURCHASE_SUCCESS] Key: ${idempotencyKey}, Quantity: ${quantity}, Remaining: ${newSeatsRemaining}`);
-  return successResponse;
+  if (result.success && !result.isIdempotent) {
+    logger.info('[PURCHASE_SUCCESS] Purchase accepted', {
+      eventId,
+      idempotencyKey,
+      quantity,
+      seatsRemaining: result.seatsRemaining
+    });
+  }
+  return result;
 }
 
 const purchaseTickets = async (req, res, next) => {
   const { quantity } = req.body;
+  const eventId = req.params.eventId || req.body.eventId;
   const idempotencyKey = req.idempotencyKey;
+  const userId = req.user ? req.user.id : null;
+  const buyerKey = resolveBuyerKey(req);
 
   try {
-    const result = await attemptPurchase(idempotencyKey, quantity);
+    const result = await attemptPurchase(idempotencyKey, quantity, { eventId, userId, buyerKey });
 
     if (result.error) {
-      recordFailedPurchase();
+      if (!result.isIdempotent) {
+        recordPurchaseOutcome(result.eventId, result.error);
+      }
+      // Sold-out buyers are pointed at the waitlist
       return res.status(result.statusCode).json({
-        error: result.error
+        error: result.error,
+        waitlistUrl: result.waitlistUrl
       });
     }
 
@@ -177,14 +119,15 @@ const purchaseTickets = async (req, res, next) => {
       return res.status(statusCode).json(responseData);
     }
 
-    recordSuccessPurchase();
+    recordPurchaseOutcome(result.eventId, 'success');
 
     const { statusCode, ...responseData } = result;
     res.status(statusCode).json(responseData);
 
   } catch (error) {
-    logger.error(`[PURCHASE_ERROR] Key: ${idempotencyKey}, Error: ${error.message}`, error);
-    recordFailedPurchase();
+    logger.error('[PURCHASE_ERROR] Purchase failed', { eventId, idempotencyKey, error: error.message, stack: error.stack });
+    // The ID comes from the client; label only events that exist
+    recordPurchaseOutcome(SeatCacheService.isCached(eventId) ? eventId : null, 'error');
     
     res.status(500).json({
       error: 'Internal server error',
@@ -195,25 +138,38 @@ const purchaseTickets = async (req, res, next) => {
 
 const getStats = catchAsync(async (req, res) => {
   const metrics = getMetrics();
+  const coordination = getCoordinator().getStats();
   
   res.status(200).json({
     totalRequests: metrics.totalRequests,
     successPurchases: metrics.successPurchases,
     failedPurchases: metrics.failedPurchases,
+    p50Latency: Math.round(metrics.p50Latency * 100) / 100,
     p95Latency: Math.round(metrics.p95Latency * 100) / 100,
+    p99Latency: Math.round(metrics.p99Latency * 100) / 100,
     cacheStats: {
-      seatCache: seatCache,
-      idempotencyCacheSize: idempotencyCache.size
-    }
+      seatCaches: SeatCacheService.getSnapshot(),
+      idempotencyCacheSize: coordination.idempotencyRecords || 0
+    },
+    coordination,
+    persistence: PurchaseOutboxService.getStats(),
+    waitingRoom: WaitingRoomService.getStats(),
+    streams: AvailabilityStreamService.getStats()
   });
 });
 
-process.on('SIGTERM', () => {
-  idempotencyCache.clear();
+const streamEvent = catchAsync(async (req, res) => {
+  const eventId = await SeatCacheService.resolveEventId(req.params.eventId);
+  if (!eventId) {
+    throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
+  }
+
+  await AvailabilityStreamService.subscribe(eventId, req, res);
 });
 
 module.exports = {
   getEvent,
   purchaseTickets,
-  getStats
+  getStats,
+  streamEvent
 }; 
\ No newline at end of file
@@ -0,0 +1,55 @@
+const TicketTransferService = require('../services/ticketTransfer.service');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+
+const createTransfer = catchAsync(async (req, res) => {
+  const transfer = await TicketTransferService.createTransfer(req.params.id, req.body, req.user);
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Transfer offered',
+    data: transfer
+  });
+});
+
+const getTransfer = catchAsync(async (req, res) => {
+  const transfer = await TicketTransferService.getTransfer(req.params.id, req.user);
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: transfer
+  });
+});
+
+const acceptTransfer = catchAsync(async (req, res) => {
+  const transfer = await TicketTransferService.acceptTransfer(req.params.id, req.user);
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Transfer accepted',
+    data: transfer
+  });
+});
+
+const declineTransfer = catchAsync(async (req, res) => {
+  const transfer = await TicketTransferService.declineTransfer(req.params.id, req.user);
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Transfer declined',
+    data: transfer
+  });
+});
+
+const cancelTransfer = catchAsync(async (req, res) => {
+  const transfer = await TicketTransferService.cancelTransfer(req.params.id, req.user);
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Transfer cancelled',
+    data: transfer
+  });
+});
+
+module.exports = {
+  createTransfer,
+  getTransfer,
+  acceptTransfer,
+  declineTransfer,
+  cancelTransfer
+};
@@ -0,0 +1,25 @@
+const WaitingRoomService = require('../services/waitingRoom.service');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+const { resolveBuyerKey } = require('../utils/buyer');
+
+const joinQueue = catchAsync(async (req, res) => {
+  const status = await WaitingRoomService.join(req.params.eventId, resolveBuyerKey(req));
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    data: status
+  });
+});
+
+const getQueueStatus = catchAsync(async (req, res) => {
+  const status = WaitingRoomService.getStatus(req.params.eventId, req.params.queueToken);
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: status
+  });
+});
+
+module.exports = {
+  joinQueue,
+  getQueueStatus
+};
@@ -0,0 +1,49 @@
+const WaitlistService = require('../services/waitlist.service');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+const { resolveBuyerKey } = require('../utils/buyer');
+
+const joinWaitlist = catchAsync(async (req, res) => {
+  const result = await WaitlistService.joinWaitlist(req.params.id, {
+    quantity: req.body.quantity,
+    buyerKey: resolveBuyerKey(req)
+  });
+
+  const statusCode = result.isNewEntry ? httpStatus.CREATED : httpStatus.OK;
+
+  res.status(statusCode).json({
+    success: true,
+    message: result.message,
+    data: result.entry,
+    isNewEntry: result.isNewEntry
+  });
+});
+
+const getWaitlistEntry = catchAsync(async (req, res) => {
+  const entry = await WaitlistService.getWaitlistEntry(req.params.id, {
+    buyerKey: resolveBuyerKey(req),
+    user: req.user
+  });
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: entry
+  });
+});
+
+const leaveWaitlist = catchAsync(async (req, res) => {
+  const entry = await WaitlistService.leaveWaitlist(req.params.id, {
+    buyerKey: resolveBuyerKey(req),
+    user: req.user
+  });
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Left the waitlist',
+    data: entry
+  });
+});
+
+module.exports = {
+  joinWaitlist,
+  getWaitlistEntry,
+  leaveWaitlist
+};
@@ -0,0 +1,75 @@
+const httpStatus = require('http-status');
+const TokenService = require('../services/token.service');
+const { tokenTypes } = require('../config/tokens');
+const { roleRights } = require('../config/roles');
+const { createApiError } = require('../utils/apiError');
+
+/**
+ * Read and verify the bearer access token on a request.
+ * The token carries the user id and role, so no database lookup is
+ * needed on hot paths such as the fast purchase route.
+ * @param {Object} req - Express request
+ * @returns {Object|null} { id, role } or null when no token was sent
+ */
+const getTokenUser = (req) => {
+  const header = req.headers.authorization;
+  if (!header) {
+    return null;
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    throw createApiError(httpStatus.UNAUTHORIZED, 'Please authenticate');
+  }
+
+  try {
+    const payload = TokenService.verifyToken(token, tokenTypes.ACCESS);
+    return { id: payload.sub, role: payload.role };
+  } catch (error) {
+    throw createApiError(httpStatus.UNAUTHORIZED, 'Please authenticate');
+  }
+};
+
+/**
+ * Middleware requiring an authenticated user with the given rights
+ * @param {...string} requiredRights - Rights from config/roles
+ * @returns {Function} Express middleware function
+ */
+const auth = (...requiredRights) => (req, res, next) => {
+  try {
+    const user = getTokenUser(req);
+    if (!user) {
+      throw createApiError(httpStatus.UNAUTHORIZED, 'Please authenticate');
+    }
+
+    const userRights = roleRights.get(user.role) || [];
+    const hasRequiredRights = requiredRights.every((right) => userRights.includes(right));
+    if (!hasRequiredRights) {
+      throw createApiError(httpStatus.FORBIDDEN, 'Forbidden');
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware that attaches req.user when a valid token is sent but lets
+ * anonymous requests through
+ * @returns {Function} Express middleware function
+ */
+const optionalAuth = () => (req, res, next) => {
+  try {
+    req.user = getTokenUser(req) || undefined;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  auth,
+  optionalAuth,
+};
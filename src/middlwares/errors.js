@@ -29,7 +29,9 @@ const errorHandler = (err, req, res, next) => {
   const response = {
     success: false,
     statusCode,
+    ...(isOperationalError(err) && err.errorCode && { error: err.errorCode }),
     message,
+    requestId: req.id,
     ...{ stack: err.stack },
   };
 
@@ -1,4 +1,5 @@
 const rateLimit = require('express-rate-limit');
+const config = require('../config/config');
 
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -6,6 +7,13 @@ const authLimiter = rateLimit({
   skipSuccessfulRequests: true,
 });
 
+// Every join keeps a place in memory until QUEUE_TOKEN_TTL_SECONDS
+const queueJoinLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: config.queue.joinsPerMinute,
+});
+
 module.exports = {
   authLimiter,
+  queueJoinLimiter,
 };
\ No newline at end of file
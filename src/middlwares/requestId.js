@@ -0,0 +1,25 @@
+const { v4: uuidv4 } = require('uuid');
+const { runWithContext } = require('../utils/requestContext');
+
+// Ids from upstream proxies are kept only if they are short and safe to log
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware giving every request an id, taken from X-Request-Id when the
+ * caller or a proxy sent a usable one. The id is echoed in the response
+ * and the rest of the request runs inside its context.
+ * @returns {Function} Express middleware function
+ */
+const requestId = () => (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  const id = typeof incoming === 'string' && VALID_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+
+  req.id = id;
+  res.setHeader('X-Request-Id', id);
+
+  runWithContext({ requestId: id }, next);
+};
+
+module.exports = {
+  requestId,
+};
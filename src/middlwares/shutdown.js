@@ -0,0 +1,28 @@
+const httpStatus = require('http-status');
+const ShutdownService = require('../services/shutdown.service');
+const { createCodedError } = require('../utils/apiError');
+const config = require('../config/config');
+
+/**
+ * Middleware refusing new purchases once shutdown has begun, so the
+ * purchases already accepted can drain. Clients are told to retry,
+ * which sends them to another instance.
+ * @returns {Function} Express middleware function
+ */
+const acceptingPurchases = () => (req, res, next) => {
+  if (!ShutdownService.isShuttingDown()) {
+    return next();
+  }
+
+  res.set('Retry-After', String(config.shutdown.retryAfterSeconds));
+  res.set('Connection', 'close');
+  next(createCodedError(
+    httpStatus.SERVICE_UNAVAILABLE,
+    'SHUTTING_DOWN',
+    'Server is shutting down, please retry'
+  ));
+};
+
+module.exports = {
+  acceptingPurchases,
+};
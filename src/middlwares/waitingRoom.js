@@ -0,0 +1,37 @@
+const httpStatus = require('http-status');
+const SeatCacheService = require('../services/seatCache.service');
+const WaitingRoomService = require('../services/waitingRoom.service');
+const { resolveBuyerKey } = require('../utils/buyer');
+
+/**
+ * Middleware requiring a waiting room admission token (X-Queue-Token)
+ * for events that have a waiting room. The token must belong to the
+ * requesting buyer and is spent by a successful purchase. Requests for
+ * other or unknown events pass through to the handler. Must run after
+ * optionalAuth so signed-in buyers are recognised.
+ * @returns {Function} Express middleware function
+ */
+const requireAdmission = () => async (req, res, next) => {
+  try {
+    const eventId = await SeatCacheService.resolveEventId(req.params.eventId || (req.body && req.body.eventId));
+    const entry = eventId ? await SeatCacheService.getEntry(eventId) : null;
+    if (!entry || !entry.admissionRate) {
+      return next();
+    }
+
+    const claim = WaitingRoomService.claimAdmission(req.headers['x-queue-token'], eventId, resolveBuyerKey(req));
+    // An aborted request may still have bought seats, so only error
+    // responses give the admission back
+    res.once('close', () => {
+      WaitingRoomService.settleAdmission(claim, res.statusCode < httpStatus.BAD_REQUEST);
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireAdmission,
+};
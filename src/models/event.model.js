@@ -1,6 +1,46 @@
 const prisma = require('../config/database');
+const { pageQuery, toPage } = require('../utils/pagination');
 const { createApiError } = require('../utils/apiError');
 const httpStatus = require('http-status');
+const { WAITLIST_STATUS } = require('./waitlist.model');
+
+/**
+ * Event lifecycle states
+ */
+const EVENT_STATUS = {
+  DRAFT: 'DRAFT',
+  ON_SALE: 'ON_SALE',
+  PAUSED: 'PAUSED',
+  SOLD_OUT: 'SOLD_OUT',
+  CANCELLED: 'CANCELLED',
+  COMPLETED: 'COMPLETED'
+};
+
+/**
+ * Allowed status changes. ON_SALE and SOLD_OUT follow the seat count;
+ * CANCELLED and COMPLETED are final.
+ */
+const EVENT_TRANSITIONS = {
+  [EVENT_STATUS.DRAFT]: [EVENT_STATUS.ON_SALE, EVENT_STATUS.CANCELLED],
+  [EVENT_STATUS.ON_SALE]: [EVENT_STATUS.PAUSED, EVENT_STATUS.SOLD_OUT, EVENT_STATUS.CANCELLED, EVENT_STATUS.COMPLETED],
+  [EVENT_STATUS.PAUSED]: [EVENT_STATUS.ON_SALE, EVENT_STATUS.CANCELLED, EVENT_STATUS.COMPLETED],
+  [EVENT_STATUS.SOLD_OUT]: [EVENT_STATUS.ON_SALE, EVENT_STATUS.PAUSED, EVENT_STATUS.CANCELLED, EVENT_STATUS.COMPLETED],
+  [EVENT_STATUS.CANCELLED]: [],
+  [EVENT_STATUS.COMPLETED]: []
+};
+
+// SOLD_OUT events keep selling: seats released by cancellations can be
+// bought before the status catches up with the count
+const SELLING_STATUSES = [EVENT_STATUS.ON_SALE, EVENT_STATUS.SOLD_OUT];
+
+/**
+ * Reasons an event cannot sell, with their messages
+ */
+const SALE_BLOCKERS = {
+  EVENT_CLOSED: 'Event is not on sale',
+  SALES_NOT_STARTED: 'Ticket sales have not started',
+  SALES_ENDED: 'Ticket sales have ended'
+};
 
 /**
  * Get event by ID
@@ -61,6 +101,147 @@ const updateEventSeatsSold = async (id, quantity) => {
   });
 };
 
+/**
+ * Take seats with one conditional update that only applies while the
+ * event is selling and has room, so concurrent writers (in this process
+ * or another) cannot sell past capacity. The update runs before any read
+ * so SQLite takes its write lock first. If the capacity the caller
+ * expected is out of date, the update is retried with the current one.
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} id - Event ID
+ * @param {number} quantity - Seats to take
+ * @param {number} expectedTotalSeats - Capacity the caller last saw
+ * @returns {Promise<Object>} { reserved, event }; event is read after the update, null if it does not exist
+ */
+const reserveEventSeats = async (client, id, quantity, expectedTotalSeats) => {
+  let totalSeats = expectedTotalSeats;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { count } = await client.event.updateMany({
+      where: {
+        id,
+        status: { in: SELLING_STATUSES },
+        totalSeats,
+        seatsSold: { lte: totalSeats - quantity }
+      },
+      data: {
+        seatsSold: {
+          increment: quantity
+        }
+      }
+    });
+
+    const event = await client.event.findUnique({
+      where: { id },
+      select: { id: true, status: true, totalSeats: true, seatsSold: true }
+    });
+
+    if (count === 1) {
+      return { reserved: true, event };
+    }
+
+    const capacityChanged = event && event.totalSeats !== totalSeats;
+    if (!capacityChanged || !SELLING_STATUSES.includes(event.status) || !hasAvailableSeats(event, quantity)) {
+      return { reserved: false, event };
+    }
+    totalSeats = event.totalSeats;
+  }
+
+  return { reserved: false, event: null };
+};
+
+/**
+ * Give back seats that were sold or held. While buyers are waiting in
+ * the event's waitlist the seats stay counted as sold and are set aside
+ * in waitlistSeats, so general sale cannot take them before the queue.
+ * @param {Object} tx - Prisma transaction
+ * @param {string} id - Event ID
+ * @param {number} quantity - Seats to give back
+ * @returns {Promise<boolean>} Whether the seats were kept for the waitlist
+ */
+const releaseEventSeats = async (tx, id, quantity) => {
+  const waiting = await tx.waitlistEntry.count({
+    where: { eventId: id, status: WAITLIST_STATUS.WAITING }
+  });
+
+  await tx.event.update({
+    where: { id },
+    data: waiting > 0
+      ? { waitlistSeats: { increment: quantity } }
+      : { seatsSold: { decrement: quantity } }
+  });
+
+  return waiting > 0;
+};
+
+/**
+ * Get how many seats are set aside for an event's waitlist
+ * @param {string} id - Event ID
+ * @returns {Promise<number>}
+ */
+const getWaitlistSeats = async (id) => {
+  const event = await prisma.event.findUnique({
+    where: { id },
+    select: { waitlistSeats: true }
+  });
+  return event ? event.waitlistSeats : 0;
+};
+
+/**
+ * Take seats out of the waitlist reserve for an offer. They are already
+ * counted as sold, so only the reserve changes.
+ * @param {Object} tx - Prisma transaction
+ * @param {string} id - Event ID
+ * @param {number} quantity - Seats to take
+ * @returns {Promise<boolean>} Whether the reserve still had them
+ */
+const takeWaitlistSeats = async (tx, id, quantity) => {
+  const { count } = await tx.event.updateMany({
+    where: {
+      id,
+      waitlistSeats: { gte: quantity }
+    },
+    data: {
+      waitlistSeats: {
+        decrement: quantity
+      }
+    }
+  });
+  return count === 1;
+};
+
+/**
+ * Put an event's waitlist reserve back on general sale once nobody is
+ * waiting for it
+ * @param {string} id - Event ID
+ * @returns {Promise<number>} Seats returned
+ */
+const returnWaitlistSeats = async (id) => {
+  return await prisma.$transaction(async (tx) => {
+    const waiting = await tx.waitlistEntry.count({
+      where: { eventId: id, status: WAITLIST_STATUS.WAITING }
+    });
+    const event = await tx.event.findUnique({
+      where: { id },
+      select: { waitlistSeats: true }
+    });
+    if (waiting > 0 || !event || event.waitlistSeats === 0) {
+      return 0;
+    }
+
+    const { count } = await tx.event.updateMany({
+      where: { id, waitlistSeats: event.waitlistSeats },
+      data: {
+        waitlistSeats: 0,
+        seatsSold: {
+          decrement: event.waitlistSeats
+        }
+      }
+    });
+    return count === 1 ? event.waitlistSeats : 0;
+  });
+};
+
 /**
  * Check if enough seats are available
  * @param {Object} event - Event object
@@ -72,20 +253,73 @@ const hasAvailableSeats = (event, requestedQuantity) => {
 };
 
 /**
- * Get all events
- * @returns {Promise<Array>}
+ * Why an event cannot sell tickets right now
+ * @param {Object} event - Event or seat cache entry
+ * @param {Date} [now] - Time to check against
+ * @returns {string|null} A SALE_BLOCKERS key, or null when it can sell
  */
-const getAllEvents = async () => {
-  return await prisma.event.findMany({
+const getSaleBlocker = (event, now = new Date()) => {
+  if (!SELLING_STATUSES.includes(event.status)) {
+    return 'EVENT_CLOSED';
+  }
+  if (event.saleStartsAt && now < event.saleStartsAt) {
+    return 'SALES_NOT_STARTED';
+  }
+  if (event.saleEndsAt && now >= event.saleEndsAt) {
+    return 'SALES_ENDED';
+  }
+  return null;
+};
+
+/**
+ * Check if an event is currently selling tickets
+ * @param {Object} event - Event or seat cache entry
+ * @returns {boolean}
+ */
+const isEventOpen = (event) => {
+  return getSaleBlocker(event) === null;
+};
+
+/**
+ * Check whether an event may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransitionEvent = (from, to) => {
+  return (EVENT_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Get a page of events
+ * @param {Object} filters - { status, search, from, to }; from/to bound startsAt
+ * @param {Object} page - { limit, cursor, sortBy, order }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+const getAllEvents = async ({ status, search, from, to } = {}, page = {}) => {
+  const where = {};
+  if (status) {
+    where.status = status;
+  }
+  if (search) {
+    where.name = { contains: search };
+  }
+  if (from || to) {
+    where.startsAt = {
+      ...(from && { gte: from }),
+      ...(to && { lte: to })
+    };
+  }
+
+  const rows = await prisma.event.findMany({
+    ...pageQuery(where, page),
     include: {
       _count: {
         select: { purchases: true }
       }
-    },
-    orderBy: {
-      createdAt: 'desc'
     }
   });
+  return toPage(rows, page);
 };
 
 /**
@@ -99,11 +333,52 @@ const createEvent = async (eventData) => {
   });
 };
 
+/**
+ * Move an event between statuses, only if it is still in the expected one
+ * @param {string} id - Event ID
+ * @param {string} fromStatus - Expected current status
+ * @param {string} toStatus - New status
+ * @returns {Promise<boolean>} Whether the event was updated
+ */
+const transitionEventStatus = async (id, fromStatus, toStatus) => {
+  const { count } = await prisma.event.updateMany({
+    where: { id, status: fromStatus },
+    data: { status: toStatus }
+  });
+  return count === 1;
+};
+
+/**
+ * Update an event
+ * @param {string} id - Event ID
+ * @param {Object} eventData - Fields to update
+ * @returns {Promise<Object>}
+ */
+const updateEvent = async (id, eventData) => {
+  return await prisma.event.update({
+    where: { id },
+    data: eventData
+  });
+};
+
 module.exports = {
+  EVENT_STATUS,
+  SELLING_STATUSES,
+  SALE_BLOCKERS,
   getEventById,
   getEventByIdForUpdate,
   updateEventSeatsSold,
+  reserveEventSeats,
+  releaseEventSeats,
+  getWaitlistSeats,
+  takeWaitlistSeats,
+  returnWaitlistSeats,
   hasAvailableSeats,
+  getSaleBlocker,
+  isEventOpen,
+  canTransitionEvent,
+  transitionEventStatus,
   getAllEvents,
-  createEvent
+  createEvent,
+  updateEvent
 }; 
\ No newline at end of file
@@ -0,0 +1,73 @@
+const prisma = require('../config/database');
+
+/**
+ * Hold states
+ */
+const HOLD_STATUS = {
+  ACTIVE: 'ACTIVE',
+  CONFIRMED: 'CONFIRMED',
+  EXPIRED: 'EXPIRED'
+};
+
+/**
+ * Get hold by ID
+ * @param {string} id - Hold ID
+ * @returns {Promise<Object>}
+ */
+const getHoldById = async (id) => {
+  return await prisma.hold.findUnique({
+    where: { id },
+    include: {
+      purchase: true
+    }
+  });
+};
+
+/**
+ * Get hold by idempotency key
+ * @param {string} idempotencyKey - Idempotency key
+ * @returns {Promise<Object>}
+ */
+const getHoldByIdempotencyKey = async (idempotencyKey) => {
+  return await prisma.hold.findUnique({
+    where: { idempotencyKey },
+    include: {
+      purchase: true
+    }
+  });
+};
+
+/**
+ * Get active holds whose TTL has passed
+ * @param {number} limit - Maximum number of holds to return
+ * @returns {Promise<Array>}
+ */
+const getExpiredHolds = async (limit = 100) => {
+  return await prisma.hold.findMany({
+    where: {
+      status: HOLD_STATUS.ACTIVE,
+      expiresAt: { lte: new Date() }
+    },
+    orderBy: {
+      expiresAt: 'asc'
+    },
+    take: limit
+  });
+};
+
+/**
+ * Check if a hold can still be confirmed
+ * @param {Object} hold - Hold object
+ * @returns {boolean}
+ */
+const isHoldActive = (hold) => {
+  return hold.status === HOLD_STATUS.ACTIVE && hold.expiresAt > new Date();
+};
+
+module.exports = {
+  HOLD_STATUS,
+  getHoldById,
+  getHoldByIdempotencyKey,
+  getExpiredHolds,
+  isHoldActive
+};
@@ -0,0 +1,214 @@
+const prisma = require('../config/database');
+const { generateTicketCode } = require('../utils/ticketCode');
+
+/**
+ * Issued ticket states
+ */
+const ISSUED_TICKET_STATUS = {
+  VALID: 'VALID',
+  USED: 'USED',
+  CANCELLED: 'CANCELLED'
+};
+
+const ticketInclude = {
+  seat: {
+    select: { id: true, label: true }
+  },
+  tier: {
+    select: { id: true, name: true }
+  }
+};
+
+/**
+ * Get issued ticket by ID
+ * @param {string} id - Ticket ID
+ * @returns {Promise<Object>}
+ */
+const getIssuedTicketById = async (id) => {
+  return await prisma.ticket.findUnique({
+    where: { id },
+    include: {
+      ...ticketInclude,
+      purchase: {
+        select: { id: true, userId: true, accessKey: true }
+      }
+    }
+  });
+};
+
+/**
+ * Get issued ticket by code
+ * @param {string} code - Ticket code
+ * @returns {Promise<Object>}
+ */
+const getIssuedTicketByCode = async (code) => {
+  return await prisma.ticket.findUnique({
+    where: { code },
+    include: ticketInclude
+  });
+};
+
+/**
+ * Get the tickets issued for a purchase
+ * @param {string} purchaseId - Purchase ID
+ * @returns {Promise<Array>}
+ */
+const getIssuedTicketsByPurchaseId = async (purchaseId) => {
+  return await prisma.ticket.findMany({
+    where: { purchaseId },
+    include: ticketInclude,
+    orderBy: { createdAt: 'asc' }
+  });
+};
+
+/**
+ * Get the tickets a user holds, bought or received
+ * @param {string} holderId - User ID
+ * @returns {Promise<Array>}
+ */
+const getIssuedTicketsByHolderId = async (holderId) => {
+  return await prisma.ticket.findMany({
+    where: { holderId },
+    include: {
+      ...ticketInclude,
+      event: {
+        select: { id: true, name: true, startsAt: true }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+};
+
+/**
+ * Count a purchase's tickets now held by someone other than the buyer
+ * @param {Object} purchase - Purchase object
+ * @returns {Promise<number>}
+ */
+const countTransferredTickets = async (purchase) => {
+  return await prisma.ticket.count({
+    where: {
+      purchaseId: purchase.id,
+      holderId: { not: purchase.userId }
+    }
+  });
+};
+
+/**
+ * Issue one ticket per seat of a completed purchase. Reserved seating
+ * purchases get one ticket per allocated seat.
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} purchase - Purchase object
+ * @returns {Promise<number>} Number of tickets issued
+ */
+const issueTicketsForPurchase = async (client, purchase) => {
+  const seats = await client.seat.findMany({
+    where: { purchaseId: purchase.id },
+    select: { id: true },
+    orderBy: { number: 'asc' }
+  });
+
+  const data = Array.from({ length: purchase.quantity }, (_, index) => ({
+    eventId: purchase.eventId,
+    purchaseId: purchase.id,
+    seatId: seats[index] ? seats[index].id : null,
+    tierId: purchase.tierId || null,
+    holderId: purchase.userId || null,
+    code: generateTicketCode(purchase.eventId)
+  }));
+
+  const { count } = await client.ticket.createMany({ data });
+  return count;
+};
+
+/**
+ * Cancel every ticket of a purchase
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} purchaseId - Purchase ID
+ * @returns {Promise<number>} Number of tickets cancelled
+ */
+const cancelTicketsForPurchase = async (client, purchaseId) => {
+  const { count } = await client.ticket.updateMany({
+    where: {
+      purchaseId,
+      status: { not: ISSUED_TICKET_STATUS.CANCELLED }
+    },
+    data: { status: ISSUED_TICKET_STATUS.CANCELLED }
+  });
+  return count;
+};
+
+/**
+ * Get the codes a door scanner needs to check an event in offline
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} [{ code, status }] for valid and used tickets
+ */
+const getEventTicketCodes = async (eventId) => {
+  return await prisma.ticket.findMany({
+    where: {
+      eventId,
+      status: { in: [ISSUED_TICKET_STATUS.VALID, ISSUED_TICKET_STATUS.USED] }
+    },
+    select: { code: true, status: true },
+    orderBy: { code: 'asc' }
+  });
+};
+
+/**
+ * Hand a valid ticket to a new holder under a fresh code, so the code
+ * the previous holder saw stops working
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} ticket - Ticket ({ id, eventId })
+ * @param {string} fromHolderId - Expected current holder
+ * @param {string} toHolderId - New holder
+ * @returns {Promise<boolean>} Whether the ticket changed hands
+ */
+const reissueTicket = async (client, ticket, fromHolderId, toHolderId) => {
+  const { count } = await client.ticket.updateMany({
+    where: {
+      id: ticket.id,
+      status: ISSUED_TICKET_STATUS.VALID,
+      holderId: fromHolderId
+    },
+    data: {
+      holderId: toHolderId,
+      code: generateTicketCode(ticket.eventId)
+    }
+  });
+  return count === 1;
+};
+
+/**
+ * Mark a ticket used, only if it is still valid
+ * @param {string} id - Ticket ID
+ * @param {Object} [checkIn] - { checkedInBy, checkedInAt, device }
+ * @returns {Promise<boolean>} Whether this call checked it in
+ */
+const markTicketUsed = async (id, { checkedInBy = null, checkedInAt = new Date(), device = null } = {}) => {
+  const { count } = await prisma.ticket.updateMany({
+    where: {
+      id,
+      status: ISSUED_TICKET_STATUS.VALID
+    },
+    data: {
+      status: ISSUED_TICKET_STATUS.USED,
+      checkedInAt,
+      checkedInBy,
+      checkInDevice: device
+    }
+  });
+  return count === 1;
+};
+
+module.exports = {
+  ISSUED_TICKET_STATUS,
+  getIssuedTicketById,
+  getIssuedTicketByCode,
+  getIssuedTicketsByPurchaseId,
+  getIssuedTicketsByHolderId,
+  countTransferredTickets,
+  issueTicketsForPurchase,
+  cancelTicketsForPurchase,
+  getEventTicketCodes,
+  reissueTicket,
+  markTicketUsed
+};
@@ -0,0 +1,168 @@
+const prisma = require('../config/database');
+
+/**
+ * Discount types
+ */
+const DISCOUNT_TYPE = {
+  PERCENTAGE: 'PERCENTAGE',
+  FIXED: 'FIXED'
+};
+
+/**
+ * Get promo codes for an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>}
+ */
+const getPromoCodesByEventId = async (eventId) => {
+  return await prisma.promoCode.findMany({
+    where: { eventId },
+    include: {
+      tiers: {
+        select: { id: true, name: true }
+      }
+    },
+    orderBy: {
+      createdAt: 'desc'
+    }
+  });
+};
+
+/**
+ * Get a promo code by its code within an event
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} eventId - Event ID
+ * @param {string} code - Promo code (any case)
+ * @returns {Promise<Object>}
+ */
+const getPromoCodeByCode = async (client, eventId, code) => {
+  return await client.promoCode.findUnique({
+    where: {
+      eventId_code: { eventId, code: code.toUpperCase() }
+    },
+    include: {
+      tiers: {
+        select: { id: true }
+      }
+    }
+  });
+};
+
+/**
+ * Create a promo code
+ * @param {Object} promoData - Promo code data
+ * @param {Array<string>} [tierIds] - Tiers the code is restricted to
+ * @returns {Promise<Object>}
+ */
+const createPromoCode = async (promoData, tierIds = []) => {
+  return await prisma.promoCode.create({
+    data: {
+      ...promoData,
+      tiers: {
+        connect: tierIds.map((id) => ({ id }))
+      }
+    },
+    include: {
+      tiers: {
+        select: { id: true, name: true }
+      }
+    }
+  });
+};
+
+/**
+ * Check if a promo code is inside its validity window
+ * @param {Object} promoCode - Promo code object
+ * @param {Date} [now] - Reference time
+ * @returns {boolean}
+ */
+const isPromoCodeActive = (promoCode, now = new Date()) => {
+  if (promoCode.validFrom && now < promoCode.validFrom) {
+    return false;
+  }
+  if (promoCode.validUntil && now > promoCode.validUntil) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Check if a promo code can be used for a tier
+ * @param {Object} promoCode - Promo code with tiers
+ * @param {string} tierId - Tier ID
+ * @returns {boolean}
+ */
+const appliesToTier = (promoCode, tierId) => {
+  return promoCode.tiers.length === 0 || promoCode.tiers.some((tier) => tier.id === tierId);
+};
+
+/**
+ * Calculate the discount for an order, never more than the order total
+ * @param {Object} promoCode - Promo code object
+ * @param {number} subtotal - Order total before discount, in minor units
+ * @returns {number} Discount in minor units
+ */
+const calculateDiscount = (promoCode, subtotal) => {
+  const discount = promoCode.discountType === DISCOUNT_TYPE.PERCENTAGE
+    ? Math.round(subtotal * promoCode.discountValue / 100)
+    : promoCode.discountValue;
+  return Math.min(discount, subtotal);
+};
+
+/**
+ * Count a redemption, only if the code's cap has not been reached
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} promoCode - Promo code object
+ * @returns {Promise<boolean>} Whether the redemption was counted
+ */
+const incrementRedemptions = async (client, promoCode) => {
+  const where = { id: promoCode.id };
+  if (promoCode.maxRedemptions !== null) {
+    where.redemptionCount = { lt: promoCode.maxRedemptions };
+  }
+
+  const { count } = await client.promoCode.updateMany({
+    where,
+    data: {
+      redemptionCount: { increment: 1 }
+    }
+  });
+  return count === 1;
+};
+
+/**
+ * Give a redemption back to the code, e.g. when the purchase is cancelled
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} purchaseId - Purchase ID
+ * @returns {Promise<boolean>} Whether a redemption was released
+ */
+const releaseRedemption = async (client, purchaseId) => {
+  const redemption = await client.promoRedemption.findUnique({
+    where: { purchaseId }
+  });
+  if (!redemption) {
+    return false;
+  }
+
+  await client.promoRedemption.delete({
+    where: { id: redemption.id }
+  });
+  await client.promoCode.update({
+    where: { id: redemption.promoCodeId },
+    data: {
+      redemptionCount: { decrement: 1 }
+    }
+  });
+  return true;
+};
+
+module.exports = {
+  DISCOUNT_TYPE,
+  getPromoCodesByEventId,
+  getPromoCodeByCode,
+  createPromoCode,
+  isPromoCodeActive,
+  appliesToTier,
+  calculateDiscount,
+  incrementRedemptions,
+  releaseRedemption
+};
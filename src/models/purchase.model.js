@@ -1,6 +1,34 @@
 const prisma = require('../config/database');
+const { pageQuery, toPage } = require('../utils/pagination');
 const { createApiError } = require('../utils/apiError');
 const httpStatus = require('http-status');
+const { HOLD_STATUS } = require('./hold.model');
+const { releaseSeats } = require('./seatMap.model');
+const { decrementTierSold } = require('./tier.model');
+const { releaseRedemption } = require('./promoCode.model');
+const { cancelTicketsForPurchase } = require('./issuedTicket.model');
+const { cancelPendingTransfersForPurchase } = require('./ticketTransfer.model');
+const { releaseEventSeats } = require('./event.model');
+
+/**
+ * Purchase states
+ */
+const PURCHASE_STATUS = {
+  CONFIRMED: 'CONFIRMED',
+  CANCELLED: 'CANCELLED'
+};
+
+/**
+ * Payment states; null for purchases with nothing to pay
+ */
+const PAYMENT_STATUS = {
+  PENDING: 'PENDING',
+  PAID: 'PAID',
+  FAILED: 'FAILED',
+  // Owed a refund the gateway has not confirmed yet, e.g. after the event was cancelled
+  REFUND_PENDING: 'REFUND_PENDING',
+  REFUNDED: 'REFUNDED'
+};
 
 /**
  * Create a new purchase with idempotency check
@@ -58,25 +86,57 @@ const getPurchaseByIdempotencyKey = async (idempotencyKey) => {
 };
 
 /**
- * Get all purchases for an event
+ * Turn list filters into a Prisma where clause
+ * @param {Object} filters - { eventId, status, paymentStatus, wasSuccessful, search, from, to }
+ * @returns {Object}
+ */
+const purchaseFilter = ({ eventId, status, paymentStatus, wasSuccessful, search, from, to }) => {
+  const where = {};
+  if (eventId) {
+    where.eventId = eventId;
+  }
+  if (status) {
+    where.status = status;
+  }
+  if (paymentStatus) {
+    where.paymentStatus = paymentStatus;
+  }
+  if (wasSuccessful !== undefined) {
+    where.wasSuccessful = wasSuccessful;
+  }
+  if (search) {
+    where.event = { name: { contains: search } };
+  }
+  if (from || to) {
+    where.createdAt = {
+      ...(from && { gte: from }),
+      ...(to && { lte: to })
+    };
+  }
+  return where;
+};
+
+/**
+ * Get a page of an event's purchases
  * @param {string} eventId - Event ID
- * @returns {Promise<Array>}
+ * @param {Object} filters - See getAllPurchases
+ * @param {Object} page - { limit, cursor, sortBy, order }
+ * @returns {Promise<Object>} { data, pagination }
  */
-const getPurchasesByEventId = async (eventId) => {
-  return await prisma.purchase.findMany({
-    where: { eventId },
-    orderBy: {
-      createdAt: 'desc'
-    }
-  });
+const getPurchasesByEventId = async (eventId, filters = {}, page = {}) => {
+  const rows = await prisma.purchase.findMany(pageQuery(purchaseFilter({ ...filters, eventId }), page));
+  return toPage(rows, page);
 };
 
 /**
- * Get all purchases
- * @returns {Promise<Array>}
+ * Get a page of purchases
+ * @param {Object} filters - { eventId, status, paymentStatus, wasSuccessful, search, from, to }; search matches the event name, from/to bound createdAt
+ * @param {Object} page - { limit, cursor, sortBy, order }
+ * @returns {Promise<Object>} { data, pagination }
  */
-const getAllPurchases = async () => {
-  return await prisma.purchase.findMany({
+const getAllPurchases = async (filters = {}, page = {}) => {
+  const rows = await prisma.purchase.findMany({
+    ...pageQuery(purchaseFilter(filters), page),
     include: {
       event: {
         select: {
@@ -84,11 +144,9 @@ const getAllPurchases = async () => {
           name: true
         }
       }
-    },
-    orderBy: {
-      createdAt: 'desc'
     }
   });
+  return toPage(rows, page);
 };
 
 /**
@@ -109,11 +167,154 @@ const getPurchaseStats = async () => {
   };
 };
 
+/**
+ * Walk every purchase recorded for an event, oldest first, a batch at a
+ * time so reports and exports of large events stay within memory
+ * @param {string} eventId - Event ID
+ * @param {Object} filters - { from, to } bounds on createdAt
+ * @param {number} batchSize - Rows per query
+ * @returns {AsyncGenerator<Array>} Batches of purchases with their tier name
+ */
+async function* getEventPurchaseBatches(eventId, { from, to } = {}, batchSize = 500) {
+  const where = purchaseFilter({ eventId, from, to });
+  const page = { limit: batchSize, sortBy: 'createdAt', order: 'asc' };
+
+  for (;;) {
+    const rows = await prisma.purchase.findMany({
+      ...pageQuery(where, page),
+      include: {
+        tier: {
+          select: { name: true }
+        }
+      }
+    });
+    const { data, pagination } = toPage(rows, page);
+    if (data.length > 0) {
+      yield data;
+    }
+    if (!pagination.hasMore) {
+      return;
+    }
+    page.cursor = pagination.nextCursor;
+  }
+}
+
+/**
+ * Count the seats a buyer already has for an event: confirmed purchases
+ * plus active holds
+ * @param {string} eventId - Event ID
+ * @param {string} buyerKey - Buyer key
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<number>}
+ */
+const getBuyerSeatCount = async (eventId, buyerKey, client = prisma) => {
+  const [purchased, held] = await Promise.all([
+    client.purchase.aggregate({
+      where: {
+        eventId,
+        buyerKey,
+        status: PURCHASE_STATUS.CONFIRMED,
+        OR: [{ wasSuccessful: true }, { wasSuccessful: null }]
+      },
+      _sum: { quantity: true }
+    }),
+    client.hold.aggregate({
+      where: {
+        eventId,
+        buyerKey,
+        status: HOLD_STATUS.ACTIVE
+      },
+      _sum: { quantity: true }
+    })
+  ]);
+
+  return (purchased._sum.quantity || 0) + (held._sum.quantity || 0);
+};
+
+/**
+ * Get purchases whose payment has been pending since before a cutoff
+ * @param {Date} cutoff - Purchases created before this are stale
+ * @param {number} limit - Maximum number of purchases to return
+ * @returns {Promise<Array>}
+ */
+const getStalePendingPayments = async (cutoff, limit = 100) => {
+  return await prisma.purchase.findMany({
+    where: {
+      paymentStatus: PAYMENT_STATUS.PENDING,
+      createdAt: { lte: cutoff }
+    },
+    orderBy: {
+      createdAt: 'asc'
+    },
+    take: limit
+  });
+};
+
+/**
+ * Get purchases owed a refund, oldest first
+ * @param {number} limit - Maximum number of purchases to return
+ * @returns {Promise<Array>}
+ */
+const getPurchasesAwaitingRefund = async (limit = 100) => {
+  return await prisma.purchase.findMany({
+    where: {
+      paymentStatus: PAYMENT_STATUS.REFUND_PENDING
+    },
+    orderBy: {
+      createdAt: 'asc'
+    },
+    take: limit
+  });
+};
+
+/**
+ * Return everything a purchase took: seats, tier capacity, promo
+ * redemption and the event's sold count. Its tickets are voided and
+ * pending transfers of them called off. Callers must first flip the
+ * purchase's state with a conditional update so this runs only once.
+ * @param {Object} tx - Prisma transaction
+ * @param {Object} purchase - Purchase object
+ * @returns {Promise<boolean>} Whether the seats were kept for the waitlist
+ */
+const releasePurchaseInventory = async (tx, purchase) => {
+  await releaseSeats(tx, purchase.id);
+  await cancelTicketsForPurchase(tx, purchase.id);
+  await cancelPendingTransfersForPurchase(tx, purchase.id);
+
+  if (purchase.tierId) {
+    await decrementTierSold(tx, purchase.tierId, purchase.quantity);
+  }
+
+  // The code can be used again, by this buyer too
+  if (purchase.promoCodeId) {
+    await releaseRedemption(tx, purchase.id);
+  }
+
+  return await releaseEventSeats(tx, purchase.eventId, purchase.quantity);
+};
+
+/**
+ * Check if a purchase can still be cancelled
+ * @param {Object} purchase - Purchase object
+ * @returns {boolean}
+ */
+const isPurchaseCancellable = (purchase) => {
+  return purchase.status === PURCHASE_STATUS.CONFIRMED && purchase.wasSuccessful !== false;
+};
+
 module.exports = {
+  PURCHASE_STATUS,
+  PAYMENT_STATUS,
   createPurchase,
   getPurchaseById,
   getPurchaseByIdempotencyKey,
   getPurchasesByEventId,
   getAllPurchases,
-  getPurchaseStats
+  getPurchaseStats,
+  getEventPurchaseBatches,
+  getBuyerSeatCount,
+  getStalePendingPayments,
+  getPurchasesAwaitingRefund,
+  releasePurchaseInventory,
+  isPurchaseCancellable
 }; 
\ No newline at end of file
@@ -0,0 +1,115 @@
+const prisma = require('../config/database');
+
+/**
+ * Seat states
+ */
+const SEAT_STATUS = {
+  AVAILABLE: 'AVAILABLE',
+  SOLD: 'SOLD'
+};
+
+/**
+ * Seat order used for display and best-available allocation
+ */
+const seatOrder = [
+  { row: { section: { sortOrder: 'asc' } } },
+  { row: { sortOrder: 'asc' } },
+  { number: 'asc' }
+];
+
+/**
+ * Get the seat map for an event: sections, rows and seats with status
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>}
+ */
+const getSeatMap = async (eventId) => {
+  return await prisma.section.findMany({
+    where: { eventId },
+    orderBy: { sortOrder: 'asc' },
+    include: {
+      rows: {
+        orderBy: { sortOrder: 'asc' },
+        include: {
+          seats: {
+            orderBy: { number: 'asc' },
+            select: {
+              id: true,
+              number: true,
+              label: true,
+              status: true
+            }
+          }
+        }
+      }
+    }
+  });
+};
+
+/**
+ * Get available seats for an event in allocation order
+ * @param {string} eventId - Event ID
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Array>}
+ */
+const getAvailableSeats = async (eventId, client = prisma) => {
+  return await client.seat.findMany({
+    where: {
+      eventId,
+      status: SEAT_STATUS.AVAILABLE
+    },
+    orderBy: seatOrder,
+    select: {
+      id: true,
+      rowId: true,
+      number: true
+    }
+  });
+};
+
+/**
+ * Mark seats as sold to a purchase, only if they are all still available
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} eventId - Event ID
+ * @param {Array<string>} seatIds - Seat IDs
+ * @param {string} purchaseId - Purchase ID
+ * @returns {Promise<number>} Number of seats taken
+ */
+const sellSeats = async (client, eventId, seatIds, purchaseId) => {
+  const { count } = await client.seat.updateMany({
+    where: {
+      id: { in: seatIds },
+      eventId,
+      status: SEAT_STATUS.AVAILABLE
+    },
+    data: {
+      status: SEAT_STATUS.SOLD,
+      purchaseId
+    }
+  });
+  return count;
+};
+
+/**
+ * Return a purchase's seats to the available pool
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} purchaseId - Purchase ID
+ * @returns {Promise<number>} Number of seats released
+ */
+const releaseSeats = async (client, purchaseId) => {
+  const { count } = await client.seat.updateMany({
+    where: { purchaseId },
+    data: {
+      status: SEAT_STATUS.AVAILABLE,
+      purchaseId: null
+    }
+  });
+  return count;
+};
+
+module.exports = {
+  SEAT_STATUS,
+  getSeatMap,
+  getAvailableSeats,
+  sellSeats,
+  releaseSeats
+};
@@ -0,0 +1,153 @@
+const prisma = require('../config/database');
+
+/**
+ * Ticket transfer states
+ */
+const TRANSFER_STATUS = {
+  PENDING: 'PENDING',
+  ACCEPTED: 'ACCEPTED',
+  DECLINED: 'DECLINED',
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED'
+};
+
+const transferInclude = {
+  tickets: {
+    select: {
+      id: true,
+      status: true,
+      holderId: true,
+      seat: {
+        select: { id: true, label: true }
+      },
+      tier: {
+        select: { id: true, name: true }
+      }
+    }
+  }
+};
+
+/**
+ * Get transfer by ID
+ * @param {string} id - Transfer ID
+ * @returns {Promise<Object>}
+ */
+const getTransferById = async (id) => {
+  return await prisma.ticketTransfer.findUnique({
+    where: { id },
+    include: transferInclude
+  });
+};
+
+/**
+ * Count the given tickets that are already offered in a pending transfer
+ * @param {Array<string>} ticketIds - Ticket IDs
+ * @returns {Promise<number>}
+ */
+const countPendingTransfersForTickets = async (ticketIds) => {
+  return await prisma.ticketTransfer.count({
+    where: {
+      status: TRANSFER_STATUS.PENDING,
+      expiresAt: { gt: new Date() },
+      tickets: {
+        some: { id: { in: ticketIds } }
+      }
+    }
+  });
+};
+
+/**
+ * Create a pending transfer of tickets
+ * @param {Object} transferData - Transfer fields
+ * @param {Array<string>} ticketIds - Tickets being transferred
+ * @returns {Promise<Object>}
+ */
+const createTransfer = async (transferData, ticketIds) => {
+  return await prisma.ticketTransfer.create({
+    data: {
+      ...transferData,
+      tickets: {
+        connect: ticketIds.map((id) => ({ id }))
+      }
+    },
+    include: transferInclude
+  });
+};
+
+/**
+ * Move a transfer between states, only if it is still in the expected one
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} id - Transfer ID
+ * @param {string} fromStatus - Expected current status
+ * @param {Object} data - Fields to set, including the new status
+ * @returns {Promise<boolean>} Whether the transfer was updated
+ */
+const transitionTransfer = async (client, id, fromStatus, data) => {
+  const { count } = await client.ticketTransfer.updateMany({
+    where: { id, status: fromStatus },
+    data
+  });
+  return count === 1;
+};
+
+/**
+ * Cancel a purchase's pending transfers, e.g. when the purchase is cancelled
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} purchaseId - Purchase ID
+ * @returns {Promise<number>} Number of transfers cancelled
+ */
+const cancelPendingTransfersForPurchase = async (client, purchaseId) => {
+  const { count } = await client.ticketTransfer.updateMany({
+    where: {
+      purchaseId,
+      status: TRANSFER_STATUS.PENDING
+    },
+    data: {
+      status: TRANSFER_STATUS.CANCELLED,
+      respondedAt: new Date()
+    }
+  });
+  return count;
+};
+
+/**
+ * Record that a transfer's tickets changed hands
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} transfer - Accepted transfer with its tickets
+ * @param {string} toUserId - New holder
+ * @returns {Promise<number>} Number of changes recorded
+ */
+const recordOwnershipChanges = async (client, transfer, toUserId) => {
+  const { count } = await client.ticketOwnershipChange.createMany({
+    data: transfer.tickets.map((ticket) => ({
+      ticketId: ticket.id,
+      transferId: transfer.id,
+      fromUserId: transfer.fromUserId,
+      toUserId
+    }))
+  });
+  return count;
+};
+
+/**
+ * Get a ticket's ownership changes, oldest first
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<Array>}
+ */
+const getOwnershipHistory = async (ticketId) => {
+  return await prisma.ticketOwnershipChange.findMany({
+    where: { ticketId },
+    orderBy: { createdAt: 'asc' }
+  });
+};
+
+module.exports = {
+  TRANSFER_STATUS,
+  getTransferById,
+  countPendingTransfersForTickets,
+  createTransfer,
+  transitionTransfer,
+  cancelPendingTransfersForPurchase,
+  recordOwnershipChanges,
+  getOwnershipHistory
+};
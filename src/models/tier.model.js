@@ -0,0 +1,87 @@
+const prisma = require('../config/database');
+
+/**
+ * Get ticket tiers for an event, cheapest first
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>}
+ */
+const getTiersByEventId = async (eventId) => {
+  return await prisma.ticketTier.findMany({
+    where: { eventId },
+    orderBy: [
+      { price: 'asc' },
+      { createdAt: 'asc' }
+    ]
+  });
+};
+
+/**
+ * Create a ticket tier
+ * @param {Object} tierData - Tier data
+ * @returns {Promise<Object>}
+ */
+const createTier = async (tierData) => {
+  return await prisma.ticketTier.create({
+    data: tierData
+  });
+};
+
+/**
+ * Check if a tier is inside its sale window
+ * @param {Object} tier - Tier object
+ * @param {Date} [now] - Reference time
+ * @returns {boolean}
+ */
+const isTierOnSale = (tier, now = new Date()) => {
+  if (tier.saleStartsAt && now < tier.saleStartsAt) {
+    return false;
+  }
+  if (tier.saleEndsAt && now > tier.saleEndsAt) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Take seats from a tier's capacity, only if enough are left
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} tier - Tier object
+ * @param {number} quantity - Seats to take
+ * @returns {Promise<boolean>} Whether the seats were taken
+ */
+const incrementTierSold = async (client, tier, quantity) => {
+  const { count } = await client.ticketTier.updateMany({
+    where: {
+      id: tier.id,
+      sold: { lte: tier.capacity - quantity }
+    },
+    data: {
+      sold: { increment: quantity }
+    }
+  });
+  return count === 1;
+};
+
+/**
+ * Return seats to a tier's capacity
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} tierId - Tier ID
+ * @param {number} quantity - Seats to return
+ * @returns {Promise<Object>}
+ */
+const decrementTierSold = async (client, tierId, quantity) => {
+  return await client.ticketTier.update({
+    where: { id: tierId },
+    data: {
+      sold: { decrement: quantity }
+    }
+  });
+};
+
+module.exports = {
+  getTiersByEventId,
+  createTier,
+  isTierOnSale,
+  incrementTierSold,
+  decrementTierSold
+};
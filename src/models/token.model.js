@@ -0,0 +1,47 @@
+const prisma = require('../config/database');
+
+/**
+ * Save a token
+ * @param {Object} tokenData - Token data
+ * @returns {Promise<Object>}
+ */
+const saveToken = async (tokenData) => {
+  return await prisma.token.create({
+    data: tokenData
+  });
+};
+
+/**
+ * Find a token that has not been blacklisted
+ * @param {string} token - Token string
+ * @param {string} type - Token type
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object>}
+ */
+const findActiveToken = async (token, type, userId) => {
+  return await prisma.token.findFirst({
+    where: {
+      token,
+      type,
+      userId,
+      blacklisted: false
+    }
+  });
+};
+
+/**
+ * Delete a token by ID
+ * @param {string} id - Token ID
+ * @returns {Promise<Object>}
+ */
+const deleteToken = async (id) => {
+  return await prisma.token.delete({
+    where: { id }
+  });
+};
+
+module.exports = {
+  saveToken,
+  findActiveToken,
+  deleteToken
+};
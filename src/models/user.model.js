@@ -0,0 +1,56 @@
+const prisma = require('../config/database');
+
+/**
+ * Fields that are safe to return to clients
+ */
+const publicUserSelect = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  createdAt: true
+};
+
+/**
+ * Get user by ID
+ * @param {string} id - User ID
+ * @returns {Promise<Object>}
+ */
+const getUserById = async (id) => {
+  return await prisma.user.findUnique({
+    where: { id },
+    select: publicUserSelect
+  });
+};
+
+/**
+ * Get user by email, including the password hash
+ * @param {string} email - User email
+ * @returns {Promise<Object>}
+ */
+const getUserByEmail = async (email) => {
+  return await prisma.user.findUnique({
+    where: { email: email.toLowerCase() }
+  });
+};
+
+/**
+ * Create a new user
+ * @param {Object} userData - User data with hashed password
+ * @returns {Promise<Object>}
+ */
+const createUser = async (userData) => {
+  return await prisma.user.create({
+    data: {
+      ...userData,
+      email: userData.email.toLowerCase()
+    },
+    select: publicUserSelect
+  });
+};
+
+module.exports = {
+  getUserById,
+  getUserByEmail,
+  createUser
+};
@@ -0,0 +1,148 @@
+const prisma = require('../config/database');
+
+/**
+ * Waitlist entry states
+ */
+const WAITLIST_STATUS = {
+  WAITING: 'WAITING',
+  OFFERED: 'OFFERED',
+  FULFILLED: 'FULFILLED',
+  LAPSED: 'LAPSED',
+  LEFT: 'LEFT'
+};
+
+// Queue order: first come, first served; id breaks same-millisecond ties
+const queueOrder = [
+  { createdAt: 'asc' },
+  { id: 'asc' }
+];
+
+/**
+ * Get waitlist entry by ID
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object>}
+ */
+const getWaitlistEntryById = async (id) => {
+  return await prisma.waitlistEntry.findUnique({
+    where: { id },
+    include: {
+      hold: true
+    }
+  });
+};
+
+/**
+ * Get a buyer's waiting or offered entry for an event
+ * @param {string} eventId - Event ID
+ * @param {string} buyerKey - Buyer key
+ * @returns {Promise<Object>}
+ */
+const getActiveWaitlistEntry = async (eventId, buyerKey) => {
+  return await prisma.waitlistEntry.findFirst({
+    where: {
+      eventId,
+      buyerKey,
+      status: { in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] }
+    },
+    include: {
+      hold: true
+    }
+  });
+};
+
+/**
+ * Get the next buyer in line for an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>}
+ */
+const getWaitlistHead = async (eventId) => {
+  return await prisma.waitlistEntry.findFirst({
+    where: {
+      eventId,
+      status: WAITLIST_STATUS.WAITING
+    },
+    orderBy: queueOrder
+  });
+};
+
+/**
+ * Get entries holding an outstanding offer for an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>}
+ */
+const getOfferedEntries = async (eventId) => {
+  return await prisma.waitlistEntry.findMany({
+    where: {
+      eventId,
+      status: WAITLIST_STATUS.OFFERED
+    },
+    include: {
+      hold: true
+    }
+  });
+};
+
+/**
+ * Get a waiting entry's 1-based position in its event's queue
+ * @param {Object} entry - Waitlist entry
+ * @returns {Promise<number>}
+ */
+const getWaitlistPosition = async (entry) => {
+  const ahead = await prisma.waitlistEntry.count({
+    where: {
+      eventId: entry.eventId,
+      status: WAITLIST_STATUS.WAITING,
+      OR: [
+        { createdAt: { lt: entry.createdAt } },
+        { createdAt: entry.createdAt, id: { lt: entry.id } }
+      ]
+    }
+  });
+  return ahead + 1;
+};
+
+/**
+ * Get events that have buyers waiting or holding offers, or seats still
+ * set aside for a queue that has since emptied
+ * @returns {Promise<Array<string>>} Event IDs
+ */
+const getEventIdsWithWaitlist = async () => {
+  const rows = await prisma.waitlistEntry.findMany({
+    where: {
+      status: { in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] }
+    },
+    distinct: ['eventId'],
+    select: { eventId: true }
+  });
+  const reserved = await prisma.event.findMany({
+    where: { waitlistSeats: { gt: 0 } },
+    select: { id: true }
+  });
+  return [...new Set([...rows.map((row) => row.eventId), ...reserved.map((event) => event.id)])];
+};
+
+/**
+ * Move an entry between states, only if it is still in the expected one
+ * @param {string} id - Entry ID
+ * @param {string} fromStatus - Expected current status
+ * @param {Object} data - Fields to set, including the new status
+ * @returns {Promise<boolean>} Whether the entry was updated
+ */
+const transitionWaitlistEntry = async (id, fromStatus, data) => {
+  const { count } = await prisma.waitlistEntry.updateMany({
+    where: { id, status: fromStatus },
+    data
+  });
+  return count === 1;
+};
+
+module.exports = {
+  WAITLIST_STATUS,
+  getWaitlistEntryById,
+  getActiveWaitlistEntry,
+  getWaitlistHead,
+  getOfferedEntries,
+  getWaitlistPosition,
+  getEventIdsWithWaitlist,
+  transitionWaitlistEntry
+};
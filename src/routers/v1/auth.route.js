@@ -0,0 +1,47 @@
+const express = require('express');
+const authController = require('../../controller/auth.controller');
+const { auth } = require('../../middlwares/auth');
+const { validateBody, registerSchema, loginSchema, refreshTokenSchema } = require('../../utils/validation');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/v1/auth/register
+ * @desc Create an account and return an access/refresh token pair
+ * @access Public
+ * @body { email: string, password: string, name?: string }
+ */
+router.post('/register', validateBody(registerSchema), authController.register);
+
+/**
+ * @route POST /api/v1/auth/login
+ * @desc Log in and return an access/refresh token pair
+ * @access Public
+ * @body { email: string, password: string }
+ */
+router.post('/login', validateBody(loginSchema), authController.login);
+
+/**
+ * @route POST /api/v1/auth/refresh
+ * @desc Exchange a refresh token for a new token pair
+ * @access Public
+ * @body { refreshToken: string }
+ */
+router.post('/refresh', validateBody(refreshTokenSchema), authController.refreshTokens);
+
+/**
+ * @route POST /api/v1/auth/logout
+ * @desc Revoke a refresh token
+ * @access Public
+ * @body { refreshToken: string }
+ */
+router.post('/logout', validateBody(refreshTokenSchema), authController.logout);
+
+/**
+ * @route GET /api/v1/auth/me
+ * @desc Get the signed-in user
+ * @access Private
+ */
+router.get('/me', auth(), authController.getMe);
+
+module.exports = router;
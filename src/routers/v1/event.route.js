@@ -1,21 +1,43 @@
 const express = require('express');
 const eventController = require('../../controller/event.controller');
+const waitlistController = require('../../controller/waitlist.controller');
+const issuedTicketController = require('../../controller/issuedTicket.controller');
+const reportController = require('../../controller/report.controller');
+const { auth, optionalAuth } = require('../../middlwares/auth');
+const {
+  validateBody,
+  validateQuery,
+  eventListQuerySchema,
+  salesReportQuerySchema,
+  purchaseExportQuerySchema,
+  seatMapSchema,
+  queueSettingsSchema,
+  eventStatusSchema,
+  transferSettingsSchema,
+  tierSchema,
+  promoCodeSchema,
+  waitlistSchema,
+  checkInSchema,
+  checkInSyncSchema
+} = require('../../utils/validation');
 
 const router = express.Router();
 
 /**
  * @route GET /api/v1/events
- * @desc Get all events
+ * @desc List events, newest first, one page at a time
  * @access Public
+ * @query { limit?: number, cursor?: string, sortBy?: "createdAt" | "name" | "totalSeats", order?: "asc" | "desc", status?: string, search?: string, from?: date, to?: date } (from/to filter on startsAt)
  */
-router.get('/', eventController.getAllEvents);
+router.get('/', validateQuery(eventListQuerySchema), eventController.getAllEvents);
 
 /**
  * @route POST /api/v1/events
- * @desc Create a new event
- * @access Public
+ * @desc Create a new event (a DRAFT unless status is ON_SALE)
+ * @access Admin
+ * @body { name: string, totalSeats?: number, description?: string, venue?: string, timezone?: string, startsAt?: string, endsAt?: string, saleStartsAt?: string, saleEndsAt?: string, status?: "DRAFT" | "ON_SALE", maxTicketsPerBuyer?: number, queueAdmissionRate?: number }
  */
-router.post('/', eventController.createEvent);
+router.post('/', auth('manageEvents'), eventController.createEvent);
 
 /**
  * @route GET /api/v1/events/:id
@@ -24,6 +46,21 @@ router.post('/', eventController.createEvent);
  */
 router.get('/:id', eventController.getEventById);
 
+/**
+ * @route PATCH /api/v1/events/:id
+ * @desc Edit an event's details, schedule or capacity; capacity cannot drop below the seats sold
+ * @access Admin
+ * @body { name?: string, description?: string, venue?: string, timezone?: string, startsAt?: string, endsAt?: string, saleStartsAt?: string, saleEndsAt?: string, totalSeats?: number, maxTicketsPerBuyer?: number }
+ */
+router.patch('/:id', auth('manageEvents'), eventController.updateEvent);
+
+/**
+ * @route DELETE /api/v1/events/:id
+ * @desc Cancel an event: sales stop at once, purchases are cancelled and paid ones refunded
+ * @access Admin
+ */
+router.delete('/:id', auth('manageEvents'), eventController.cancelEvent);
+
 /**
  * @route GET /api/v1/events/:id/availability
  * @desc Get event seat availability
@@ -31,4 +68,121 @@ router.get('/:id', eventController.getEventById);
  */
 router.get('/:id/availability', eventController.getEventAvailability);
 
+/**
+ * @route GET /api/v1/events/:id/seat-map
+ * @desc Get the event's sections, rows and seats with per-seat status
+ * @access Public
+ */
+router.get('/:id/seat-map', eventController.getSeatMap);
+
+/**
+ * @route PUT /api/v1/events/:id/seat-map
+ * @desc Define the event's seat map (only before any seats are sold)
+ * @access Admin
+ * @body { sections: [{ name: string, rows: [{ label: string, seats: number }] }] }
+ */
+router.put('/:id/seat-map', auth('manageEvents'), validateBody(seatMapSchema), eventController.saveSeatMap);
+
+/**
+ * @route PUT /api/v1/events/:id/queue
+ * @desc Set the waiting room admission rate (buyers per second; 0 turns it off, null uses the default)
+ * @access Admin
+ * @body { admissionRate: number | null }
+ */
+router.put('/:id/queue', auth('manageEvents'), validateBody(queueSettingsSchema), eventController.setQueueSettings);
+
+/**
+ * @route POST /api/v1/events/:id/status
+ * @desc Move the event through its lifecycle (DRAFT -> ON_SALE <-> PAUSED -> COMPLETED, or CANCELLED); SOLD_OUT is set automatically
+ * @access Admin
+ * @body { status: "DRAFT" | "ON_SALE" | "PAUSED" | "CANCELLED" | "COMPLETED" }
+ */
+router.post('/:id/status', auth('manageEvents'), validateBody(eventStatusSchema), eventController.changeEventStatus);
+
+/**
+ * @route PUT /api/v1/events/:id/transfers
+ * @desc Allow or stop ticket transfers between buyers for the event
+ * @access Admin
+ * @body { enabled: boolean }
+ */
+router.put('/:id/transfers', auth('manageEvents'), validateBody(transferSettingsSchema), eventController.setTransferSettings);
+
+/**
+ * @route GET /api/v1/events/:id/tiers
+ * @desc Get the event's ticket tiers with price and availability
+ * @access Public
+ */
+router.get('/:id/tiers', eventController.getTiers);
+
+/**
+ * @route POST /api/v1/events/:id/tiers
+ * @desc Add a ticket tier (e.g. GA, VIP, early bird)
+ * @access Admin
+ * @body { name: string, price: number, currency?: string, capacity: number, saleStartsAt?: string, saleEndsAt?: string }
+ */
+router.post('/:id/tiers', auth('manageEvents'), validateBody(tierSchema), eventController.createTier);
+
+/**
+ * @route GET /api/v1/events/:id/promo-codes
+ * @desc Get the event's promo codes with redemption counts
+ * @access Admin
+ */
+router.get('/:id/promo-codes', auth('manageEvents'), eventController.getPromoCodes);
+
+/**
+ * @route POST /api/v1/events/:id/promo-codes
+ * @desc Create a promo code for the event
+ * @access Admin
+ * @body { code: string, discountType: "PERCENTAGE" | "FIXED", discountValue: number, maxRedemptions?: number, singleUsePerBuyer?: boolean, validFrom?: string, validUntil?: string, tierIds?: string[] }
+ */
+router.post('/:id/promo-codes', auth('manageEvents'), validateBody(promoCodeSchema), eventController.createPromoCode);
+
+/**
+ * @route GET /api/v1/events/:id/report
+ * @desc Sales report: totals, revenue and refunds per currency, conversion, sales over time and per tier
+ * @access Admin
+ * @query { bucket?: "hour" | "day", from?: date, to?: date } (buckets use the event's timezone)
+ */
+router.get('/:id/report', auth('viewStats'), validateQuery(salesReportQuerySchema), reportController.getSalesReport);
+
+/**
+ * @route GET /api/v1/events/:id/purchases/export
+ * @desc Download every purchase attempt for the event, oldest first, streamed as CSV or a JSON array
+ * @access Admin
+ * @query { format?: "csv" | "json", from?: date, to?: date }
+ */
+router.get('/:id/purchases/export', auth('viewStats'), validateQuery(purchaseExportQuerySchema), reportController.exportPurchases);
+
+/**
+ * @route POST /api/v1/events/:id/waitlist
+ * @desc Join a sold-out event's waitlist; released seats are offered in order as time-limited holds
+ * @access Public (one active entry per buyer)
+ * @headers X-Buyer-Id (required unless signed in or email is sent)
+ * @body { quantity: number, email?: string } (1-10)
+ */
+router.post('/:id/waitlist', optionalAuth(), validateBody(waitlistSchema), waitlistController.joinWaitlist);
+
+/**
+ * @route POST /api/v1/events/:id/check-in
+ * @desc Scan a ticket in at the door; each ticket is admitted once
+ * @access Staff, Admin
+ * @body { code: string }
+ */
+router.post('/:id/check-in', auth('checkIn'), validateBody(checkInSchema), issuedTicketController.checkIn);
+
+/**
+ * @route GET /api/v1/events/:id/check-in/manifest
+ * @desc Download the signed list of valid and used ticket code hashes for scanning offline
+ * @access Staff, Admin
+ */
+router.get('/:id/check-in/manifest', auth('checkIn'), issuedTicketController.getCheckInManifest);
+
+/**
+ * @route POST /api/v1/events/:id/check-in/sync
+ * @desc Upload scans recorded offline; tickets already checked in elsewhere are reported as conflicts
+ * @access Staff, Admin
+ * @body { deviceId: string, scans: [{ code: string, scannedAt: string }] } (up to 500 scans)
+ */
+router.post('/:id/check-in/sync', auth('checkIn'), validateBody(checkInSyncSchema), issuedTicketController.syncScans);
+
 module.exports = router; 
\ No newline at end of file
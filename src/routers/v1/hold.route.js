@@ -0,0 +1,47 @@
+const express = require('express');
+const holdController = require('../../controller/hold.controller');
+const { optionalAuth } = require('../../middlwares/auth');
+const { requireAdmission } = require('../../middlwares/waitingRoom');
+const { acceptingPurchases } = require('../../middlwares/shutdown');
+const { validateBody, validateIdempotencyHeader, holdSchema } = require('../../utils/validation');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/v1/holds
+ * @desc Hold seats for a limited time
+ * @access Public (counted against the buyer's purchase limit)
+ * @headers Idempotency-Key (required), X-Buyer-Id (required for anonymous buyers unless an email is sent), X-Queue-Token (required while the event has a waiting room)
+ * @body { eventId: string, quantity: number, email?: string } (1-10)
+ */
+router.post('/',
+  acceptingPurchases(),
+  optionalAuth(),
+  validateIdempotencyHeader(),
+  validateBody(holdSchema),
+  requireAdmission(),
+  holdController.createHold
+);
+
+/**
+ * @route GET /api/v1/holds/:id
+ * @desc Get hold by ID
+ * @access Public (the account that made the hold, the holder of its access key, or an admin)
+ * @headers X-Hold-Key (anonymous buyers: the hold's accessKey)
+ */
+router.get('/:id', optionalAuth(), holdController.getHoldById);
+
+/**
+ * @route POST /api/v1/holds/:id/confirm
+ * @desc Convert a hold into a purchase
+ * @access Public (the account that made the hold, the holder of its access key, or an admin; linked to the buyer when a bearer token is sent)
+ * @headers Idempotency-Key (required), X-Hold-Key (anonymous buyers: the hold's accessKey)
+ */
+router.post('/:id/confirm',
+  acceptingPurchases(),
+  optionalAuth(),
+  validateIdempotencyHeader(),
+  holdController.confirmHold
+);
+
+module.exports = router;
@@ -1,10 +1,22 @@
 const express = require("express");
 const router = express.Router();
+const AuthRoute = require("./auth.route");
 const EventRoute = require("./event.route");
 const PurchaseRoute = require("./purchase.route");
+const HoldRoute = require("./hold.route");
+const PaymentRoute = require("./payment.route");
+const WaitlistRoute = require("./waitlist.route");
+const WaitingRoomRoute = require("./waitingRoom.route");
+const IssuedTicketRoute = require("./issuedTicket.route");
+const TicketTransferRoute = require("./ticketTransfer.route");
 const TicketRoute = require("./ticket.route");
+const { recordRouteBase } = require("../../utils/metrics");
 
 const Routes = [
+  {
+    path: "/auth",
+    route: AuthRoute,
+  },
   {
     path: "/events",
     route: EventRoute,
@@ -13,6 +25,30 @@ const Routes = [
     path: "/purchases",
     route: PurchaseRoute,
   },
+  {
+    path: "/holds",
+    route: HoldRoute,
+  },
+  {
+    path: "/waitlist",
+    route: WaitlistRoute,
+  },
+  {
+    path: "/queue",
+    route: WaitingRoomRoute,
+  },
+  {
+    path: "/payments",
+    route: PaymentRoute,
+  },
+  {
+    path: "/tickets",
+    route: IssuedTicketRoute,
+  },
+  {
+    path: "/transfers",
+    route: TicketTransferRoute,
+  },
   // Core ticket reservation API
   {
     path: "/",
@@ -21,7 +57,7 @@ const Routes = [
 ];
 
 Routes.forEach((route) => {
-  router.use(route.path, route.route);
+  router.use(route.path, recordRouteBase, route.route);
 });
 
 module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const issuedTicketController = require('../../controller/issuedTicket.controller');
+const { auth, optionalAuth } = require('../../middlwares/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/tickets
+ * @desc Get the tickets you hold, bought or received by transfer
+ * @access Private
+ */
+router.get('/', auth(), issuedTicketController.getMyTickets);
+
+/**
+ * @route GET /api/v1/tickets/:id/qr
+ * @desc Get a ticket's QR payload, or the QR image with ?format=png
+ * @access Public (holder or admin; tickets of anonymous purchases need the purchase's X-Purchase-Key)
+ */
+router.get('/:id/qr', optionalAuth(), issuedTicketController.getTicketQr);
+
+/**
+ * @route GET /api/v1/tickets/:id/history
+ * @desc Get a ticket's ownership changes
+ * @access Public (holder or admin; tickets of anonymous purchases need the purchase's X-Purchase-Key)
+ */
+router.get('/:id/history', optionalAuth(), issuedTicketController.getTicketHistory);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const paymentController = require('../../controller/payment.controller');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/v1/payments/webhook
+ * @desc Payment provider webhook; finalizes the purchase as paid or failed (retries are no-ops)
+ * @access Provider (signature verified by the configured gateway)
+ * @headers X-Payment-Signature (fake gateway: hex HMAC-SHA256 of the raw body)
+ * @body { id: string, type: "payment.authorized" | "payment.failed", data: { paymentId: string, reference: string } }
+ */
+router.post('/webhook', paymentController.handleWebhook);
+
+module.exports = router;
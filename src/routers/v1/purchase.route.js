@@ -1,28 +1,41 @@
 const express = require('express');
 const purchaseController = require('../../controller/purchase.controller');
+const issuedTicketController = require('../../controller/issuedTicket.controller');
+const ticketTransferController = require('../../controller/ticketTransfer.controller');
+const { auth, optionalAuth } = require('../../middlwares/auth');
+const { requireAdmission } = require('../../middlwares/waitingRoom');
+const { acceptingPurchases } = require('../../middlwares/shutdown');
+const {
+  validateBody,
+  validateQuery,
+  transferSchema,
+  purchaseListQuerySchema
+} = require('../../utils/validation');
 
 const router = express.Router();
 
 /**
  * @route POST /api/v1/purchases
  * @desc Purchase tickets
- * @access Public
+ * @access Public (linked to the buyer when a bearer token is sent)
+ * @headers X-Buyer-Id (needed by anonymous buyers, or an email, when the event caps tickets per buyer), X-Queue-Token (required while the event has a waiting room)
  */
-router.post('/', purchaseController.purchaseTickets);
+router.post('/', acceptingPurchases(), optionalAuth(), requireAdmission(), purchaseController.purchaseTickets);
 
 /**
  * @route GET /api/v1/purchases
- * @desc Get all purchases
- * @access Public
+ * @desc List purchases, newest first, one page at a time
+ * @access Admin
+ * @query { limit?: number, cursor?: string, sortBy?: "createdAt" | "quantity", order?: "asc" | "desc", eventId?: string, status?: string, paymentStatus?: string, wasSuccessful?: boolean, search?: string, from?: date, to?: date } (search matches the event name)
  */
-router.get('/', purchaseController.getAllPurchases);
+router.get('/', auth('viewPurchases'), validateQuery(purchaseListQuerySchema), purchaseController.getAllPurchases);
 
 /**
  * @route GET /api/v1/purchases/stats
  * @desc Get purchase statistics
- * @access Public
+ * @access Admin
  */
-router.get('/stats', purchaseController.getPurchaseStats);
+router.get('/stats', auth('viewStats'), purchaseController.getPurchaseStats);
 
 /**
  * @route GET /api/v1/purchases/idempotency-key
@@ -34,15 +47,38 @@ router.get('/idempotency-key', purchaseController.generateIdempotencyKey);
 /**
  * @route GET /api/v1/purchases/:id
  * @desc Get purchase by ID
- * @access Public
+ * @access Public (buyer or admin; anonymous buyers send X-Purchase-Key)
+ */
+router.get('/:id', optionalAuth(), purchaseController.getPurchaseById);
+
+/**
+ * @route POST /api/v1/purchases/:id/cancel
+ * @desc Cancel a purchase and return its seats to inventory (idempotent)
+ * @access Public (buyer or admin; anonymous buyers send X-Purchase-Key)
  */
-router.get('/:id', purchaseController.getPurchaseById);
+router.post('/:id/cancel', optionalAuth(), purchaseController.cancelPurchase);
+
+/**
+ * @route GET /api/v1/purchases/:id/tickets
+ * @desc Get the tickets issued for a purchase, one per seat
+ * @access Public (buyer or admin; anonymous buyers send X-Purchase-Key)
+ */
+router.get('/:id/tickets', optionalAuth(), issuedTicketController.getPurchaseTickets);
+
+/**
+ * @route POST /api/v1/purchases/:id/transfers
+ * @desc Offer tickets from the purchase to another person, who must accept
+ * @access Private (current holder of the tickets, or an admin for them)
+ * @body { ticketIds: string[], email?: string, userId?: string } (exactly one of email or userId)
+ */
+router.post('/:id/transfers', auth(), validateBody(transferSchema), ticketTransferController.createTransfer);
 
 /**
  * @route GET /api/v1/purchases/event/:eventId
- * @desc Get all purchases for an event
- * @access Public
+ * @desc List an event's purchases, one page at a time
+ * @access Admin
+ * @query Same as GET /api/v1/purchases
  */
-router.get('/event/:eventId', purchaseController.getPurchasesByEventId);
+router.get('/event/:eventId', auth('viewPurchases'), validateQuery(purchaseListQuerySchema), purchaseController.getPurchasesByEventId);
 
 module.exports = router; 
\ No newline at end of file
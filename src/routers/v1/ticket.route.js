@@ -1,13 +1,12 @@
 const express = require('express');
 const ticketController = require('../../controller/ticket.controller');
 const { validateBody, validateIdempotencyHeader, purchaseSchema } = require('../../utils/validation');
-const { trackMetrics } = require('../../utils/metrics');
+const { auth, optionalAuth } = require('../../middlwares/auth');
+const { requireAdmission } = require('../../middlwares/waitingRoom');
+const { acceptingPurchases } = require('../../middlwares/shutdown');
 
 const router = express.Router();
 
-// Apply metrics tracking to all routes
-router.use(trackMetrics);
-
 /**
  * @route GET /event
  * @desc Get current event seat status
@@ -16,26 +15,62 @@ router.use(trackMetrics);
  */
 router.get('/event', ticketController.getEvent);
 
+/**
+ * @route GET /event/:eventId
+ * @desc Get seat status for a specific event
+ * @access Public
+ * @returns {Object} { eventId, totalSeats, seatsSold, seatsRemaining }
+ */
+router.get('/event/:eventId', ticketController.getEvent);
+
+/**
+ * @route GET /event/:eventId/stream
+ * @desc Server-Sent Events stream of seat availability; changes are coalesced
+ * @access Public
+ * @returns {Stream} "seats" events { eventId, totalSeats, seatsSold, seatsRemaining } and a "soldout" event { eventId }
+ */
+router.get('/event/:eventId/stream', ticketController.streamEvent);
+
 /**
  * @route POST /purchase
  * @desc Purchase tickets with idempotency and concurrency safety
- * @access Public
- * @headers Idempotency-Key (required)
- * @body { quantity: number } (1-10)
- * @returns {Object} { success: true, seatsRemaining } or { error: "SOLD_OUT" }
+ * @access Public (linked to the buyer when a bearer token is sent)
+ * @headers Idempotency-Key (required), X-Buyer-Id (identifies anonymous buyers; needed, or an email, when the event caps tickets per buyer), X-Queue-Token (required while the event has a waiting room)
+ * @body { quantity: number, eventId?: string, email?: string } (1-10, defaults to the newest open event)
+ * @returns {Object} { success: true, eventId, seatsRemaining } or { error: "SOLD_OUT" | "EVENT_NOT_FOUND" | "EVENT_CLOSED" | "SALES_NOT_STARTED" | "SALES_ENDED" | "PURCHASE_LIMIT_EXCEEDED" | "BUYER_ID_REQUIRED" | "SEAT_SELECTION_REQUIRED" | "TIER_SELECTION_REQUIRED" | "QUEUE_ADMISSION_REQUIRED", waitlistUrl? }
  */
 router.post('/purchase', 
+  acceptingPurchases(),
+  optionalAuth(),
   validateIdempotencyHeader(),
   validateBody(purchaseSchema),
+  requireAdmission(),
+  ticketController.purchaseTickets
+);
+
+/**
+ * @route POST /purchase/:eventId
+ * @desc Purchase tickets for a specific event
+ * @access Public (linked to the buyer when a bearer token is sent)
+ * @headers Idempotency-Key (required), X-Buyer-Id (needed by anonymous buyers, or an email, when the event caps tickets per buyer), X-Queue-Token (required while the event has a waiting room)
+ * @body { quantity: number, email?: string } (1-10)
+ * @returns {Object} { success: true, eventId, seatsRemaining } or { error: "SOLD_OUT" | "EVENT_NOT_FOUND" | "EVENT_CLOSED" | "SALES_NOT_STARTED" | "SALES_ENDED" | "PURCHASE_LIMIT_EXCEEDED" | "BUYER_ID_REQUIRED" | "SEAT_SELECTION_REQUIRED" | "TIER_SELECTION_REQUIRED" | "QUEUE_ADMISSION_REQUIRED", waitlistUrl? }
+ */
+router.post('/purchase/:eventId', 
+  acceptingPurchases(),
+  optionalAuth(),
+  validateIdempotencyHeader(),
+  validateBody(purchaseSchema),
+  requireAdmission(),
   ticketController.purchaseTickets
 );
 
 /**
  * @route GET /stats
  * @desc Get API performance metrics
- * @access Public
- * @returns {Object} { totalRequests, successPurchases, failedPurchases, p95Latency }
+ * @access Admin
+ * @returns {Object} { totalRequests, successPurchases, failedPurchases, p50Latency, p95Latency, p99Latency }
  */
-router.get('/stats', ticketController.getStats);
+router.get('/stats', auth('viewStats'), ticketController.getStats);
 
 module.exports = router; 
\ No newline at end of file
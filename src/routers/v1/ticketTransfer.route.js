@@ -0,0 +1,35 @@
+const express = require('express');
+const ticketTransferController = require('../../controller/ticketTransfer.controller');
+const { auth } = require('../../middlwares/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/transfers/:id
+ * @desc Get a ticket transfer
+ * @access Private (sender, recipient or admin)
+ */
+router.get('/:id', auth(), ticketTransferController.getTransfer);
+
+/**
+ * @route POST /api/v1/transfers/:id/accept
+ * @desc Accept a transfer; the tickets move to you under new codes
+ * @access Private (recipient)
+ */
+router.post('/:id/accept', auth(), ticketTransferController.acceptTransfer);
+
+/**
+ * @route POST /api/v1/transfers/:id/decline
+ * @desc Decline a transfer; the sender keeps the tickets
+ * @access Private (recipient)
+ */
+router.post('/:id/decline', auth(), ticketTransferController.declineTransfer);
+
+/**
+ * @route POST /api/v1/transfers/:id/cancel
+ * @desc Withdraw a transfer that has not been answered
+ * @access Private (sender or admin)
+ */
+router.post('/:id/cancel', auth(), ticketTransferController.cancelTransfer);
+
+module.exports = router;
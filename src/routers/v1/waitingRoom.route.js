@@ -0,0 +1,24 @@
+const express = require('express');
+const waitingRoomController = require('../../controller/waitingRoom.controller');
+const { optionalAuth } = require('../../middlwares/auth');
+const { queueJoinLimiter } = require('../../middlwares/rateLimiter');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/v1/queue/:eventId
+ * @desc Join the event's waiting room; a buyer already queued gets their place back
+ * @access Public (rate limited per IP)
+ * @headers X-Buyer-Id (anonymous buyers, unless an email is sent; the admission only works for this buyer)
+ * @returns {Object} { queueToken, status: "WAITING" | "ADMITTED", position, estimatedWaitSeconds?, admissionToken? }
+ */
+router.post('/:eventId', queueJoinLimiter, optionalAuth(), waitingRoomController.joinQueue);
+
+/**
+ * @route GET /api/v1/queue/:eventId/:queueToken
+ * @desc Poll queue position; returns a short-lived admission token once admitted
+ * @access Public
+ */
+router.get('/:eventId/:queueToken', waitingRoomController.getQueueStatus);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const waitlistController = require('../../controller/waitlist.controller');
+const { optionalAuth } = require('../../middlwares/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/waitlist/:id
+ * @desc Get a waitlist entry with its queue position and any outstanding offer
+ * @access Public (the buyer who joined, identified like when joining, or an admin)
+ * @headers X-Buyer-Id (anonymous buyers)
+ */
+router.get('/:id', optionalAuth(), waitlistController.getWaitlistEntry);
+
+/**
+ * @route DELETE /api/v1/waitlist/:id
+ * @desc Leave the waitlist (waiting entries only)
+ * @access Public (the buyer who joined, identified like when joining, or an admin)
+ * @headers X-Buyer-Id (anonymous buyers)
+ */
+router.delete('/:id', optionalAuth(), waitlistController.leaveWaitlist);
+
+module.exports = router;
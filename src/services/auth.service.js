@@ -0,0 +1,57 @@
+const UserService = require('./user.service');
+const TokenService = require('./token.service');
+const { deleteToken } = require('../models/token.model');
+const { createApiError } = require('../utils/apiError');
+const httpStatus = require('http-status');
+
+class AuthService {
+  /**
+   * Log in with email and password
+   * @param {string} email - User email
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object>}
+   */
+  static async loginUserWithEmailAndPassword(email, password) {
+    const user = await UserService.getUserByCredentials(email, password);
+    if (!user) {
+      throw createApiError(httpStatus.UNAUTHORIZED, 'Incorrect email or password');
+    }
+    return user;
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. The old refresh
+   * token is revoked so each one can only be used once.
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>}
+   */
+  static async refreshAuth(refreshToken) {
+    let tokenDoc;
+    try {
+      tokenDoc = await TokenService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw createApiError(httpStatus.UNAUTHORIZED, 'Please authenticate');
+    }
+
+    const user = await UserService.getUserById(tokenDoc.userId);
+    await deleteToken(tokenDoc.id);
+    return await TokenService.generateAuthTokens(user);
+  }
+
+  /**
+   * Revoke a refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<void>}
+   */
+  static async logout(refreshToken) {
+    let tokenDoc;
+    try {
+      tokenDoc = await TokenService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Token not found');
+    }
+    await deleteToken(tokenDoc.id);
+  }
+}
+
+module.exports = AuthService;
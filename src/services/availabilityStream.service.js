@@ -0,0 +1,208 @@
+const SeatCacheService = require('./seatCache.service');
+const { seatEvents, SEAT_EVENTS } = require('../utils/seatEvents');
+const { createApiError } = require('../utils/apiError');
+const httpStatus = require('http-status');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+/**
+ * Server-Sent Events push of seat availability.
+ *
+ * Seat counter changes only mark an event dirty; a flush every
+ * coalesceMs sends each subscribed event's latest count once, so a
+ * burst of purchases becomes one message per interval.
+ */
+
+// eventId -> { clients: Set<res>, lastSent: seatsRemaining|null, soldOutSent }
+const streams = new Map();
+// Events changed since the last flush
+const dirty = new Set();
+
+let flushInterval = null;
+let heartbeatInterval = null;
+
+const onSeatsChanged = ({ eventId }) => {
+  if (streams.has(eventId)) {
+    dirty.add(eventId);
+  }
+};
+
+const toSnapshot = (entry) => ({
+  eventId: entry.eventId,
+  totalSeats: entry.totalSeats,
+  seatsSold: entry.seatsSold,
+  seatsRemaining: Math.max(0, entry.totalSeats - entry.seatsSold)
+});
+
+/**
+ * Write one SSE message
+ * @param {Object} res - Express response
+ * @param {string} event - SSE event name
+ * @param {Object} data - JSON payload
+ */
+const send = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Send an event's current count to its subscribers if it changed
+ * @param {string} eventId - Event ID
+ * @param {Object} stream - Stream state
+ * @returns {Promise<void>}
+ */
+const publish = async (eventId, stream) => {
+  // Reloads entries invalidated by the transactional paths
+  const entry = await SeatCacheService.getEntry(eventId);
+  if (!entry) {
+    return;
+  }
+
+  const snapshot = toSnapshot(entry);
+  if (snapshot.seatsRemaining === stream.lastSent) {
+    return;
+  }
+
+  stream.clients.forEach((res) => send(res, 'seats', snapshot));
+  stream.lastSent = snapshot.seatsRemaining;
+
+  if (snapshot.seatsRemaining === 0 && !stream.soldOutSent) {
+    stream.clients.forEach((res) => send(res, 'soldout', { eventId }));
+    stream.soldOutSent = true;
+    logger.info(`[STREAM_SOLD_OUT] Event: ${eventId}, Subscribers: ${stream.clients.size}`);
+  } else if (snapshot.seatsRemaining > 0) {
+    // Seats came back; announce the next sell-out too
+    stream.soldOutSent = false;
+  }
+};
+
+class AvailabilityStreamService {
+  /**
+   * Subscribe a response to an event's availability stream
+   * @param {string} eventId - Event ID
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Promise<void>}
+   */
+  static async subscribe(eventId, req, res) {
+    // Listen before the lookup: a client that leaves while it runs must
+    // not be added, or it would never be removed
+    let stream = null;
+    let closed = false;
+    req.on('close', () => {
+      closed = true;
+      if (!stream) {
+        return;
+      }
+      stream.clients.delete(res);
+      if (stream.clients.size === 0) {
+        streams.delete(eventId);
+        dirty.delete(eventId);
+      }
+    });
+
+    const entry = await SeatCacheService.getEntry(eventId);
+    if (!entry) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
+    }
+
+    if (closed) {
+      return;
+    }
+
+    res.writeHead(httpStatus.OK, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${config.stream.retryMs}\n\n`);
+
+    // New subscribers always get the current state, including sold out
+    const snapshot = toSnapshot(entry);
+    if (!streams.has(eventId)) {
+      streams.set(eventId, {
+        clients: new Set(),
+        lastSent: snapshot.seatsRemaining,
+        soldOutSent: snapshot.seatsRemaining === 0
+      });
+    }
+    stream = streams.get(eventId);
+    stream.clients.add(res);
+
+    send(res, 'seats', snapshot);
+    if (snapshot.seatsRemaining === 0) {
+      send(res, 'soldout', { eventId });
+    }
+  }
+
+  /**
+   * Send pending changes to subscribers
+   */
+  static flush() {
+    dirty.forEach((eventId) => {
+      const stream = streams.get(eventId);
+      if (stream) {
+        publish(eventId, stream).catch((error) => {
+          logger.error(`[STREAM_ERROR] Failed to publish availability for event ${eventId}:`, error);
+        });
+      }
+    });
+    dirty.clear();
+  }
+
+  /**
+   * Start listening for seat changes
+   */
+  static start() {
+    if (flushInterval) {
+      return;
+    }
+
+    seatEvents.on(SEAT_EVENTS.CHANGED, onSeatsChanged);
+    flushInterval = setInterval(() => this.flush(), config.stream.coalesceMs);
+    flushInterval.unref();
+
+    // Comment lines keep idle connections open through proxies
+    heartbeatInterval = setInterval(() => {
+      streams.forEach((stream) => stream.clients.forEach((res) => res.write(': ping\n\n')));
+    }, config.stream.heartbeatMs);
+    heartbeatInterval.unref();
+  }
+
+  /**
+   * Stop listening and close every stream
+   */
+  static stop() {
+    if (!flushInterval) {
+      return;
+    }
+
+    seatEvents.off(SEAT_EVENTS.CHANGED, onSeatsChanged);
+    clearInterval(flushInterval);
+    clearInterval(heartbeatInterval);
+    flushInterval = null;
+    heartbeatInterval = null;
+
+    streams.forEach((stream) => stream.clients.forEach((res) => res.end()));
+    streams.clear();
+    dirty.clear();
+  }
+
+  /**
+   * Get stream statistics
+   * @returns {Object}
+   */
+  static getStats() {
+    let subscribers = 0;
+    streams.forEach((stream) => {
+      subscribers += stream.clients.size;
+    });
+    return {
+      events: streams.size,
+      subscribers
+    };
+  }
+}
+
+module.exports = AvailabilityStreamService;
@@ -0,0 +1,174 @@
+const { v4: uuidv4 } = require('uuid');
+const SeatCacheService = require('../seatCache.service');
+const { reserveEventSeats } = require('../../models/event.model');
+const { getPurchaseByIdempotencyKey, getBuyerSeatCount } = require('../../models/purchase.model');
+const { issueTicketsForPurchase } = require('../../models/issuedTicket.model');
+const { createCodedError } = require('../../utils/apiError');
+const { generateAccessKey } = require('../../utils/buyer');
+const httpStatus = require('http-status');
+const prisma = require('../../config/database');
+
+/**
+ * Multi-instance coordination through the shared database. Seats are
+ * taken with a conditional update on Event.seatsSold and each result is
+ * stored with its purchase row, whose idempotency key is unique, in the
+ * same transaction. Any number of processes can sell from one database;
+ * each purchase costs a write transaction instead of a memory update.
+ */
+
+const isUniqueViolation = (error) => error && error.code === 'P2002';
+
+/**
+ * Read the result stored with a purchase row for an idempotency key
+ * @param {string} idempotencyKey - Idempotency key
+ * @returns {Promise<Object|null>}
+ */
+const getStoredResult = async (idempotencyKey) => {
+  const purchase = await getPurchaseByIdempotencyKey(idempotencyKey);
+  if (!purchase) {
+    return null;
+  }
+
+  // Purchases made through other endpoints store no response to replay
+  if (!purchase.responseBody) {
+    return {
+      error: 'IDEMPOTENCY_KEY_IN_USE',
+      statusCode: 409,
+      eventId: purchase.eventId
+    };
+  }
+
+  return { ...JSON.parse(purchase.responseBody), statusCode: purchase.statusCode };
+};
+
+class DatabaseCoordinator {
+  constructor() {
+    this.name = 'database';
+  }
+
+  /**
+   * Get the stored result for an idempotency key
+   * @param {string} idempotencyKey - Idempotency key
+   * @returns {Promise<Object|null>}
+   */
+  async getResult(idempotencyKey) {
+    return await getStoredResult(idempotencyKey);
+  }
+
+  /**
+   * Take seats for a fast-path purchase and record the outcome
+   * @param {Object} entry - Seat cache entry of an event that is selling
+   * @param {Object} purchase - { quantity, idempotencyKey, userId, buyerKey }
+   * @returns {Promise<Object>} Success or error result, with its statusCode
+   */
+  async purchase(entry, { quantity, idempotencyKey, userId, buyerKey }) {
+    const { eventId } = entry;
+    let outcome;
+
+    try {
+      outcome = await prisma.$transaction(async (tx) => {
+        const { reserved, event } = await reserveEventSeats(tx, eventId, quantity, entry.totalSeats);
+
+        if (!reserved) {
+          const soldOutResponse = {
+            error: 'SOLD_OUT',
+            eventId,
+            seatsRemaining: event ? Math.max(0, event.totalSeats - event.seatsSold) : 0,
+            waitlistUrl: `/api/v1/events/${eventId}/waitlist`
+          };
+          await tx.purchase.create({
+            data: {
+              eventId,
+              quantity,
+              idempotencyKey,
+              statusCode: 409,
+              responseBody: JSON.stringify(soldOutResponse),
+              wasSuccessful: false,
+              userId,
+              buyerKey
+            }
+          });
+          return { result: { ...soldOutResponse, statusCode: 409 }, event };
+        }
+
+        // Counted after the seat update, which makes concurrent purchases
+        // for this event wait for each other, so the count is current
+        if (buyerKey && entry.maxTicketsPerBuyer) {
+          const alreadyBought = await getBuyerSeatCount(eventId, buyerKey, tx);
+          if (alreadyBought + quantity > entry.maxTicketsPerBuyer) {
+            // Throwing rolls the seats back
+            throw createCodedError(httpStatus.CONFLICT, 'PURCHASE_LIMIT_EXCEEDED', 'Purchase limit exceeded');
+          }
+        }
+
+        const purchaseId = uuidv4();
+        const accessKey = userId ? null : generateAccessKey();
+        const successResponse = {
+          success: true,
+          eventId,
+          purchaseId,
+          ...(accessKey && { accessKey }),
+          seatsRemaining: event.totalSeats - event.seatsSold
+        };
+        const purchase = await tx.purchase.create({
+          data: {
+            id: purchaseId,
+            eventId,
+            quantity,
+            idempotencyKey,
+            statusCode: 200,
+            responseBody: JSON.stringify(successResponse),
+            wasSuccessful: true,
+            userId,
+            buyerKey,
+            accessKey
+          }
+        });
+        await issueTicketsForPurchase(tx, purchase);
+
+        return { result: { ...successResponse, statusCode: 200 }, event };
+      });
+    } catch (error) {
+      if (error.errorCode === 'PURCHASE_LIMIT_EXCEEDED') {
+        return {
+          error: 'PURCHASE_LIMIT_EXCEEDED',
+          statusCode: 409,
+          eventId
+        };
+      }
+
+      // Lost a race against a concurrent request with the same key,
+      // possibly on another instance
+      if (isUniqueViolation(error)) {
+        const stored = await this.getResult(idempotencyKey);
+        if (stored) {
+          return { ...stored, isIdempotent: true };
+        }
+      }
+      throw error;
+    }
+
+    if (outcome.event) {
+      SeatCacheService.setSeatsSold(eventId, outcome.event.seatsSold);
+    }
+    if (outcome.result.success) {
+      SeatCacheService.addBuyerSeats(eventId, buyerKey, quantity);
+    }
+    return outcome.result;
+  }
+
+  /**
+   * Get coordination statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      backend: this.name
+    };
+  }
+}
+
+module.exports = {
+  getStoredResult,
+  DatabaseCoordinator
+};
@@ -0,0 +1,40 @@
+const config = require('../../config/config');
+const { MemoryCoordinator } = require('./memory.coordinator');
+const { DatabaseCoordinator } = require('./database.coordinator');
+
+/**
+ * Coordination backends by name (COORDINATION_BACKEND). They decide how
+ * the fast purchase path takes seats and remembers idempotency results:
+ *   getResult(idempotencyKey) -> stored result or null
+ *   purchase(entry, { quantity, idempotencyKey, userId, buyerKey })
+ *     -> { success, eventId, seatsRemaining, statusCode } or { error, statusCode, eventId, ... };
+ *        isIdempotent is set when another request with the key got there first
+ *   getStats()                -> { backend, ... }
+ * memory suits a single instance; database lets several instances share
+ * one database.
+ */
+const coordinators = {
+  memory: () => new MemoryCoordinator(),
+  database: () => new DatabaseCoordinator()
+};
+
+let coordinator = null;
+
+/**
+ * Get the configured coordination backend
+ * @returns {Object}
+ */
+const getCoordinator = () => {
+  if (!coordinator) {
+    const factory = coordinators[config.coordination.backend];
+    if (!factory) {
+      throw new Error(`Unknown coordination backend: ${config.coordination.backend}`);
+    }
+    coordinator = factory();
+  }
+  return coordinator;
+};
+
+module.exports = {
+  getCoordinator
+};
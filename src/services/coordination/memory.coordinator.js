@@ -0,0 +1,159 @@
+const { v4: uuidv4 } = require('uuid');
+const SeatCacheService = require('../seatCache.service');
+const PurchaseOutboxService = require('../purchaseOutbox.service');
+const { getStoredResult } = require('./database.coordinator');
+const { getSaleBlocker } = require('../../models/event.model');
+const { generateAccessKey } = require('../../utils/buyer');
+const logger = require('../../config/logger');
+
+/**
+ * Single-instance coordination. Seats are taken from the in-memory seat
+ * counter and idempotency results live in process memory, falling back
+ * to the database for keys used before a restart; accepted purchases
+ * reach the database later through the write-ahead outbox.
+ * Fastest, but two instances would each sell from their own counter.
+ */
+class MemoryCoordinator {
+  constructor() {
+    this.name = 'memory';
+    // idempotencyKey -> result
+    this.results = new Map();
+  }
+
+  /**
+   * Get the stored result for an idempotency key. Results from before a
+   * restart are only in the database, where the outbox put them.
+   * @param {string} idempotencyKey - Idempotency key
+   * @returns {Promise<Object|null>}
+   */
+  async getResult(idempotencyKey) {
+    if (this.results.has(idempotencyKey)) {
+      return this.results.get(idempotencyKey);
+    }
+
+    const stored = await getStoredResult(idempotencyKey);
+    // A request for the key may have been answered while we read
+    if (this.results.has(idempotencyKey)) {
+      return this.results.get(idempotencyKey);
+    }
+    if (stored) {
+      this.results.set(idempotencyKey, stored);
+    }
+    return stored;
+  }
+
+  /**
+   * Take seats for a fast-path purchase and record the outcome
+   * @param {Object} entry - Seat cache entry of an event that is selling
+   * @param {Object} purchase - { quantity, idempotencyKey, userId, buyerKey }
+   * @returns {Promise<Object>} Success or error result, with its statusCode
+   */
+  async purchase(entry, { quantity, idempotencyKey, userId, buyerKey }) {
+    const { eventId } = entry;
+
+    await SeatCacheService.loadBuyerCount(entry, buyerKey);
+
+    // A concurrent request may have stored a result for this key while we awaited the cache
+    if (this.results.has(idempotencyKey)) {
+      return { ...this.results.get(idempotencyKey), isIdempotent: true };
+    }
+
+    // The event may have been cancelled or paused while we awaited the cache
+    const saleBlocker = getSaleBlocker(entry);
+    if (saleBlocker) {
+      return {
+        error: saleBlocker,
+        statusCode: 409,
+        eventId
+      };
+    }
+
+    if (SeatCacheService.exceedsBuyerLimit(entry, buyerKey, quantity)) {
+      return {
+        error: 'PURCHASE_LIMIT_EXCEEDED',
+        statusCode: 409,
+        eventId
+      };
+    }
+
+    if (!SeatCacheService.reserve(entry, quantity, buyerKey)) {
+      const seatsRemaining = entry.totalSeats - entry.seatsSold;
+      const soldOutResponse = {
+        error: 'SOLD_OUT',
+        statusCode: 409,
+        eventId,
+        seatsRemaining: seatsRemaining,
+        waitlistUrl: `/api/v1/events/${eventId}/waitlist`
+      };
+
+      this.results.set(idempotencyKey, soldOutResponse);
+
+      try {
+        PurchaseOutboxService.append({
+          eventId: eventId,
+          quantity: quantity,
+          idempotencyKey: idempotencyKey,
+          statusCode: 409,
+          responseBody: JSON.stringify({ error: 'SOLD_OUT' }),
+          wasSuccessful: false,
+          userId: userId,
+          buyerKey: buyerKey
+        });
+      } catch (error) {
+        logger.warn('[PURCHASE_OUTBOX_ERROR] Could not record sold-out attempt', { eventId, idempotencyKey, error: error.message });
+      }
+
+      return soldOutResponse;
+    }
+
+    // The row is written later, so its ID is chosen now for the buyer to keep
+    const purchaseId = uuidv4();
+    const accessKey = userId ? null : generateAccessKey();
+    const successResponse = {
+      success: true,
+      eventId: eventId,
+      purchaseId: purchaseId,
+      ...(accessKey && { accessKey }),
+      seatsRemaining: entry.totalSeats - entry.seatsSold,
+      statusCode: 200
+    };
+
+    // The sale only counts once it is in the outbox; if that write fails the
+    // client gets an error and the seats go straight back
+    try {
+      PurchaseOutboxService.append({
+        purchaseId: purchaseId,
+        eventId: eventId,
+        quantity: quantity,
+        idempotencyKey: idempotencyKey,
+        accessKey: accessKey,
+        statusCode: 200,
+        responseBody: JSON.stringify(successResponse),
+        wasSuccessful: true,
+        userId: userId,
+        buyerKey: buyerKey
+      });
+    } catch (error) {
+      SeatCacheService.rollback(eventId, quantity, buyerKey);
+      throw error;
+    }
+
+    this.results.set(idempotencyKey, successResponse);
+    return successResponse;
+  }
+
+  /**
+   * Get coordination statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      backend: this.name,
+      idempotencyRecords: this.results.size
+    };
+  }
+}
+
+module.exports = {
+  MemoryCoordinator
+};
@@ -1,18 +1,152 @@
 const { 
+  EVENT_STATUS,
   getEventById, 
   getAllEvents, 
-  createEvent 
+  createEvent,
+  updateEvent,
+  canTransitionEvent,
+  transitionEventStatus
 } = require('../models/event.model');
-const { createApiError } = require('../utils/apiError');
+const { PURCHASE_STATUS, PAYMENT_STATUS } = require('../models/purchase.model');
+const { ISSUED_TICKET_STATUS } = require('../models/issuedTicket.model');
+const { TRANSFER_STATUS } = require('../models/ticketTransfer.model');
+const { HOLD_STATUS } = require('../models/hold.model');
+const { WAITLIST_STATUS } = require('../models/waitlist.model');
+const { getTiersByEventId } = require('../models/tier.model');
+const SeatCacheService = require('./seatCache.service');
+const TierService = require('./tier.service');
+const PaymentService = require('./payment.service');
+const PurchaseOutboxService = require('./purchaseOutbox.service');
+const { seatEvents, SEAT_EVENTS } = require('../utils/seatEvents');
+const { createApiError, createCodedError } = require('../utils/apiError');
 const httpStatus = require('http-status');
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+
+// Details that can be edited after creation; status and capacity have their own rules
+const EDITABLE_FIELDS = ['name', 'description', 'venue', 'timezone', 'maxTicketsPerBuyer'];
+const SCHEDULE_FIELDS = {
+  startsAt: 'Event start time',
+  endsAt: 'Event end time',
+  saleStartsAt: 'Sale start time',
+  saleEndsAt: 'Sale end time'
+};
+
+// How long cancelling waits for the event's unsaved sales to reach the database
+const CANCEL_DRAIN_TIMEOUT_MS = 10 * 1000;
+
+// eventId -> in-flight sold-out sync; syncs for one event never overlap
+const soldOutSyncs = new Map();
+// Events whose seat count changed while a sync was in flight
+const resync = new Set();
+
+let listening = false;
+
+const onSeatsChanged = ({ eventId }) => {
+  EventService.syncSoldOutStatus(eventId).catch((error) => {
+    logger.error(`[EVENT_STATUS_ERROR] Failed to sync sold-out status for event ${eventId}:`, error);
+  });
+};
+
+/**
+ * Parse an optional date field
+ * @param {*} value - Date string, Date or empty
+ * @param {string} label - Field name for errors
+ * @returns {Date|null}
+ */
+const parseOptionalDate = (value, label) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createApiError(httpStatus.BAD_REQUEST, `${label} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Check that a timezone is a known IANA zone
+ * @param {string} timezone - Zone name, e.g. Europe/London
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check an event's descriptive and limit fields. Fields left undefined
+ * are skipped, so this also serves partial updates.
+ * @param {Object} fields - Event fields
+ */
+const validateEventFields = ({ name, description, venue, timezone, totalSeats, maxTicketsPerBuyer, queueAdmissionRate }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 200)) {
+    throw createApiError(httpStatus.BAD_REQUEST, 'Event name must be non-empty text of at most 200 characters');
+  }
+
+  if (description !== undefined && description !== null
+    && (typeof description !== 'string' || description.length > 5000)) {
+    throw createApiError(httpStatus.BAD_REQUEST, 'Description must be text of at most 5000 characters');
+  }
+
+  if (venue !== undefined && venue !== null
+    && (typeof venue !== 'string' || venue.length > 200)) {
+    throw createApiError(httpStatus.BAD_REQUEST, 'Venue must be text of at most 200 characters');
+  }
+
+  if (timezone !== undefined && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+    throw createApiError(httpStatus.BAD_REQUEST, 'Timezone must be an IANA time zone such as Europe/London');
+  }
+
+  if (totalSeats !== undefined && (!Number.isInteger(totalSeats) || totalSeats <= 0)) {
+    throw createApiError(httpStatus.BAD_REQUEST, 'Total seats must be an integer greater than 0');
+  }
+
+  if (maxTicketsPerBuyer !== undefined && maxTicketsPerBuyer !== null
+    && (!Number.isInteger(maxTicketsPerBuyer) || maxTicketsPerBuyer < 0)) {
+    throw createApiError(httpStatus.BAD_REQUEST, 'Max tickets per buyer must be a non-negative integer');
+  }
+
+  if (queueAdmissionRate !== undefined && queueAdmissionRate !== null
+    && (!Number.isInteger(queueAdmissionRate) || queueAdmissionRate < 0)) {
+    throw createApiError(httpStatus.BAD_REQUEST, 'Queue admission rate must be a non-negative integer');
+  }
+};
+
+/**
+ * Check an event's times fit together
+ * @param {Object} schedule - { startsAt, endsAt, saleStartsAt, saleEndsAt } as Dates or null
+ */
+const validateSchedule = ({ startsAt, endsAt, saleStartsAt, saleEndsAt }) => {
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    throw createApiError(httpStatus.BAD_REQUEST, 'Event end time must be after its start time');
+  }
+
+  if (saleStartsAt && saleEndsAt && saleEndsAt <= saleStartsAt) {
+    throw createApiError(httpStatus.BAD_REQUEST, 'Sale end time must be after sale start time');
+  }
+
+  const eventEnd = endsAt || startsAt;
+  if (saleStartsAt && eventEnd && saleStartsAt >= eventEnd) {
+    throw createApiError(httpStatus.BAD_REQUEST, 'Sales must start before the event is over');
+  }
+};
 
 class EventService {
   /**
-   * Get all events
-   * @returns {Promise<Array>}
+   * Get a page of events
+   * @param {Object} query - Validated list query: filters plus limit, cursor, sortBy and order
+   * @returns {Promise<Object>} { data, pagination }
    */
-  static async getAllEvents() {
-    return await getAllEvents();
+  static async getAllEvents(query = {}) {
+    const { limit, cursor, sortBy, order, ...filters } = query;
+    return await getAllEvents(filters, { limit, cursor, sortBy, order });
   }
 
   /**
@@ -34,20 +168,392 @@ class EventService {
    * @returns {Promise<Object>}
    */
   static async createEvent(eventData) {
-    const { name, totalSeats = 5000 } = eventData;
+    const {
+      name,
+      description,
+      venue,
+      timezone = 'UTC',
+      status = EVENT_STATUS.DRAFT,
+      totalSeats = 5000,
+      maxTicketsPerBuyer,
+      queueAdmissionRate
+    } = eventData;
 
     if (!name) {
       throw createApiError(httpStatus.BAD_REQUEST, 'Event name is required');
     }
 
-    if (totalSeats <= 0) {
-      throw createApiError(httpStatus.BAD_REQUEST, 'Total seats must be greater than 0');
+    // New events are drafts unless published straight away
+    if (status !== EVENT_STATUS.DRAFT && status !== EVENT_STATUS.ON_SALE) {
+      throw createApiError(httpStatus.BAD_REQUEST, 'New events must be DRAFT or ON_SALE');
     }
 
-    return await createEvent({
+    validateEventFields({ name, description, venue, timezone, totalSeats, maxTicketsPerBuyer, queueAdmissionRate });
+
+    const schedule = {};
+    Object.entries(SCHEDULE_FIELDS).forEach(([field, label]) => {
+      schedule[field] = parseOptionalDate(eventData[field], label);
+    });
+    validateSchedule(schedule);
+
+    const event = await createEvent({
       name,
-      totalSeats
+      description: description ?? null,
+      venue: venue ?? null,
+      timezone,
+      status,
+      totalSeats,
+      ...schedule,
+      maxTicketsPerBuyer: maxTicketsPerBuyer ?? null,
+      queueAdmissionRate: queueAdmissionRate ?? null
+    });
+
+    // Id-less fast path requests target the newest open event
+    SeatCacheService.clearDefaultEvent();
+
+    return event;
+  }
+
+  /**
+   * Edit an event's details, schedule or capacity. Fields left out are
+   * unchanged; dates and nullable fields can be cleared with null.
+   * @param {string} id - Event ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>}
+   */
+  static async updateEvent(id, updates) {
+    const event = await this.getEventById(id);
+
+    if (event.status === EVENT_STATUS.CANCELLED || event.status === EVENT_STATUS.COMPLETED) {
+      throw createApiError(httpStatus.CONFLICT, `${event.status === EVENT_STATUS.CANCELLED ? 'Cancelled' : 'Completed'} events cannot be edited`);
+    }
+
+    validateEventFields({
+      name: updates.name,
+      description: updates.description,
+      venue: updates.venue,
+      timezone: updates.timezone,
+      totalSeats: updates.totalSeats,
+      maxTicketsPerBuyer: updates.maxTicketsPerBuyer
+    });
+
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (updates[field] !== undefined) {
+        data[field] = updates[field];
+      }
+    });
+
+    // The new times must fit with the ones that are kept
+    const schedule = {};
+    Object.entries(SCHEDULE_FIELDS).forEach(([field, label]) => {
+      if (updates[field] !== undefined) {
+        data[field] = parseOptionalDate(updates[field], label);
+      }
+      schedule[field] = field in data ? data[field] : event[field];
+    });
+    validateSchedule(schedule);
+
+    if (updates.totalSeats !== undefined && updates.totalSeats !== event.totalSeats) {
+      await this.changeCapacity(event, updates.totalSeats);
+    }
+
+    if (Object.keys(data).length > 0) {
+      await updateEvent(id, data);
+    }
+
+    // Sale window and buyer limit changes apply to the fast path right away
+    SeatCacheService.invalidate(id);
+
+    logger.info(`[EVENT_UPDATED] Event: ${id}`);
+    return await this.getEventById(id);
+  }
+
+  /**
+   * Raise or lower an event's capacity. It cannot drop below the seats
+   * already sold, including sales the fast path has not persisted yet.
+   * @param {Object} event - Event object
+   * @param {number} totalSeats - New capacity
+   * @returns {Promise<void>}
+   */
+  static async changeCapacity(event, totalSeats) {
+    if (event.hasSeatMap) {
+      throw createApiError(httpStatus.CONFLICT, 'Reserved seating events take their capacity from the seat map');
+    }
+
+    const tiers = await getTiersByEventId(event.id);
+    const allocated = tiers.reduce((sum, tier) => sum + tier.capacity, 0);
+    if (totalSeats < allocated) {
+      throw createApiError(httpStatus.BAD_REQUEST, `Capacity cannot be below the seats allocated to tiers (${allocated})`);
+    }
+
+    // Memory first: once the cache has the new capacity the fast path
+    // cannot sell past it, whatever happens to the write below
+    const entry = await SeatCacheService.getEntry(event.id);
+    const previousSeats = entry.totalSeats;
+    if (!SeatCacheService.setCapacity(entry, totalSeats)) {
+      throw createCodedError(
+        httpStatus.CONFLICT,
+        'CAPACITY_BELOW_SOLD',
+        `Capacity cannot be lower than the seats already sold (${entry.seatsSold})`
+      );
+    }
+
+    const { count } = await prisma.event.updateMany({
+      where: {
+        id: event.id,
+        seatsSold: { lte: totalSeats }
+      },
+      data: { totalSeats }
     });
+
+    if (count === 0) {
+      SeatCacheService.setCapacity(entry, previousSeats);
+      throw createCodedError(httpStatus.CONFLICT, 'CAPACITY_BELOW_SOLD', 'Capacity cannot be lower than the seats already sold');
+    }
+
+    logger.info(`[EVENT_CAPACITY] Event: ${event.id}, ${previousSeats} -> ${totalSeats}`);
+  }
+
+  /**
+   * Cancel an event: stop sales at once, cancel every purchase and mark
+   * paid ones for refund, void tickets and close holds, transfers and
+   * the waitlist. Refunds go out in the background.
+   * @param {string} id - Event ID
+   * @returns {Promise<Object>} { event, cancelledPurchases, refundsPending, isNewCancellation }
+   */
+  static async cancelEvent(id) {
+    const event = await this.getEventById(id);
+    const isNewCancellation = event.status !== EVENT_STATUS.CANCELLED;
+
+    if (isNewCancellation) {
+      if (!canTransitionEvent(event.status, EVENT_STATUS.CANCELLED)) {
+        throw createCodedError(
+          httpStatus.CONFLICT,
+          'INVALID_STATUS_TRANSITION',
+          `Event cannot move from ${event.status} to ${EVENT_STATUS.CANCELLED}`
+        );
+      }
+
+      if (!(await transitionEventStatus(id, event.status, EVENT_STATUS.CANCELLED))) {
+        throw createApiError(httpStatus.CONFLICT, 'Event status changed concurrently, please retry');
+      }
+    }
+
+    // The fast path only looks at the cache, so stop it there, then get
+    // what it already sold into the database so it is cancelled too,
+    // including records waiting out a retry. Anything that still lands
+    // later is recorded as cancelled by the outbox itself.
+    // Repeating this for a cancelled event finishes an interrupted run.
+    SeatCacheService.setStatus(id, EVENT_STATUS.CANCELLED);
+    const { remaining } = await PurchaseOutboxService.drain(Date.now() + CANCEL_DRAIN_TIMEOUT_MS, id);
+    if (remaining > 0) {
+      throw createCodedError(
+        httpStatus.SERVICE_UNAVAILABLE,
+        'OUTBOX_NOT_DRAINED',
+        'Event is cancelled but some of its sales are not saved yet, please retry to finish'
+      );
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const now = new Date();
+
+      // Nothing was taken for these; the provider's late webhooks are ignored
+      await tx.purchase.updateMany({
+        where: { eventId: id, paymentStatus: PAYMENT_STATUS.PENDING },
+        data: { paymentStatus: PAYMENT_STATUS.FAILED, wasSuccessful: false }
+      });
+
+      const { count: refundsPending } = await tx.purchase.updateMany({
+        where: { eventId: id, status: PURCHASE_STATUS.CONFIRMED, paymentStatus: PAYMENT_STATUS.PAID },
+        data: { paymentStatus: PAYMENT_STATUS.REFUND_PENDING }
+      });
+
+      const { count: cancelledPurchases } = await tx.purchase.updateMany({
+        where: {
+          eventId: id,
+          status: PURCHASE_STATUS.CONFIRMED,
+          OR: [{ wasSuccessful: true }, { wasSuccessful: null }]
+        },
+        data: { status: PURCHASE_STATUS.CANCELLED, cancelledAt: now }
+      });
+
+      await tx.ticket.updateMany({
+        where: { eventId: id, status: ISSUED_TICKET_STATUS.VALID },
+        data: { status: ISSUED_TICKET_STATUS.CANCELLED }
+      });
+
+      await tx.ticketTransfer.updateMany({
+        where: { eventId: id, status: TRANSFER_STATUS.PENDING },
+        data: { status: TRANSFER_STATUS.CANCELLED, respondedAt: now }
+      });
+
+      await tx.hold.updateMany({
+        where: { eventId: id, status: HOLD_STATUS.ACTIVE },
+        data: { status: HOLD_STATUS.EXPIRED }
+      });
+
+      await tx.waitlistEntry.updateMany({
+        where: { eventId: id, status: { in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] } },
+        data: { status: WAITLIST_STATUS.LAPSED }
+      });
+
+      return { cancelledPurchases, refundsPending };
+    });
+
+    SeatCacheService.invalidate(id);
+
+    logger.info(`[EVENT_CANCELLED] Event: ${id}, Purchases cancelled: ${result.cancelledPurchases}, Refunds pending: ${result.refundsPending}`);
+
+    // The payment sweeper retries any refund that fails here
+    PaymentService.processPendingRefunds().catch((error) => {
+      logger.error(`[REFUND_ERROR] Refunds for cancelled event ${id} failed:`, error);
+    });
+
+    return {
+      event: await this.getEventById(id),
+      ...result,
+      isNewCancellation
+    };
+  }
+
+  /**
+   * Set how many buyers per second the event's waiting room admits
+   * @param {string} id - Event ID
+   * @param {number|null} admissionRate - Rate, 0 to turn the waiting room off, null for the default
+   * @returns {Promise<Object>}
+   */
+  static async setQueueAdmissionRate(id, admissionRate) {
+    await this.getEventById(id);
+    const event = await updateEvent(id, { queueAdmissionRate: admissionRate });
+
+    // Purchase routes start or stop asking for admission tokens right away
+    SeatCacheService.invalidate(id);
+
+    return event;
+  }
+
+  /**
+   * Allow or stop ticket transfers for an event. Pending transfers can
+   * still be answered; only new ones are refused.
+   * @param {string} id - Event ID
+   * @param {boolean} enabled - Whether buyers may transfer tickets
+   * @returns {Promise<Object>}
+   */
+  static async setTransfersEnabled(id, enabled) {
+    await this.getEventById(id);
+    return await updateEvent(id, { transfersEnabled: enabled });
+  }
+
+  /**
+   * Move an event to a new status. SOLD_OUT is not set by hand: it
+   * follows the seat count while the event is on sale.
+   * @param {string} id - Event ID
+   * @param {string} status - Requested status
+   * @returns {Promise<Object>}
+   */
+  static async changeStatus(id, status) {
+    const event = await this.getEventById(id);
+
+    if (status === EVENT_STATUS.SOLD_OUT) {
+      throw createApiError(httpStatus.BAD_REQUEST, 'Events are marked sold out automatically');
+    }
+
+    if (event.status === status) {
+      return event;
+    }
+
+    // Cancelling takes the event's purchases with it
+    if (status === EVENT_STATUS.CANCELLED) {
+      return (await this.cancelEvent(id)).event;
+    }
+
+    if (!canTransitionEvent(event.status, status)) {
+      throw createCodedError(
+        httpStatus.CONFLICT,
+        'INVALID_STATUS_TRANSITION',
+        `Event cannot move from ${event.status} to ${status}`
+      );
+    }
+
+    if (!(await transitionEventStatus(id, event.status, status))) {
+      throw createApiError(httpStatus.CONFLICT, 'Event status changed concurrently, please retry');
+    }
+
+    logger.info(`[EVENT_STATUS] Event: ${id}, ${event.status} -> ${status}`);
+
+    SeatCacheService.invalidate(id);
+    SeatCacheService.clearDefaultEvent();
+
+    // Going on sale with no seats left goes straight to sold out
+    await this.syncSoldOutStatus(id);
+
+    return await this.getEventById(id);
+  }
+
+  /**
+   * Flip an event between ON_SALE and SOLD_OUT to match its seat count
+   * @param {string} eventId - Event ID
+   * @returns {Promise<void>}
+   */
+  static async syncSoldOutStatus(eventId) {
+    if (soldOutSyncs.has(eventId)) {
+      resync.add(eventId);
+      return await soldOutSyncs.get(eventId);
+    }
+
+    const sync = (async () => {
+      do {
+        resync.delete(eventId);
+
+        const entry = await SeatCacheService.getEntry(eventId);
+        if (!entry) {
+          return;
+        }
+
+        const isSoldOut = entry.seatsSold >= entry.totalSeats;
+        let next = null;
+        if (entry.status === EVENT_STATUS.ON_SALE && isSoldOut) {
+          next = EVENT_STATUS.SOLD_OUT;
+        } else if (entry.status === EVENT_STATUS.SOLD_OUT && !isSoldOut) {
+          next = EVENT_STATUS.ON_SALE;
+        }
+
+        if (next && await transitionEventStatus(eventId, entry.status, next)) {
+          logger.info(`[EVENT_STATUS] Event: ${eventId}, ${entry.status} -> ${next}`);
+          SeatCacheService.invalidate(eventId);
+        }
+      } while (resync.has(eventId));
+    })();
+
+    soldOutSyncs.set(eventId, sync);
+    try {
+      await sync;
+    } finally {
+      soldOutSyncs.delete(eventId);
+    }
+  }
+
+  /**
+   * Keep sold-out status in step with seat counts
+   */
+  static start() {
+    if (listening) {
+      return;
+    }
+
+    seatEvents.on(SEAT_EVENTS.CHANGED, onSeatsChanged);
+    listening = true;
+  }
+
+  /**
+   * Stop following seat counts
+   */
+  static stop() {
+    if (listening) {
+      seatEvents.off(SEAT_EVENTS.CHANGED, onSeatsChanged);
+      listening = false;
+    }
   }
 
   /**
@@ -61,10 +567,15 @@ class EventService {
     return {
       eventId: event.id,
       name: event.name,
+      status: event.status,
+      saleStartsAt: event.saleStartsAt,
+      saleEndsAt: event.saleEndsAt,
+      hasSeatMap: event.hasSeatMap,
       totalSeats: event.totalSeats,
       seatsSold: event.seatsSold,
       availableSeats: event.totalSeats - event.seatsSold,
-      isAvailable: event.seatsSold < event.totalSeats
+      isAvailable: event.seatsSold < event.totalSeats,
+      tiers: await TierService.getTierAvailability(id)
     };
   }
 }
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../config/logger');
+
+/**
+ * Payment methods the fake gateway understands; anything else succeeds
+ */
+const FAKE_PAYMENT_METHODS = {
+  DECLINED: 'fake_declined', // Declined at authorization
+  FAILS_ASYNC: 'fake_fails_async' // Authorization fails later, via webhook
+};
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+/**
+ * In-memory payment gateway for local development and tests. Payments are
+ * authorized as pending and, when auto webhooks are on, settled a moment
+ * later by a signed webhook posted back to the API like a real provider.
+ */
+class FakeGateway {
+  /**
+   * @param {Object} options - { webhookSecret, autoWebhooks, webhookDelayMs, webhookUrl }
+   */
+  constructor(options) {
+    this.name = 'fake';
+    this.options = options;
+    // paymentId -> { paymentId, amount, currency, reference, status }
+    this.payments = new Map();
+  }
+
+  /**
+   * Sign a webhook payload
+   * @param {string|Buffer} payload - Raw request body
+   * @returns {string} Hex HMAC-SHA256 signature
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', this.options.webhookSecret).update(payload).digest('hex');
+  }
+
+  /**
+   * Start a payment
+   * @param {Object} params - { amount, currency, reference, paymentMethod }
+   * @returns {Promise<Object>} { paymentId, status: 'PENDING' | 'DECLINED' }
+   */
+  async authorize({ amount, currency, reference, paymentMethod }) {
+    const payment = {
+      paymentId: `fake_${uuidv4()}`,
+      amount,
+      currency,
+      reference,
+      status: paymentMethod === FAKE_PAYMENT_METHODS.DECLINED ? 'DECLINED' : 'PENDING'
+    };
+    this.payments.set(payment.paymentId, payment);
+
+    if (payment.status === 'PENDING' && this.options.autoWebhooks) {
+      const type = paymentMethod === FAKE_PAYMENT_METHODS.FAILS_ASYNC ? 'payment.failed' : 'payment.authorized';
+      setTimeout(() => this.sendWebhook(type, payment), this.options.webhookDelayMs).unref();
+    }
+
+    return { paymentId: payment.paymentId, status: payment.status };
+  }
+
+  /**
+   * Capture an authorized payment. Capturing twice is a no-op.
+   * @param {string} paymentId - Provider payment ID
+   * @returns {Promise<Object>}
+   */
+  async capture(paymentId) {
+    const payment = this.payments.get(paymentId) || { paymentId };
+    payment.status = 'CAPTURED';
+    this.payments.set(paymentId, payment);
+    return { paymentId, status: payment.status };
+  }
+
+  /**
+   * Refund a captured payment. Refunding twice is a no-op.
+   * @param {string} paymentId - Provider payment ID
+   * @returns {Promise<Object>}
+   */
+  async refund(paymentId) {
+    const payment = this.payments.get(paymentId) || { paymentId };
+    payment.status = 'REFUNDED';
+    this.payments.set(paymentId, payment);
+    return { paymentId, status: payment.status };
+  }
+
+  /**
+   * Verify a webhook's signature and parse it
+   * @param {Buffer} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {Object|null} { id, type, paymentId, reference }, or null if the signature is invalid
+   */
+  constructEvent(rawBody, headers) {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!rawBody || typeof signature !== 'string') {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(rawBody));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    const { id, type, data } = JSON.parse(rawBody.toString('utf8'));
+    return { id, type, paymentId: data.paymentId, reference: data.reference };
+  }
+
+  /**
+   * Post a signed webhook to the API
+   * @param {string} type - payment.authorized or payment.failed
+   * @param {Object} payment - Fake payment
+   */
+  async sendWebhook(type, payment) {
+    const body = JSON.stringify({
+      id: `evt_${uuidv4()}`,
+      type,
+      data: {
+        paymentId: payment.paymentId,
+        reference: payment.reference
+      }
+    });
+
+    try {
+      const response = await fetch(this.options.webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          [SIGNATURE_HEADER]: this.sign(body)
+        },
+        body
+      });
+      if (!response.ok) {
+        logger.warn(`[FAKE_GATEWAY] Webhook ${type} for ${payment.paymentId} answered ${response.status}`);
+      }
+    } catch (error) {
+      logger.warn(`[FAKE_GATEWAY] Could not deliver webhook ${type} for ${payment.paymentId}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  FakeGateway,
+  FAKE_PAYMENT_METHODS,
+  SIGNATURE_HEADER
+};
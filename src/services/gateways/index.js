@@ -0,0 +1,39 @@
+const config = require('../../config/config');
+const { FakeGateway } = require('./fake.gateway');
+
+/**
+ * Payment gateways by name (PAYMENT_GATEWAY). A gateway implements:
+ *   authorize({ amount, currency, reference, paymentMethod }) -> { paymentId, status: 'PENDING' | 'DECLINED' }
+ *   capture(paymentId, { idempotencyKey })                    -> { paymentId, status }
+ *   refund(paymentId, { amount, idempotencyKey })             -> { paymentId, status }
+ *   constructEvent(rawBody, headers)                          -> { id, type, paymentId, reference } or null
+ * `reference` is the purchase's idempotency key. Webhook types are
+ * payment.authorized and payment.failed.
+ */
+const gateways = {
+  fake: () => new FakeGateway({
+    webhookSecret: config.payments.webhookSecret,
+    ...config.payments.fake
+  })
+};
+
+let gateway = null;
+
+/**
+ * Get the configured payment gateway
+ * @returns {Object}
+ */
+const getPaymentGateway = () => {
+  if (!gateway) {
+    const factory = gateways[config.payments.gateway];
+    if (!factory) {
+      throw new Error(`Unknown payment gateway: ${config.payments.gateway}`);
+    }
+    gateway = factory();
+  }
+  return gateway;
+};
+
+module.exports = {
+  getPaymentGateway
+};
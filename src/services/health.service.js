@@ -0,0 +1,212 @@
+const { monitorEventLoopDelay } = require('perf_hooks');
+const SeatCacheService = require('./seatCache.service');
+const PurchaseOutboxService = require('./purchaseOutbox.service');
+const ShutdownService = require('./shutdown.service');
+const prisma = require('../config/database');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+/**
+ * Liveness and readiness for load balancers and orchestrators.
+ *
+ * Live means the process is up and answering. Ready means it can take
+ * buyers: it is not shutting down, the database answers, the seat cache
+ * has been loaded, accepted purchases are reaching the database and the
+ * event loop is keeping up.
+ * A check either passes, warns (reported, but the instance stays ready)
+ * or fails (the instance is not ready).
+ */
+
+const CHECK_STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail'
+};
+
+// Event loop delay is sampled every LAG_RESOLUTION_MS and summarised
+// over windows of LAG_WINDOW_MS
+const LAG_RESOLUTION_MS = 20;
+const LAG_WINDOW_MS = 5000;
+
+let loopDelay = null;
+let lagInterval = null;
+let lagMs = 0;
+// Readiness from the previous probe, so only changes are logged
+let wasReady = null;
+
+/**
+ * Run a database call, failing if it takes longer than the configured timeout
+ * @param {Function} fn - Returns a promise
+ * @returns {Promise<*>}
+ */
+const withTimeout = (fn) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${config.health.dbTimeoutMs}ms`)), config.health.dbTimeoutMs);
+  });
+  return Promise.race([fn(), timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Check that the database answers a trivial query
+ * @returns {Promise<Object>}
+ */
+const checkDatabase = async () => {
+  const startTime = Date.now();
+  try {
+    await withTimeout(() => prisma.$queryRaw`SELECT 1`);
+    return { status: CHECK_STATUS.PASS, latencyMs: Date.now() - startTime };
+  } catch (error) {
+    return { status: CHECK_STATUS.FAIL, latencyMs: Date.now() - startTime, error: error.message };
+  }
+};
+
+/**
+ * Check that SQLite runs in WAL mode. Without it writers block readers,
+ * which is slower but still correct, so this only warns.
+ * @returns {Promise<Object>}
+ */
+const checkWalMode = async () => {
+  try {
+    const rows = await withTimeout(() => prisma.$queryRaw`PRAGMA journal_mode`);
+    const journalMode = rows && rows[0] ? String(rows[0].journal_mode).toLowerCase() : null;
+    return {
+      status: journalMode === 'wal' ? CHECK_STATUS.PASS : CHECK_STATUS.WARN,
+      journalMode
+    };
+  } catch (error) {
+    return { status: CHECK_STATUS.WARN, journalMode: null, error: error.message };
+  }
+};
+
+/**
+ * Check that the seat cache has been loaded
+ * @returns {Object}
+ */
+const checkSeatCache = () => {
+  const initialized = SeatCacheService.isInitialized();
+  return {
+    status: initialized ? CHECK_STATUS.PASS : CHECK_STATUS.FAIL,
+    initialized,
+    events: SeatCacheService.getSnapshot().length
+  };
+};
+
+/**
+ * Check that accepted purchases are not piling up ahead of the database,
+ * and that none keep failing to be written
+ * @returns {Object}
+ */
+const checkPersistence = () => {
+  const { backlogDepth, stuck, lastFlushAt } = PurchaseOutboxService.getStats();
+  const healthy = backlogDepth <= config.health.maxOutboxBacklog && stuck === 0;
+  return {
+    status: healthy ? CHECK_STATUS.PASS : CHECK_STATUS.FAIL,
+    backlogDepth,
+    maxBacklog: config.health.maxOutboxBacklog,
+    stuck,
+    lastFlushAt
+  };
+};
+
+/**
+ * Check that the instance is not draining for shutdown
+ * @returns {Object}
+ */
+const checkShutdown = () => {
+  const shuttingDown = ShutdownService.isShuttingDown();
+  return {
+    status: shuttingDown ? CHECK_STATUS.FAIL : CHECK_STATUS.PASS,
+    shuttingDown
+  };
+};
+
+/**
+ * Check that the event loop is not lagging
+ * @returns {Object}
+ */
+const checkEventLoop = () => ({
+  status: lagMs > config.health.maxEventLoopLagMs ? CHECK_STATUS.FAIL : CHECK_STATUS.PASS,
+  lagMs,
+  maxLagMs: config.health.maxEventLoopLagMs
+});
+
+class HealthService {
+  /**
+   * Liveness: the process is running and its event loop turns
+   * @returns {Object}
+   */
+  static getLiveness() {
+    return {
+      status: 'ok',
+      uptimeSeconds: Math.round(process.uptime())
+    };
+  }
+
+  /**
+   * Readiness: every check that guards buyers passes
+   * @returns {Promise<Object>} { ready, status, checks, uptimeSeconds }
+   */
+  static async getReadiness() {
+    const [database, walMode] = await Promise.all([checkDatabase(), checkWalMode()]);
+    const checks = {
+      shutdown: checkShutdown(),
+      database,
+      walMode,
+      seatCache: checkSeatCache(),
+      persistence: checkPersistence(),
+      eventLoop: checkEventLoop()
+    };
+
+    const failed = Object.keys(checks).filter((name) => checks[name].status === CHECK_STATUS.FAIL);
+    const ready = failed.length === 0;
+    if (ready !== wasReady) {
+      if (ready) {
+        logger.info('[HEALTH_READY] Instance is ready');
+      } else {
+        logger.warn('[HEALTH_NOT_READY] Readiness checks failed', { failed });
+      }
+      wasReady = ready;
+    }
+
+    return {
+      ready,
+      status: ready ? 'ready' : 'not_ready',
+      checks,
+      uptimeSeconds: Math.round(process.uptime())
+    };
+  }
+
+  /**
+   * Start measuring event loop lag
+   */
+  static start() {
+    if (lagInterval) {
+      return;
+    }
+
+    loopDelay = monitorEventLoopDelay({ resolution: LAG_RESOLUTION_MS });
+    loopDelay.enable();
+    lagInterval = setInterval(() => {
+      // Samples are in nanoseconds and include the sampling interval itself
+      lagMs = Math.max(0, Math.round(loopDelay.percentile(99) / 1e6 - LAG_RESOLUTION_MS));
+      loopDelay.reset();
+    }, LAG_WINDOW_MS);
+    lagInterval.unref();
+  }
+
+  /**
+   * Stop measuring event loop lag
+   */
+  static stop() {
+    if (lagInterval) {
+      clearInterval(lagInterval);
+      lagInterval = null;
+      loopDelay.disable();
+      loopDelay = null;
+      lagMs = 0;
+    }
+  }
+}
+
+module.exports = HealthService;
@@ -0,0 +1,375 @@
+const {
+  HOLD_STATUS,
+  getHoldById,
+  getHoldByIdempotencyKey,
+  getExpiredHolds,
+  isHoldActive
+} = require('../models/hold.model');
+const { getPurchaseByIdempotencyKey, getBuyerSeatCount } = require('../models/purchase.model');
+const { issueTicketsForPurchase } = require('../models/issuedTicket.model');
+const { SALE_BLOCKERS, getSaleBlocker, reserveEventSeats, releaseEventSeats, takeWaitlistSeats } = require('../models/event.model');
+const SeatCacheService = require('./seatCache.service');
+const { createApiError, createCodedError } = require('../utils/apiError');
+const { generateAccessKey, accessKeyMatches } = require('../utils/buyer');
+const httpStatus = require('http-status');
+const prisma = require('../config/database');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+let sweeperInterval = null;
+
+class HoldService {
+  /**
+   * Reserve seats for a limited time. Waitlist offers pass waitlistSeats
+   * to take that many of the seats from the event's waitlist reserve.
+   * @param {Object} holdData - Hold data
+   * @returns {Promise<Object>}
+   */
+  static async createHold(holdData) {
+    const { eventId, quantity, idempotencyKey, buyerKey = null, ttlSeconds = config.holds.ttlSeconds, waitlistSeats = 0 } = holdData;
+
+    if (!eventId || !quantity || !idempotencyKey) {
+      throw createApiError(httpStatus.BAD_REQUEST, 'Event ID, quantity, and idempotency key are required');
+    }
+
+    // The buyer key is what lets only this buyer see and confirm the hold
+    if (!buyerKey) {
+      throw createCodedError(
+        httpStatus.BAD_REQUEST,
+        'BUYER_ID_REQUIRED',
+        'A signed-in account, X-Buyer-Id header or email is required to hold seats'
+      );
+    }
+
+    const existingHold = await getHoldByIdempotencyKey(idempotencyKey);
+    if (existingHold) {
+      return this.replayHold(existingHold, buyerKey);
+    }
+
+    const entry = await SeatCacheService.getEntry(eventId);
+    if (!entry) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
+    }
+
+    const saleBlocker = getSaleBlocker(entry);
+    if (saleBlocker) {
+      throw createCodedError(httpStatus.CONFLICT, saleBlocker, SALE_BLOCKERS[saleBlocker]);
+    }
+
+    if (entry.hasSeatMap) {
+      throw createCodedError(
+        httpStatus.CONFLICT,
+        'SEAT_SELECTION_REQUIRED',
+        'Reserved seating events are sold through /api/v1/purchases'
+      );
+    }
+
+    if (entry.hasTiers) {
+      throw createCodedError(
+        httpStatus.CONFLICT,
+        'TIER_SELECTION_REQUIRED',
+        'Events with ticket tiers are sold through /api/v1/purchases'
+      );
+    }
+
+    await SeatCacheService.loadBuyerCount(entry, buyerKey);
+    if (SeatCacheService.exceedsBuyerLimit(entry, buyerKey, quantity)) {
+      throw createCodedError(
+        httpStatus.CONFLICT,
+        'PURCHASE_LIMIT_EXCEEDED',
+        `Purchase limit exceeded. Limit: ${entry.maxTicketsPerBuyer}`
+      );
+    }
+
+    // Reserve in memory first so holds and the fast purchase path share one
+    // counter. Seats from the waitlist reserve are already counted there.
+    const generalSeats = quantity - waitlistSeats;
+    if (!SeatCacheService.reserve(entry, generalSeats, buyerKey)) {
+      throw createApiError(
+        httpStatus.CONFLICT,
+        `Not enough seats available. Requested: ${quantity}, Available: ${entry.totalSeats - entry.seatsSold}`
+      );
+    }
+    SeatCacheService.addBuyerSeats(eventId, buyerKey, waitlistSeats);
+
+    try {
+      const hold = await prisma.$transaction(async (tx) => {
+        if (waitlistSeats > 0 && !(await takeWaitlistSeats(tx, eventId, waitlistSeats))) {
+          throw createApiError(httpStatus.CONFLICT, `Not enough seats available. Requested: ${quantity}`);
+        }
+
+        // The in-memory counter is this instance's; the database has the final say
+        if (generalSeats > 0) {
+          const { reserved } = await reserveEventSeats(tx, eventId, generalSeats, entry.totalSeats);
+          if (!reserved) {
+            throw createApiError(httpStatus.CONFLICT, `Not enough seats available. Requested: ${quantity}`);
+          }
+        }
+
+        // Rechecked here for buyers whose other seats were sold by another instance
+        if (buyerKey && entry.maxTicketsPerBuyer) {
+          const alreadyBought = await getBuyerSeatCount(eventId, buyerKey, tx);
+          if (alreadyBought + quantity > entry.maxTicketsPerBuyer) {
+            throw createCodedError(
+              httpStatus.CONFLICT,
+              'PURCHASE_LIMIT_EXCEEDED',
+              `Purchase limit exceeded. Limit: ${entry.maxTicketsPerBuyer}`
+            );
+          }
+        }
+
+        return await tx.hold.create({
+          data: {
+            eventId,
+            quantity,
+            idempotencyKey,
+            buyerKey,
+            accessKey: generateAccessKey(),
+            expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+          }
+        });
+      });
+
+      SeatCacheService.confirm(eventId, generalSeats);
+      logger.info(`[HOLD_CREATED] Hold: ${hold.id}, Event: ${eventId}, Quantity: ${quantity}, Expires: ${hold.expiresAt.toISOString()}`);
+
+      return {
+        hold,
+        isNewHold: true,
+        message: 'Seats held successfully'
+      };
+    } catch (error) {
+      SeatCacheService.rollback(eventId, generalSeats, buyerKey);
+      SeatCacheService.addBuyerSeats(eventId, buyerKey, -waitlistSeats);
+
+      // Lost a race against a concurrent request with the same key
+      const racedHold = await getHoldByIdempotencyKey(idempotencyKey);
+      if (racedHold) {
+        return this.replayHold(racedHold, buyerKey);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Answer a retried hold request. The hold, and its access key, only go
+   * back to the buyer who made it.
+   * @param {Object} hold - Hold created with the request's idempotency key
+   * @param {string|null} buyerKey - Requesting buyer's key
+   * @returns {Object}
+   */
+  static replayHold(hold, buyerKey) {
+    if (hold.buyerKey !== buyerKey) {
+      throw createCodedError(httpStatus.CONFLICT, 'IDEMPOTENCY_KEY_IN_USE', 'Idempotency key was already used for another hold');
+    }
+    return {
+      hold,
+      isNewHold: false,
+      message: 'Hold already exists with this idempotency key'
+    };
+  }
+
+  /**
+   * Get hold by ID
+   * @param {string} id - Hold ID
+   * @returns {Promise<Object>}
+   */
+  static async getHoldById(id) {
+    const hold = await getHoldById(id);
+    if (!hold) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Hold not found');
+    }
+    return hold;
+  }
+
+  /**
+   * Holds are only visible to, and confirmable by, the account that made
+   * them, whoever presents the access key returned when they were made,
+   * or an admin. X-Buyer-Id and emails are self-asserted, so they never
+   * grant access on their own.
+   * @param {Object} hold - Hold object
+   * @param {Object} [user] - Requesting user ({ id, role })
+   * @param {string} [accessKey] - Access key presented in X-Hold-Key
+   */
+  static assertCanAccess(hold, user, accessKey) {
+    if (user && (user.role === 'admin' || hold.buyerKey === `user:${user.id}`)) {
+      return;
+    }
+    if (!accessKeyMatches(hold, accessKey)) {
+      throw createApiError(httpStatus.FORBIDDEN, 'Forbidden');
+    }
+  }
+
+  /**
+   * Get a hold for its buyer or an admin
+   * @param {string} id - Hold ID
+   * @param {Object} [user] - Requesting user ({ id, role })
+   * @param {string} [accessKey] - Access key presented in X-Hold-Key
+   * @returns {Promise<Object>}
+   */
+  static async getAccessibleHold(id, user, accessKey) {
+    const hold = await this.getHoldById(id);
+    this.assertCanAccess(hold, user, accessKey);
+    return hold;
+  }
+
+  /**
+   * Convert an active hold into a purchase
+   * @param {string} id - Hold ID
+   * @param {string} idempotencyKey - Idempotency key for the purchase
+   * @param {Object} buyer - { user, accessKey }; must be the buyer who made the hold
+   * @returns {Promise<Object>}
+   */
+  static async confirmHold(id, idempotencyKey, { user = null, accessKey = null } = {}) {
+    if (!idempotencyKey) {
+      throw createApiError(httpStatus.BAD_REQUEST, 'Idempotency key is required');
+    }
+
+    const hold = await this.getAccessibleHold(id, user, accessKey);
+    const userId = user ? user.id : null;
+
+    const existingPurchase = await getPurchaseByIdempotencyKey(idempotencyKey);
+    if (existingPurchase) {
+      // A key only replays the confirmation of this hold
+      if (existingPurchase.id !== hold.purchaseId) {
+        throw createCodedError(httpStatus.CONFLICT, 'IDEMPOTENCY_KEY_IN_USE', 'Idempotency key was already used for another purchase');
+      }
+      return {
+        purchase: existingPurchase,
+        isNewPurchase: false,
+        message: 'Purchase already exists with this idempotency key'
+      };
+    }
+
+    if (hold.status === HOLD_STATUS.CONFIRMED) {
+      return {
+        purchase: hold.purchase,
+        isNewPurchase: false,
+        message: 'Hold has already been confirmed'
+      };
+    }
+
+    if (!isHoldActive(hold)) {
+      throw createApiError(httpStatus.GONE, 'Hold has expired');
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      // Conditional update so a confirm and the expiry sweeper can never both win
+      const { count } = await tx.hold.updateMany({
+        where: {
+          id,
+          status: HOLD_STATUS.ACTIVE,
+          expiresAt: { gt: new Date() }
+        },
+        data: {
+          status: HOLD_STATUS.CONFIRMED,
+          confirmedAt: new Date()
+        }
+      });
+
+      if (count === 0) {
+        throw createApiError(httpStatus.GONE, 'Hold has expired');
+      }
+
+      const purchase = await tx.purchase.create({
+        data: {
+          eventId: hold.eventId,
+          quantity: hold.quantity,
+          idempotencyKey,
+          statusCode: httpStatus.CREATED,
+          wasSuccessful: true,
+          userId,
+          buyerKey: hold.buyerKey,
+          accessKey: userId ? null : generateAccessKey()
+        },
+        include: {
+          event: true
+        }
+      });
+
+      await tx.hold.update({
+        where: { id },
+        data: { purchaseId: purchase.id }
+      });
+
+      await issueTicketsForPurchase(tx, purchase);
+
+      logger.info(`[HOLD_CONFIRMED] Hold: ${id}, Purchase: ${purchase.id}`);
+
+      return {
+        purchase,
+        isNewPurchase: true,
+        message: 'Purchase successful'
+      };
+    });
+  }
+
+  /**
+   * Expire holds past their TTL and return their seats to inventory
+   * @returns {Promise<number>} Number of holds released
+   */
+  static async releaseExpiredHolds() {
+    const expiredHolds = await getExpiredHolds();
+    let released = 0;
+
+    for (const hold of expiredHolds) {
+      try {
+        const didRelease = await prisma.$transaction(async (tx) => {
+          const { count } = await tx.hold.updateMany({
+            where: {
+              id: hold.id,
+              status: HOLD_STATUS.ACTIVE,
+              expiresAt: { lte: new Date() }
+            },
+            data: { status: HOLD_STATUS.EXPIRED }
+          });
+
+          if (count === 0) {
+            return null;
+          }
+
+          return { keptForWaitlist: await releaseEventSeats(tx, hold.eventId, hold.quantity) };
+        });
+
+        if (didRelease) {
+          SeatCacheService.release(hold.eventId, hold.quantity, hold.buyerKey, didRelease.keptForWaitlist);
+          released++;
+          logger.info(`[HOLD_EXPIRED] Hold: ${hold.id}, Event: ${hold.eventId}, Released: ${hold.quantity}`);
+        }
+      } catch (error) {
+        logger.error(`[HOLD_EXPIRE_ERROR] Failed to release hold ${hold.id}:`, error);
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Start the background sweeper that releases expired holds
+   */
+  static startExpirySweeper() {
+    if (sweeperInterval) {
+      return;
+    }
+
+    sweeperInterval = setInterval(() => {
+      this.releaseExpiredHolds().catch((error) => {
+        logger.error('[HOLD_SWEEPER] Sweep failed:', error);
+      });
+    }, config.holds.sweepIntervalMs);
+    sweeperInterval.unref();
+  }
+
+  /**
+   * Stop the background sweeper
+   */
+  static stopExpirySweeper() {
+    if (sweeperInterval) {
+      clearInterval(sweeperInterval);
+      sweeperInterval = null;
+    }
+  }
+}
+
+module.exports = HoldService;
@@ -0,0 +1,291 @@
+const QRCode = require('qrcode');
+const {
+  ISSUED_TICKET_STATUS,
+  getIssuedTicketById,
+  getIssuedTicketByCode,
+  getIssuedTicketsByPurchaseId,
+  getIssuedTicketsByHolderId,
+  getEventTicketCodes,
+  markTicketUsed
+} = require('../models/issuedTicket.model');
+const { getOwnershipHistory } = require('../models/ticketTransfer.model');
+const PurchaseService = require('./purchase.service');
+const SeatCacheService = require('./seatCache.service');
+const { verifyTicketCode, hashTicketCode, signManifest } = require('../utils/ticketCode');
+const { createApiError, createCodedError } = require('../utils/apiError');
+const httpStatus = require('http-status');
+const logger = require('../config/logger');
+
+/**
+ * Outcome of a single scan
+ */
+const SCAN_RESULT = {
+  ACCEPTED: 'ACCEPTED',
+  // The same scan uploaded again, e.g. a retried sync
+  DUPLICATE: 'DUPLICATE',
+  // Already checked in by another scan
+  CONFLICT: 'CONFLICT',
+  REJECTED: 'REJECTED'
+};
+
+const SCAN_ERRORS = {
+  TICKET_INVALID: { statusCode: httpStatus.BAD_REQUEST, message: 'Ticket code is not valid for this event' },
+  TICKET_NOT_FOUND: { statusCode: httpStatus.NOT_FOUND, message: 'Ticket not found' },
+  TICKET_CANCELLED: { statusCode: httpStatus.CONFLICT, message: 'Ticket has been cancelled' },
+  TICKET_ALREADY_USED: { statusCode: httpStatus.CONFLICT }
+};
+
+/**
+ * Strip the owning purchase from a ticket for responses
+ * @param {Object} ticket - Ticket with relations
+ * @returns {Object}
+ */
+const toTicket = ({ purchase, ...ticket }) => ticket;
+
+/**
+ * Tickets belong to their holder once issued to a signed-in buyer or
+ * transferred; anonymous purchases fall back to the purchase rule
+ * @param {Object} ticket - Ticket with its purchase
+ * @param {Object} [user] - Requesting user ({ id, role })
+ * @param {string} [accessKey] - Purchase access key presented in X-Purchase-Key
+ */
+const assertCanAccessTicket = (ticket, user, accessKey) => {
+  if (!ticket.holderId) {
+    PurchaseService.assertCanAccess(ticket.purchase, user, accessKey);
+    return;
+  }
+  if (!user || (user.id !== ticket.holderId && user.role !== 'admin')) {
+    throw createApiError(httpStatus.FORBIDDEN, 'Forbidden');
+  }
+};
+
+const rejectScan = (reason) => ({
+  status: SCAN_RESULT.REJECTED,
+  reason,
+  message: SCAN_ERRORS[reason].message
+});
+
+/**
+ * Check one scanned code in, whether scanned live or uploaded later
+ * @param {string} eventId - Event being scanned for
+ * @param {string} code - Scanned ticket code
+ * @param {Object} checkIn - { checkedInBy, checkedInAt, device }
+ * @returns {Promise<Object>} { status, reason?, message?, ticket? }
+ */
+const recordScan = async (eventId, code, checkIn) => {
+  // Forged codes and codes for other events fail here without a lookup
+  if (!verifyTicketCode(code, eventId)) {
+    return rejectScan('TICKET_INVALID');
+  }
+
+  const ticket = await getIssuedTicketByCode(code);
+  if (!ticket || ticket.eventId !== eventId) {
+    return rejectScan('TICKET_NOT_FOUND');
+  }
+
+  if (ticket.status === ISSUED_TICKET_STATUS.CANCELLED) {
+    return rejectScan('TICKET_CANCELLED');
+  }
+
+  // Conditional update so two gates scanning the same ticket admit it once
+  if (ticket.status === ISSUED_TICKET_STATUS.VALID && await markTicketUsed(ticket.id, checkIn)) {
+    return {
+      status: SCAN_RESULT.ACCEPTED,
+      ticket: toTicket(await getIssuedTicketById(ticket.id))
+    };
+  }
+
+  const current = toTicket(await getIssuedTicketById(ticket.id));
+  const isSameScan = Boolean(checkIn.device) &&
+    current.checkInDevice === checkIn.device &&
+    current.checkedInAt.getTime() === checkIn.checkedInAt.getTime();
+
+  return {
+    status: isSameScan ? SCAN_RESULT.DUPLICATE : SCAN_RESULT.CONFLICT,
+    reason: isSameScan ? undefined : 'TICKET_ALREADY_USED',
+    message: `Ticket was already checked in at ${current.checkedInAt.toISOString()}`,
+    ticket: current
+  };
+};
+
+class IssuedTicketService {
+  /**
+   * Get the tickets issued for a purchase
+   * @param {string} purchaseId - Purchase ID
+   * @param {Object} [user] - Requesting user ({ id, role })
+   * @param {string} [accessKey] - Purchase access key presented in X-Purchase-Key
+   * @returns {Promise<Array>}
+   */
+  static async getTicketsForPurchase(purchaseId, user, accessKey) {
+    const purchase = await PurchaseService.getAccessiblePurchase(purchaseId, user, accessKey);
+
+    // The buyer still sees tickets they gave away, but not their new codes
+    const tickets = await getIssuedTicketsByPurchaseId(purchaseId);
+    return tickets.map((ticket) => (ticket.holderId === purchase.userId
+      ? { ...ticket, isTransferred: false }
+      : { ...ticket, code: null, isTransferred: true }));
+  }
+
+  /**
+   * Get the tickets a user holds, bought or received
+   * @param {Object} user - Requesting user ({ id, role })
+   * @returns {Promise<Array>}
+   */
+  static async getMyTickets(user) {
+    return await getIssuedTicketsByHolderId(user.id);
+  }
+
+  /**
+   * Get a ticket's ownership changes
+   * @param {string} id - Ticket ID
+   * @param {Object} [user] - Requesting user ({ id, role })
+   * @param {string} [accessKey] - Purchase access key presented in X-Purchase-Key
+   * @returns {Promise<Array>}
+   */
+  static async getTicketHistory(id, user, accessKey) {
+    const ticket = await getIssuedTicketById(id);
+    if (!ticket) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Ticket not found');
+    }
+    assertCanAccessTicket(ticket, user, accessKey);
+
+    return await getOwnershipHistory(id);
+  }
+
+  /**
+   * Get a ticket with its scannable QR payload
+   * @param {string} id - Ticket ID
+   * @param {Object} [user] - Requesting user ({ id, role })
+   * @param {string} [accessKey] - Purchase access key presented in X-Purchase-Key
+   * @returns {Promise<Object>} { ticket, payload }
+   */
+  static async getTicketQr(id, user, accessKey) {
+    const ticket = await getIssuedTicketById(id);
+    if (!ticket) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Ticket not found');
+    }
+    assertCanAccessTicket(ticket, user, accessKey);
+
+    if (ticket.status === ISSUED_TICKET_STATUS.CANCELLED) {
+      throw createCodedError(httpStatus.CONFLICT, 'TICKET_CANCELLED', 'Ticket has been cancelled');
+    }
+
+    // The QR code carries only the signed code; scanners look up the rest
+    return {
+      ticket: toTicket(ticket),
+      payload: ticket.code
+    };
+  }
+
+  /**
+   * Render a QR payload as a PNG
+   * @param {string} payload - QR payload
+   * @returns {Promise<Buffer>}
+   */
+  static async renderQrPng(payload) {
+    return await QRCode.toBuffer(payload, { type: 'png', width: 300, margin: 2 });
+  }
+
+  /**
+   * Check a scanned ticket in at the door. Each ticket gets in once.
+   * @param {string} eventId - Event being scanned for
+   * @param {string} code - Scanned ticket code
+   * @param {string} staffUserId - Scanning staff member
+   * @returns {Promise<Object>} The checked-in ticket
+   */
+  static async checkIn(eventId, code, staffUserId) {
+    const result = await recordScan(eventId, code, { checkedInBy: staffUserId });
+
+    if (result.status !== SCAN_RESULT.ACCEPTED) {
+      throw createCodedError(SCAN_ERRORS[result.reason].statusCode, result.reason, result.message);
+    }
+
+    logger.info(`[CHECK_IN] Ticket: ${result.ticket.id}, Event: ${eventId}, Staff: ${staffUserId}`);
+    return result.ticket;
+  }
+
+  /**
+   * Build the signed manifest a door scanner downloads before going
+   * offline. Cancelled tickets are left out, so a scanner treats them
+   * like any unknown code.
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} { manifest, signature }
+   */
+  static async getCheckInManifest(eventId) {
+    const entry = await SeatCacheService.getEntry(eventId);
+    if (!entry) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
+    }
+
+    const tickets = await getEventTicketCodes(eventId);
+    const manifest = JSON.stringify({
+      eventId,
+      generatedAt: new Date().toISOString(),
+      // Hashes only, so the manifest on a device admits nobody by itself
+      codeHash: 'sha256-128',
+      valid: tickets.filter((t) => t.status === ISSUED_TICKET_STATUS.VALID).map((t) => hashTicketCode(t.code)),
+      used: tickets.filter((t) => t.status === ISSUED_TICKET_STATUS.USED).map((t) => hashTicketCode(t.code))
+    });
+
+    return {
+      manifest,
+      signature: signManifest(manifest)
+    };
+  }
+
+  /**
+   * Apply scans a door scanner recorded offline. Scans are applied in the
+   * order they happened; a ticket already checked in elsewhere is reported
+   * as a conflict and the first check-in is kept.
+   * @param {string} eventId - Event ID
+   * @param {Object} batch - { deviceId, scans: [{ code, scannedAt }] }
+   * @param {string} staffUserId - Uploading staff member
+   * @returns {Promise<Object>} Per-scan results and totals
+   */
+  static async syncScans(eventId, { deviceId, scans }, staffUserId) {
+    const entry = await SeatCacheService.getEntry(eventId);
+    if (!entry) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
+    }
+
+    const now = Date.now();
+    const ordered = scans
+      .map((scan, index) => ({ ...scan, index, scannedAt: new Date(Math.min(Date.parse(scan.scannedAt), now)) }))
+      .sort((a, b) => a.scannedAt - b.scannedAt || a.index - b.index);
+
+    const results = new Array(scans.length);
+    const totals = {};
+    Object.values(SCAN_RESULT).forEach((status) => {
+      totals[status] = 0;
+    });
+
+    for (const scan of ordered) {
+      const result = await recordScan(eventId, scan.code, {
+        checkedInBy: staffUserId,
+        checkedInAt: scan.scannedAt,
+        device: deviceId
+      });
+
+      totals[result.status]++;
+      results[scan.index] = {
+        code: scan.code,
+        status: result.status,
+        ...(result.reason && { reason: result.reason }),
+        ...(result.ticket && {
+          ticketId: result.ticket.id,
+          checkedInAt: result.ticket.checkedInAt,
+          checkInDevice: result.ticket.checkInDevice
+        })
+      };
+    }
+
+    if (totals[SCAN_RESULT.CONFLICT] > 0) {
+      logger.warn(`[CHECK_IN_CONFLICT] Event: ${eventId}, Device: ${deviceId}, Conflicts: ${totals[SCAN_RESULT.CONFLICT]}`);
+    }
+    logger.info(`[CHECK_IN_SYNC] Event: ${eventId}, Device: ${deviceId}, Scans: ${scans.length}, Accepted: ${totals[SCAN_RESULT.ACCEPTED]}`);
+
+    return { deviceId, totals, results };
+  }
+}
+
+module.exports = IssuedTicketService;
@@ -0,0 +1,303 @@
+const {
+  PAYMENT_STATUS,
+  getPurchaseById,
+  getPurchaseByIdempotencyKey,
+  getStalePendingPayments,
+  getPurchasesAwaitingRefund,
+  releasePurchaseInventory
+} = require('../models/purchase.model');
+const { issueTicketsForPurchase } = require('../models/issuedTicket.model');
+const { getPaymentGateway } = require('./gateways');
+const SeatCacheService = require('./seatCache.service');
+const { createApiError, createCodedError } = require('../utils/apiError');
+const httpStatus = require('http-status');
+const prisma = require('../config/database');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+let sweeperInterval = null;
+
+class PaymentService {
+  /**
+   * Start payment for a purchase whose seats are already taken. A decline
+   * or an unreachable gateway fails the purchase and returns its seats.
+   * @param {Object} purchase - Purchase with paymentStatus PENDING
+   * @param {string} [paymentMethod] - Provider payment method token
+   * @returns {Promise<Object>} The updated purchase
+   */
+  static async startPayment(purchase, paymentMethod) {
+    const gateway = getPaymentGateway();
+    let authorization;
+
+    try {
+      authorization = await gateway.authorize({
+        amount: purchase.totalPrice,
+        currency: purchase.currency,
+        reference: purchase.idempotencyKey,
+        paymentMethod
+      });
+    } catch (error) {
+      logger.error('[PAYMENT_ERROR] Authorization failed', { purchaseId: purchase.id, error: error.message });
+      await this.failPayment(purchase, 'gateway error');
+      throw createCodedError(httpStatus.BAD_GATEWAY, 'PAYMENT_UNAVAILABLE', 'Payment provider is unavailable, please try again with a new idempotency key');
+    }
+
+    await prisma.purchase.update({
+      where: { id: purchase.id },
+      data: {
+        paymentProvider: gateway.name,
+        paymentId: authorization.paymentId
+      }
+    });
+
+    if (authorization.status === 'DECLINED') {
+      await this.failPayment(purchase, 'declined');
+      throw createCodedError(httpStatus.PAYMENT_REQUIRED, 'PAYMENT_DECLINED', 'Payment was declined');
+    }
+
+    logger.info('[PAYMENT_PENDING] Payment authorized', {
+      purchaseId: purchase.id,
+      paymentId: authorization.paymentId,
+      amount: purchase.totalPrice,
+      currency: purchase.currency
+    });
+    return await getPurchaseById(purchase.id);
+  }
+
+  /**
+   * Verify and apply a provider webhook. Providers retry deliveries, so
+   * applying the same event twice must be a no-op.
+   * @param {Buffer} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} { purchaseId, paymentStatus, applied }
+   */
+  static async handleWebhook(rawBody, headers) {
+    const gateway = getPaymentGateway();
+
+    let event;
+    try {
+      event = gateway.constructEvent(rawBody, headers);
+    } catch (error) {
+      event = null;
+    }
+    if (!event) {
+      throw createApiError(httpStatus.BAD_REQUEST, 'Invalid webhook signature');
+    }
+
+    // The purchase's idempotency key is the provider reference
+    const purchase = await getPurchaseByIdempotencyKey(event.reference);
+    if (!purchase || purchase.paymentId !== event.paymentId) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Purchase not found for payment');
+    }
+
+    let applied = false;
+    if (event.type === 'payment.authorized') {
+      applied = await this.completePayment(purchase);
+    } else if (event.type === 'payment.failed') {
+      applied = await this.failPayment(purchase, 'failed at provider');
+    } else {
+      logger.info('[PAYMENT_WEBHOOK] Ignoring webhook', { type: event.type, purchaseId: purchase.id });
+    }
+
+    const current = await getPurchaseById(purchase.id);
+    return {
+      purchaseId: current.id,
+      paymentStatus: current.paymentStatus,
+      applied
+    };
+  }
+
+  /**
+   * Capture an authorized payment and mark the purchase paid. If the
+   * purchase stopped waiting for it in the meantime, the capture is
+   * refunded.
+   * @param {Object} purchase - Purchase object
+   * @returns {Promise<boolean>} Whether this call marked it paid
+   */
+  static async completePayment(purchase) {
+    if (purchase.paymentStatus !== PAYMENT_STATUS.PENDING) {
+      return false;
+    }
+
+    // Capture is idempotent at the provider, so a retried webhook racing
+    // this one cannot charge twice
+    await getPaymentGateway().capture(purchase.paymentId, { idempotencyKey: purchase.idempotencyKey });
+
+    const count = await prisma.$transaction(async (tx) => {
+      const { count: updated } = await tx.purchase.updateMany({
+        where: {
+          id: purchase.id,
+          paymentStatus: PAYMENT_STATUS.PENDING
+        },
+        data: {
+          paymentStatus: PAYMENT_STATUS.PAID,
+          wasSuccessful: true,
+          paidAt: new Date()
+        }
+      });
+
+      if (updated === 1) {
+        await issueTicketsForPurchase(tx, purchase);
+      }
+      return updated;
+    });
+
+    if (count === 1) {
+      logger.info('[PAYMENT_PAID] Payment captured', { purchaseId: purchase.id, paymentId: purchase.paymentId });
+      return true;
+    }
+
+    // A duplicate webhook finds the purchase PAID and has nothing to undo.
+    // FAILED means the sweeper got there first and the seats are gone, so
+    // the buyer gets their money back. If the refund throws, the webhook
+    // fails and the provider's retry refunds again.
+    const current = await getPurchaseById(purchase.id);
+    if (current && current.paymentStatus === PAYMENT_STATUS.FAILED) {
+      await getPaymentGateway().refund(purchase.paymentId, {
+        amount: purchase.totalPrice,
+        idempotencyKey: purchase.idempotencyKey
+      });
+      logger.warn('[PAYMENT_LATE] Payment authorized after purchase failed, capture refunded', { purchaseId: purchase.id, paymentId: purchase.paymentId });
+    }
+    return false;
+  }
+
+  /**
+   * Mark a pending payment failed and return the purchase's seats
+   * @param {Object} purchase - Purchase object
+   * @param {string} reason - Logged reason
+   * @returns {Promise<boolean>} Whether this call failed it
+   */
+  static async failPayment(purchase, reason) {
+    const failed = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.purchase.updateMany({
+        where: {
+          id: purchase.id,
+          paymentStatus: PAYMENT_STATUS.PENDING
+        },
+        data: {
+          paymentStatus: PAYMENT_STATUS.FAILED,
+          wasSuccessful: false
+        }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      return { keptForWaitlist: await releasePurchaseInventory(tx, purchase) };
+    });
+
+    if (failed) {
+      SeatCacheService.release(purchase.eventId, purchase.quantity, purchase.buyerKey, failed.keptForWaitlist);
+      logger.info('[PAYMENT_FAILED] Payment failed', { purchaseId: purchase.id, reason, released: purchase.quantity });
+    }
+    return Boolean(failed);
+  }
+
+  /**
+   * Refund a paid purchase, or one marked as owed a refund. Refunding
+   * twice is a no-op.
+   * @param {Object} purchase - Purchase object
+   * @returns {Promise<boolean>} Whether this call marked it refunded
+   */
+  static async refundPayment(purchase) {
+    if (purchase.paymentStatus !== PAYMENT_STATUS.PAID && purchase.paymentStatus !== PAYMENT_STATUS.REFUND_PENDING) {
+      return false;
+    }
+
+    await getPaymentGateway().refund(purchase.paymentId, {
+      amount: purchase.totalPrice,
+      idempotencyKey: purchase.idempotencyKey
+    });
+
+    const { count } = await prisma.purchase.updateMany({
+      where: {
+        id: purchase.id,
+        paymentStatus: purchase.paymentStatus
+      },
+      data: { paymentStatus: PAYMENT_STATUS.REFUNDED }
+    });
+
+    if (count === 1) {
+      logger.info('[PAYMENT_REFUNDED] Payment refunded', { purchaseId: purchase.id, amount: purchase.totalPrice, currency: purchase.currency });
+    }
+    return count === 1;
+  }
+
+  /**
+   * Fail payments that never got a webhook so their seats go back on sale
+   * @returns {Promise<number>} Number of payments failed
+   */
+  static async failStalePayments() {
+    const cutoff = new Date(Date.now() - config.payments.pendingTimeoutSeconds * 1000);
+    const stale = await getStalePendingPayments(cutoff);
+    let failed = 0;
+
+    for (const purchase of stale) {
+      try {
+        if (await this.failPayment(purchase, 'timed out')) {
+          failed++;
+        }
+      } catch (error) {
+        logger.error('[PAYMENT_SWEEPER] Failed to release purchase', { purchaseId: purchase.id, error: error.message });
+      }
+    }
+
+    return failed;
+  }
+
+  /**
+   * Send refunds owed to purchases marked REFUND_PENDING. Failures stay
+   * marked and are retried on the next sweep.
+   * @returns {Promise<number>} Number of purchases refunded
+   */
+  static async processPendingRefunds() {
+    const owed = await getPurchasesAwaitingRefund();
+    let refunded = 0;
+
+    for (const purchase of owed) {
+      try {
+        if (await this.refundPayment(purchase)) {
+          refunded++;
+        }
+      } catch (error) {
+        logger.error('[REFUND_ERROR] Refund failed', { purchaseId: purchase.id, error: error.message });
+      }
+    }
+
+    return refunded;
+  }
+
+  /**
+   * Start the background sweeper for stale pending payments and
+   * outstanding refunds
+   */
+  static startPendingSweeper() {
+    if (sweeperInterval) {
+      return;
+    }
+
+    sweeperInterval = setInterval(async () => {
+      try {
+        await this.failStalePayments();
+        await this.processPendingRefunds();
+      } catch (error) {
+        logger.error('[PAYMENT_SWEEPER] Sweep failed:', error);
+      }
+    }, config.payments.sweepIntervalMs);
+    sweeperInterval.unref();
+  }
+
+  /**
+   * Stop the background sweeper
+   */
+  static stopPendingSweeper() {
+    if (sweeperInterval) {
+      clearInterval(sweeperInterval);
+      sweeperInterval = null;
+    }
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,164 @@
+const {
+  DISCOUNT_TYPE,
+  getPromoCodesByEventId,
+  getPromoCodeByCode,
+  createPromoCode,
+  isPromoCodeActive,
+  appliesToTier,
+  calculateDiscount,
+  incrementRedemptions
+} = require('../models/promoCode.model');
+const { getEventById } = require('../models/event.model');
+const { createApiError, createCodedError } = require('../utils/apiError');
+const httpStatus = require('http-status');
+const prisma = require('../config/database');
+
+class PromoCodeService {
+  /**
+   * Create a promo code for an event
+   * @param {string} eventId - Event ID
+   * @param {Object} promoData - { code, discountType, discountValue, maxRedemptions, singleUsePerBuyer, validFrom, validUntil, tierIds }
+   * @returns {Promise<Object>}
+   */
+  static async createPromoCode(eventId, promoData) {
+    const event = await getEventById(eventId);
+    if (!event) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
+    }
+
+    const {
+      code,
+      discountType,
+      discountValue,
+      maxRedemptions = null,
+      singleUsePerBuyer = true,
+      validFrom,
+      validUntil,
+      tierIds = []
+    } = promoData;
+
+    if (discountType === DISCOUNT_TYPE.PERCENTAGE && discountValue > 100) {
+      throw createApiError(httpStatus.BAD_REQUEST, 'Percentage discounts cannot exceed 100');
+    }
+
+    if (validFrom && validUntil && new Date(validFrom) >= new Date(validUntil)) {
+      throw createApiError(httpStatus.BAD_REQUEST, 'Promo code validity start must be before its end');
+    }
+
+    if (tierIds.length > 0) {
+      const tierCount = await prisma.ticketTier.count({
+        where: { id: { in: tierIds }, eventId }
+      });
+      if (tierCount !== new Set(tierIds).size) {
+        throw createApiError(httpStatus.BAD_REQUEST, 'Promo codes can only be restricted to tiers of the same event');
+      }
+    }
+
+    try {
+      return await createPromoCode({
+        eventId,
+        code: code.toUpperCase(),
+        discountType,
+        discountValue,
+        maxRedemptions,
+        singleUsePerBuyer,
+        validFrom: validFrom ? new Date(validFrom) : null,
+        validUntil: validUntil ? new Date(validUntil) : null
+      }, tierIds);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw createApiError(httpStatus.CONFLICT, 'A promo code with this code already exists for the event');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get promo codes for an event
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Array>}
+   */
+  static async getPromoCodes(eventId) {
+    return await getPromoCodesByEventId(eventId);
+  }
+
+  /**
+   * Validate a promo code and count its redemption inside a purchase
+   * transaction. The cap is enforced by a conditional update, so
+   * concurrent purchases can never redeem more than maxRedemptions.
+   * @param {Object} tx - Prisma transaction
+   * @param {Object} params - { eventId, code, tier, quantity, buyerKey }
+   * @returns {Promise<Object>} { promoCode, discountAmount }
+   */
+  static async applyPromoCode(tx, { eventId, code, tier, quantity, buyerKey }) {
+    if (typeof code !== 'string' || !code.trim()) {
+      throw createApiError(httpStatus.BAD_REQUEST, 'Promo code must be a non-empty string');
+    }
+
+    const promoCode = await getPromoCodeByCode(tx, eventId, code.trim());
+    if (!promoCode) {
+      throw createCodedError(httpStatus.NOT_FOUND, 'PROMO_NOT_FOUND', 'Promo code not found');
+    }
+
+    if (!isPromoCodeActive(promoCode)) {
+      throw createCodedError(httpStatus.CONFLICT, 'PROMO_NOT_ACTIVE', 'Promo code is not valid at this time');
+    }
+
+    if (!tier || !appliesToTier(promoCode, tier.id)) {
+      throw createCodedError(httpStatus.BAD_REQUEST, 'PROMO_NOT_APPLICABLE', 'Promo code does not apply to these tickets');
+    }
+
+    if (promoCode.singleUsePerBuyer) {
+      if (!buyerKey) {
+        throw createApiError(httpStatus.BAD_REQUEST, 'Sign in or send X-Buyer-Id to use this promo code');
+      }
+
+      const previous = await tx.promoRedemption.findUnique({
+        where: {
+          promoCodeId_singleUseKey: { promoCodeId: promoCode.id, singleUseKey: buyerKey }
+        }
+      });
+      if (previous) {
+        throw createCodedError(httpStatus.CONFLICT, 'PROMO_ALREADY_REDEEMED', 'Promo code has already been used by this buyer');
+      }
+    }
+
+    if (!(await incrementRedemptions(tx, promoCode))) {
+      throw createCodedError(httpStatus.CONFLICT, 'PROMO_EXHAUSTED', 'Promo code has reached its redemption limit');
+    }
+
+    return {
+      promoCode,
+      discountAmount: calculateDiscount(promoCode, tier.price * quantity)
+    };
+  }
+
+  /**
+   * Record who redeemed a promo code, once the purchase exists
+   * @param {Object} tx - Prisma transaction
+   * @param {Object} promoCode - Promo code object
+   * @param {string} purchaseId - Purchase ID
+   * @param {string} [buyerKey] - Buyer key
+   * @returns {Promise<Object>}
+   */
+  static async recordRedemption(tx, promoCode, purchaseId, buyerKey) {
+    try {
+      return await tx.promoRedemption.create({
+        data: {
+          promoCodeId: promoCode.id,
+          purchaseId,
+          buyerKey,
+          singleUseKey: promoCode.singleUsePerBuyer ? buyerKey : null
+        }
+      });
+    } catch (error) {
+      // Same buyer redeeming concurrently; the unique index lets only one through
+      if (error.code === 'P2002') {
+        throw createCodedError(httpStatus.CONFLICT, 'PROMO_ALREADY_REDEEMED', 'Promo code has already been used by this buyer');
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = PromoCodeService;
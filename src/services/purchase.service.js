@@ -1,18 +1,35 @@
 const { 
+  PURCHASE_STATUS,
+  PAYMENT_STATUS,
   createPurchase, 
   getPurchaseById, 
   getPurchaseByIdempotencyKey, 
   getPurchasesByEventId, 
   getAllPurchases, 
-  getPurchaseStats 
+  getPurchaseStats,
+  getBuyerSeatCount,
+  releasePurchaseInventory,
+  isPurchaseCancellable
 } = require('../models/purchase.model');
 const { 
+  SALE_BLOCKERS,
   getEventById, 
-  hasAvailableSeats 
+  hasAvailableSeats,
+  reserveEventSeats,
+  getSaleBlocker
 } = require('../models/event.model');
-const { createApiError } = require('../utils/apiError');
+const SeatCacheService = require('./seatCache.service');
+const SeatMapService = require('./seatMap.service');
+const TierService = require('./tier.service');
+const PromoCodeService = require('./promoCode.service');
+const PaymentService = require('./payment.service');
+const { issueTicketsForPurchase, countTransferredTickets } = require('../models/issuedTicket.model');
+const { createApiError, createCodedError } = require('../utils/apiError');
+const { getBuyerLimit, generateAccessKey, accessKeyMatches } = require('../utils/buyer');
 const httpStatus = require('http-status');
 const prisma = require('../config/database');
+const config = require('../config/config');
+const logger = require('../config/logger');
 const { v4: uuidv4 } = require('uuid');
 
 class PurchaseService {
@@ -22,7 +39,8 @@ class PurchaseService {
    * @returns {Promise<Object>}
    */
   static async purchaseTickets(purchaseData) {
-    const { eventId, quantity, idempotencyKey } = purchaseData;
+    const { eventId, idempotencyKey, userId = null, buyerKey = null, seatIds, tierId, promoCode, paymentMethod } = purchaseData;
+    const quantity = purchaseData.quantity || (Array.isArray(seatIds) ? seatIds.length : undefined);
 
     // Validate input
     if (!eventId || !quantity || !idempotencyKey) {
@@ -37,9 +55,36 @@ class PurchaseService {
       throw createApiError(httpStatus.BAD_REQUEST, 'Cannot purchase more than 10 tickets at once');
     }
 
+    if (seatIds !== undefined) {
+      if (!Array.isArray(seatIds) || seatIds.some((id) => typeof id !== 'string')) {
+        throw createApiError(httpStatus.BAD_REQUEST, 'Seat IDs must be an array of strings');
+      }
+
+      if (new Set(seatIds).size !== seatIds.length || seatIds.length !== quantity) {
+        throw createApiError(httpStatus.BAD_REQUEST, 'Seat IDs must be unique and match the quantity');
+      }
+    }
+
     // Check for existing purchase with same idempotency key
     const existingPurchase = await getPurchaseByIdempotencyKey(idempotencyKey);
     if (existingPurchase) {
+      // The replay carries the purchase's access key, so only its buyer gets it
+      const isSameBuyer = existingPurchase.userId
+        ? existingPurchase.userId === userId
+        : existingPurchase.buyerKey === buyerKey;
+      if (!isSameBuyer) {
+        throw createCodedError(httpStatus.CONFLICT, 'IDEMPOTENCY_KEY_IN_USE', 'Idempotency key was already used by another buyer');
+      }
+
+      // Its seats were released when the payment failed; the buyer needs a new purchase
+      if (existingPurchase.paymentStatus === PAYMENT_STATUS.FAILED) {
+        throw createCodedError(
+          httpStatus.PAYMENT_REQUIRED,
+          'PAYMENT_FAILED',
+          'Payment for this purchase failed, start a new purchase with a new idempotency key'
+        );
+      }
+
       return {
         purchase: existingPurchase,
         isNewPurchase: false,
@@ -48,7 +93,7 @@ class PurchaseService {
     }
 
     // Use a transaction to ensure atomicity and handle race conditions
-    return await prisma.$transaction(async (tx) => {
+    const result = await prisma.$transaction(async (tx) => {
       // Get event with lock (simulates SELECT ... FOR UPDATE)
       const event = await tx.event.findUnique({
         where: { id: eventId }
@@ -58,6 +103,11 @@ class PurchaseService {
         throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
       }
 
+      const saleBlocker = getSaleBlocker(event);
+      if (saleBlocker) {
+        throw createCodedError(httpStatus.CONFLICT, saleBlocker, SALE_BLOCKERS[saleBlocker]);
+      }
+
       // Check if enough seats are available
       if (!hasAvailableSeats(event, quantity)) {
         throw createApiError(
@@ -66,27 +116,92 @@ class PurchaseService {
         );
       }
 
+      // Enforce the per-buyer cap across all of this buyer's purchases and holds
+      const buyerLimit = getBuyerLimit(event, config.purchaseLimits.perBuyerPerEvent);
+      if (buyerLimit && !buyerKey) {
+        throw createCodedError(httpStatus.BAD_REQUEST, 'BUYER_ID_REQUIRED', 'A signed-in account, X-Buyer-Id header or email is required to buy tickets for this event');
+      }
+      if (buyerKey && buyerLimit) {
+        const alreadyBought = await getBuyerSeatCount(eventId, buyerKey, tx);
+        if (alreadyBought + quantity > buyerLimit) {
+          throw createCodedError(
+            httpStatus.CONFLICT,
+            'PURCHASE_LIMIT_EXCEEDED',
+            `Purchase limit exceeded. Limit: ${buyerLimit}, Already purchased: ${alreadyBought}`
+          );
+        }
+      }
+
+      if (seatIds && !event.hasSeatMap) {
+        throw createApiError(httpStatus.BAD_REQUEST, 'Event does not have reserved seating');
+      }
+
+      // Priced events sell through tiers, each with its own capacity
+      let tier = null;
+      if (tierId) {
+        tier = await TierService.reserveTier(tx, eventId, tierId, quantity);
+      } else if (await tx.ticketTier.count({ where: { eventId } }) > 0) {
+        throw createCodedError(httpStatus.BAD_REQUEST, 'TIER_SELECTION_REQUIRED', 'A ticket tier must be selected for this event');
+      }
+
+      // Redeem in the same transaction so the cap holds under concurrency
+      let promo = null;
+      if (promoCode !== undefined && promoCode !== null) {
+        promo = await PromoCodeService.applyPromoCode(tx, { eventId, code: promoCode, tier, quantity, buyerKey });
+      }
+      const subtotal = tier ? tier.price * quantity : null;
+      const discountAmount = promo ? promo.discountAmount : null;
+      const totalPrice = tier ? subtotal - (discountAmount || 0) : null;
+
       // Create the purchase
       const purchase = await tx.purchase.create({
         data: {
           eventId,
           quantity,
-          idempotencyKey
+          idempotencyKey,
+          userId,
+          buyerKey,
+          accessKey: userId ? null : generateAccessKey(),
+          tierId: tier ? tier.id : null,
+          unitPrice: tier ? tier.price : null,
+          totalPrice,
+          currency: tier ? tier.currency : null,
+          promoCodeId: promo ? promo.promoCode.id : null,
+          discountAmount,
+          // Seats stay taken while the provider confirms the payment
+          paymentStatus: totalPrice > 0 ? PAYMENT_STATUS.PENDING : null
         },
         include: {
           event: true
         }
       });
 
-      // Update seats sold
-      await tx.event.update({
-        where: { id: eventId },
-        data: {
-          seatsSold: {
-            increment: quantity
-          }
-        }
-      });
+      if (promo) {
+        await PromoCodeService.recordRedemption(tx, promo.promoCode, purchase.id, buyerKey);
+      }
+
+      // Reserved seating: take the named seats or the best contiguous block
+      if (event.hasSeatMap) {
+        await SeatMapService.allocateSeats(tx, eventId, quantity, seatIds, purchase.id);
+        purchase.seats = await tx.seat.findMany({
+          where: { purchaseId: purchase.id },
+          select: { id: true, label: true }
+        });
+      }
+
+      // Conditional, so a purchase made elsewhere since the read above cannot oversell
+      const { reserved } = await reserveEventSeats(tx, eventId, quantity, event.totalSeats);
+      if (!reserved) {
+        throw createApiError(
+          httpStatus.CONFLICT,
+          `Not enough seats available. Requested: ${quantity}`
+        );
+      }
+
+      // Paid purchases get their tickets once the payment clears
+      if (!purchase.paymentStatus) {
+        await issueTicketsForPurchase(tx, purchase);
+      }
 
       return {
         purchase,
@@ -94,6 +209,150 @@ class PurchaseService {
         message: 'Purchase successful'
       };
     });
+
+    // Make the fast path pick up seats sold outside of it
+    SeatCacheService.invalidate(eventId);
+    SeatCacheService.addBuyerSeats(eventId, buyerKey, quantity);
+
+    if (result.purchase.paymentStatus === PAYMENT_STATUS.PENDING) {
+      const { seats } = result.purchase;
+      result.purchase = await PaymentService.startPayment(result.purchase, paymentMethod);
+      if (seats) {
+        result.purchase.seats = seats;
+      }
+      result.message = 'Purchase pending payment';
+    }
+
+    return result;
+  }
+
+  /**
+   * Purchases made by a signed-in buyer are only theirs and admins' to
+   * manage; anonymous purchases need the access key returned when they
+   * were made
+   * @param {Object} purchase - Purchase object
+   * @param {Object} [user] - Requesting user ({ id, role })
+   * @param {string} [accessKey] - Access key presented in X-Purchase-Key
+   */
+  static assertCanAccess(purchase, user, accessKey) {
+    if (user && user.role === 'admin') {
+      return;
+    }
+
+    const isOwner = purchase.userId
+      ? Boolean(user) && user.id === purchase.userId
+      : accessKeyMatches(purchase, accessKey);
+    if (!isOwner) {
+      throw createApiError(httpStatus.FORBIDDEN, 'Forbidden');
+    }
+  }
+
+  /**
+   * Get a purchase for its buyer or an admin
+   * @param {string} id - Purchase ID
+   * @param {Object} [user] - Requesting user ({ id, role })
+   * @param {string} [accessKey] - Access key presented in X-Purchase-Key
+   * @returns {Promise<Object>}
+   */
+  static async getAccessiblePurchase(id, user, accessKey) {
+    const purchase = await this.getPurchaseById(id);
+    this.assertCanAccess(purchase, user, accessKey);
+    return purchase;
+  }
+
+  /**
+   * Cancel a purchase and return its seats to inventory. Cancelling an
+   * already cancelled purchase is a no-op.
+   * @param {string} id - Purchase ID
+   * @param {Object} [user] - Requesting user ({ id, role })
+   * @param {string} [accessKey] - Access key presented in X-Purchase-Key
+   * @returns {Promise<Object>}
+   */
+  static async cancelPurchase(id, user, accessKey) {
+    const purchase = await this.getAccessiblePurchase(id, user, accessKey);
+
+    if (purchase.status === PURCHASE_STATUS.CANCELLED) {
+      // Retry a refund that failed on the first cancel
+      await this.refundCancelledPurchase(purchase);
+      return {
+        purchase: await getPurchaseById(id),
+        isNewCancellation: false,
+        message: 'Purchase already cancelled'
+      };
+    }
+
+    if (!isPurchaseCancellable(purchase)) {
+      throw createApiError(httpStatus.CONFLICT, 'Only successful purchases can be cancelled');
+    }
+
+    if (purchase.paymentStatus === PAYMENT_STATUS.PENDING) {
+      throw createCodedError(httpStatus.CONFLICT, 'PAYMENT_PENDING', 'Purchase cannot be cancelled while its payment is pending');
+    }
+
+    // Cancelling would void tickets that now belong to someone else
+    if (await countTransferredTickets(purchase) > 0) {
+      throw createCodedError(httpStatus.CONFLICT, 'TICKETS_TRANSFERRED', 'Purchases with transferred tickets cannot be cancelled');
+    }
+
+    if (purchase.event && purchase.event.startsAt) {
+      const cutoff = purchase.event.startsAt.getTime() - config.cancellation.cutoffHours * 60 * 60 * 1000;
+      if (Date.now() > cutoff) {
+        throw createApiError(
+          httpStatus.CONFLICT,
+          `Purchases cannot be cancelled within ${config.cancellation.cutoffHours} hours of the event`
+        );
+      }
+    }
+
+    const cancelled = await prisma.$transaction(async (tx) => {
+      // Conditional update so concurrent cancels only return the seats once
+      const { count } = await tx.purchase.updateMany({
+        where: {
+          id,
+          status: PURCHASE_STATUS.CONFIRMED
+        },
+        data: {
+          status: PURCHASE_STATUS.CANCELLED,
+          cancelledAt: new Date()
+        }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      return { keptForWaitlist: await releasePurchaseInventory(tx, purchase) };
+    });
+
+    if (cancelled) {
+      SeatCacheService.release(purchase.eventId, purchase.quantity, purchase.buyerKey, cancelled.keptForWaitlist);
+      logger.info('[PURCHASE_CANCELLED] Purchase cancelled', { purchaseId: id, eventId: purchase.eventId, released: purchase.quantity });
+      await this.refundCancelledPurchase(purchase);
+    }
+
+    return {
+      purchase: await getPurchaseById(id),
+      isNewCancellation: Boolean(cancelled),
+      message: cancelled ? 'Purchase cancelled successfully' : 'Purchase already cancelled'
+    };
+  }
+
+  /**
+   * Refund a cancelled purchase that was paid. A failed refund leaves the
+   * purchase PAID so cancelling again retries it.
+   * @param {Object} purchase - Purchase object
+   * @returns {Promise<void>}
+   */
+  static async refundCancelledPurchase(purchase) {
+    if (purchase.paymentStatus !== PAYMENT_STATUS.PAID) {
+      return;
+    }
+
+    try {
+      await PaymentService.refundPayment(purchase);
+    } catch (error) {
+      logger.error('[REFUND_ERROR] Refund failed', { purchaseId: purchase.id, error: error.message });
+    }
   }
 
   /**
@@ -110,26 +369,30 @@ class PurchaseService {
   }
 
   /**
-   * Get all purchases
-   * @returns {Promise<Array>}
+   * Get a page of purchases
+   * @param {Object} query - Validated list query: filters plus limit, cursor, sortBy and order
+   * @returns {Promise<Object>} { data, pagination }
    */
-  static async getAllPurchases() {
-    return await getAllPurchases();
+  static async getAllPurchases(query = {}) {
+    const { limit, cursor, sortBy, order, ...filters } = query;
+    return await getAllPurchases(filters, { limit, cursor, sortBy, order });
   }
 
   /**
-   * Get purchases for an event
+   * Get a page of an event's purchases
    * @param {string} eventId - Event ID
-   * @returns {Promise<Array>}
+   * @param {Object} query - Validated list query
+   * @returns {Promise<Object>} { data, pagination }
    */
-  static async getPurchasesByEventId(eventId) {
+  static async getPurchasesByEventId(eventId, query = {}) {
     // Verify event exists
     const event = await getEventById(eventId);
     if (!event) {
       throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
     }
 
-    return await getPurchasesByEventId(eventId);
+    const { limit, cursor, sortBy, order, ...filters } = query;
+    return await getPurchasesByEventId(eventId, filters, { limit, cursor, sortBy, order });
   }
 
   /**
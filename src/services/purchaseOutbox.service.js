@@ -0,0 +1,446 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../config/database');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const SeatCacheService = require('./seatCache.service');
+const { recordPersistenceError } = require('../utils/metrics');
+const { getRequestId, runWithoutContext } = require('../utils/requestContext');
+const { issueTicketsForPurchase } = require('../models/issuedTicket.model');
+const { EVENT_STATUS } = require('../models/event.model');
+const { PURCHASE_STATUS } = require('../models/purchase.model');
+
+/**
+ * Write-ahead outbox for purchases accepted by the fast path.
+ *
+ * Every accepted purchase is appended to a local file before the client
+ * gets its response, then persisted to the database in batches. Persisted
+ * records are acknowledged with an ack line; on startup any record
+ * without an ack is replayed before the seat cache is built. The client
+ * was already told the sale went through, so while serving a record is
+ * never dropped: it is retried until the database takes it. Only at
+ * startup, where a record that can never persist would keep the server
+ * from starting, is it moved to a dead-letter file after repeated
+ * failures for someone to reconcile by hand.
+ */
+
+// recordId -> record, in acceptance order
+const pending = new Map();
+
+let fd = null;
+let flushInterval = null;
+let flushing = null;
+let ackedSinceCompaction = 0;
+let lastFlushAt = null;
+
+const openLog = () => {
+  if (fd === null) {
+    fs.mkdirSync(path.dirname(config.outbox.path), { recursive: true });
+    fd = fs.openSync(config.outbox.path, 'a');
+  }
+  return fd;
+};
+
+const writeLines = (entries) => {
+  const data = entries.map((entry) => JSON.stringify(entry)).join('\n') + '\n';
+  fs.writeSync(openLog(), data);
+  if (config.outbox.fsync) {
+    fs.fsyncSync(fd);
+  }
+};
+
+// Exponential backoff so a short database outage does not exhaust retries
+const retryDelay = (attempts) => Math.min(100 * 2 ** attempts, 30 * 1000);
+
+const isUniqueViolation = (error) => error && error.code === 'P2002';
+
+/**
+ * Persist a batch of records in one transaction, skipping any that a
+ * previous run already committed. Sales for an event that has since been
+ * cancelled are recorded as cancelled purchases and take no seats.
+ * @param {Array<Object>} records - Outbox records
+ * @returns {Promise<void>}
+ */
+const persistBatch = async (records) => {
+  await prisma.$transaction(async (tx) => {
+    const existing = await tx.purchase.findMany({
+      where: { idempotencyKey: { in: records.map((record) => record.idempotencyKey) } },
+      select: { idempotencyKey: true }
+    });
+    const alreadyPersisted = new Set(existing.map((purchase) => purchase.idempotencyKey));
+
+    for (const record of records) {
+      if (alreadyPersisted.has(record.idempotencyKey)) {
+        continue;
+      }
+
+      // Sales accepted before a pause still stand; only cancellation voids them
+      let eventCancelled = false;
+      if (record.wasSuccessful) {
+        const { count } = await tx.event.updateMany({
+          where: { id: record.eventId, status: { not: EVENT_STATUS.CANCELLED } },
+          data: {
+            seatsSold: {
+              increment: record.quantity
+            }
+          }
+        });
+        eventCancelled = count === 0;
+      }
+
+      const purchase = await tx.purchase.create({
+        data: {
+          // Sold-out attempts, and records written before IDs were chosen up front, get a generated one
+          id: record.purchaseId || undefined,
+          eventId: record.eventId,
+          quantity: record.quantity,
+          idempotencyKey: record.idempotencyKey,
+          statusCode: record.statusCode,
+          responseBody: record.responseBody,
+          wasSuccessful: record.wasSuccessful,
+          userId: record.userId || null,
+          buyerKey: record.buyerKey || null,
+          accessKey: record.accessKey || null,
+          createdAt: new Date(record.acceptedAt),
+          ...(eventCancelled && { status: PURCHASE_STATUS.CANCELLED, cancelledAt: new Date() })
+        }
+      });
+
+      if (eventCancelled) {
+        logger.warn('[OUTBOX_EVENT_CANCELLED] Purchase recorded as cancelled, its event was cancelled first', {
+          requestId: record.requestId,
+          eventId: record.eventId,
+          idempotencyKey: record.idempotencyKey
+        });
+      } else if (record.wasSuccessful) {
+        await issueTicketsForPurchase(tx, purchase);
+      }
+    }
+  });
+};
+
+class PurchaseOutboxService {
+  /**
+   * Durably record an accepted purchase. Throws if the write fails, in
+   * which case the purchase must not be acknowledged to the client.
+   * @param {Object} purchaseData - Purchase data
+   * @returns {Object} The outbox record
+   */
+  static append(purchaseData) {
+    const record = {
+      type: 'purchase',
+      id: uuidv4(),
+      purchaseId: purchaseData.purchaseId || null,
+      eventId: purchaseData.eventId,
+      quantity: purchaseData.quantity,
+      idempotencyKey: purchaseData.idempotencyKey,
+      statusCode: purchaseData.statusCode,
+      responseBody: purchaseData.responseBody,
+      wasSuccessful: purchaseData.wasSuccessful,
+      userId: purchaseData.userId || null,
+      buyerKey: purchaseData.buyerKey || null,
+      accessKey: purchaseData.accessKey || null,
+      // Persistence happens later, in batches; this ties its logs back to the request
+      requestId: getRequestId(),
+      acceptedAt: Date.now(),
+      attempts: 0
+    };
+
+    writeLines([record]);
+    pending.set(record.id, record);
+
+    if (pending.size >= config.outbox.batchSize) {
+      setImmediate(() => this.flush());
+    }
+
+    return record;
+  }
+
+  /**
+   * Persist pending records to the database in batches
+   * @returns {Promise<number>} Number of records acknowledged
+   */
+  static async flush() {
+    if (flushing) {
+      return await flushing;
+    }
+
+    // A batch serves many requests, so it runs in none of their contexts;
+    // per-record logs carry each record's own request id instead
+    flushing = runWithoutContext(async () => {
+      let acked = 0;
+
+      while (pending.size > 0) {
+        const now = Date.now();
+        const batch = Array.from(pending.values())
+          .filter((record) => !record.nextAttemptAt || record.nextAttemptAt <= now)
+          .slice(0, config.outbox.batchSize);
+        const done = [];
+
+        if (batch.length === 0) {
+          break;
+        }
+
+        try {
+          await persistBatch(batch);
+          done.push(...batch);
+        } catch (error) {
+          logger.warn('[OUTBOX_BATCH_ERROR] Batch failed, retrying records individually', { batchSize: batch.length, error: error.message });
+          recordPersistenceError('purchase_outbox_batch');
+
+          for (const record of batch) {
+            try {
+              await persistBatch([record]);
+              done.push(record);
+            } catch (recordError) {
+              if (isUniqueViolation(recordError)) {
+                done.push(record);
+                continue;
+              }
+
+              record.attempts++;
+              record.nextAttemptAt = Date.now() + retryDelay(record.attempts);
+              logger.error('[PURCHASE_DB_ERROR] Failed to persist purchase', {
+                requestId: record.requestId,
+                eventId: record.eventId,
+                idempotencyKey: record.idempotencyKey,
+                attempt: record.attempts,
+                error: recordError.message
+              });
+              recordPersistenceError('purchase_outbox');
+
+              if (record.attempts === config.outbox.alertAfterAttempts) {
+                logger.error('[OUTBOX_STUCK] Purchase still not persisted, will keep retrying', {
+                  requestId: record.requestId,
+                  eventId: record.eventId,
+                  idempotencyKey: record.idempotencyKey,
+                  attempts: record.attempts
+                });
+              }
+            }
+          }
+        }
+
+        this.acknowledge(done);
+        acked += done.length;
+
+        // Everything left is waiting for a retry on the next tick
+        if (done.length < batch.length) {
+          break;
+        }
+      }
+
+      lastFlushAt = Date.now();
+      return acked;
+    });
+
+    try {
+      return await flushing;
+    } finally {
+      flushing = null;
+    }
+  }
+
+  /**
+   * Mark records as persisted and compact the log once it is drained
+   * @param {Array<Object>} records - Persisted records
+   */
+  static acknowledge(records) {
+    if (records.length === 0) {
+      return;
+    }
+
+    writeLines(records.map((record) => ({ type: 'ack', id: record.id })));
+
+    records.forEach((record) => {
+      pending.delete(record.id);
+
+      if (record.wasSuccessful) {
+        SeatCacheService.confirm(record.eventId, record.quantity);
+      }
+      logger.info('[PURCHASE_DB_SUCCESS] Persisted purchase', {
+        requestId: record.requestId,
+        eventId: record.eventId,
+        idempotencyKey: record.idempotencyKey,
+        latencyMs: Date.now() - record.acceptedAt
+      });
+    });
+
+    ackedSinceCompaction += records.length;
+    if (pending.size === 0 && ackedSinceCompaction >= config.outbox.compactAfter) {
+      fs.ftruncateSync(fd, 0);
+      ackedSinceCompaction = 0;
+    }
+  }
+
+  /**
+   * Load unacknowledged records left by a previous run and persist them.
+   * Must complete before the seat cache is initialized.
+   * @returns {Promise<number>} Number of records replayed
+   */
+  static async replay() {
+    if (!fs.existsSync(config.outbox.path)) {
+      return 0;
+    }
+
+    const lines = fs.readFileSync(config.outbox.path, 'utf8').split('\n');
+    const unacked = new Map();
+
+    lines.forEach((line) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-write can leave a torn final line
+        logger.warn('[OUTBOX_REPLAY] Skipping unreadable outbox line');
+        return;
+      }
+
+      if (entry.type === 'ack') {
+        unacked.delete(entry.id);
+      } else if (entry.type === 'purchase') {
+        unacked.set(entry.id, { ...entry, attempts: 0 });
+      }
+    });
+
+    if (unacked.size === 0) {
+      return 0;
+    }
+
+    logger.info('[OUTBOX_REPLAY] Replaying unpersisted purchases', { count: unacked.size });
+    unacked.forEach((record, id) => pending.set(id, record));
+
+    // Keep going until the backlog is empty; startup must not serve
+    // traffic on top of purchases that are not in the database yet
+    while (pending.size > 0) {
+      await this.flush();
+
+      const failed = Array.from(pending.values())
+        .filter((record) => record.attempts >= config.outbox.replayMaxAttempts);
+      this.deadLetter(failed);
+
+      if (pending.size > 0) {
+        await new Promise((resolve) => setTimeout(resolve, config.outbox.flushIntervalMs));
+      }
+    }
+
+    return unacked.size;
+  }
+
+  /**
+   * Move records that keep failing to the dead-letter file and stop
+   * retrying them. Their seats are not in the database, so the event can
+   * be oversold by that many until someone reconciles them.
+   * @param {Array<Object>} records - Outbox records
+   */
+  static deadLetter(records) {
+    if (records.length === 0) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(config.outbox.deadLetterPath), { recursive: true });
+    fs.appendFileSync(config.outbox.deadLetterPath, records.map((record) => JSON.stringify(record)).join('\n') + '\n');
+    writeLines(records.map((record) => ({ type: 'ack', id: record.id })));
+
+    records.forEach((record) => {
+      pending.delete(record.id);
+      logger.error('[OUTBOX_DEAD_LETTER] Purchase could not be persisted, moved to the dead-letter file', {
+        requestId: record.requestId,
+        eventId: record.eventId,
+        idempotencyKey: record.idempotencyKey,
+        attempts: record.attempts,
+        path: config.outbox.deadLetterPath
+      });
+    });
+  }
+
+  /**
+   * Start the periodic flusher
+   */
+  static start() {
+    if (flushInterval) {
+      return;
+    }
+
+    openLog();
+    flushInterval = setInterval(() => {
+      if (pending.size > 0) {
+        this.flush().catch((error) => {
+          logger.error('[OUTBOX_FLUSH] Flush failed:', error);
+        });
+      }
+    }, config.outbox.flushIntervalMs);
+    flushInterval.unref();
+  }
+
+  /**
+   * Flush until nothing is pending or the deadline passes, waiting out
+   * retry backoff in between. Records still pending stay in the log and
+   * are replayed on the next start.
+   * @param {number} deadline - Time to give up at, in epoch milliseconds
+   * @param {string} [eventId] - Only wait for this event's records
+   * @returns {Promise<Object>} { acknowledged, remaining }; remaining counts the awaited records
+   */
+  static async drain(deadline, eventId) {
+    const awaited = () => Array.from(pending.values()).filter((record) => !eventId || record.eventId === eventId);
+    let acknowledged = 0;
+
+    // Always flush once, even if the deadline has already passed
+    do {
+      acknowledged += await this.flush();
+      const waiting = awaited();
+      if (waiting.length === 0) {
+        break;
+      }
+
+      const nextAttemptAt = Math.min(...waiting.map((record) => record.nextAttemptAt || 0));
+      const wait = Math.min(Math.max(nextAttemptAt - Date.now(), 10), deadline - Date.now());
+      if (wait > 0) {
+        await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+    } while (Date.now() < deadline);
+
+    return { acknowledged, remaining: awaited().length };
+  }
+
+  /**
+   * Stop the periodic flusher and close the log
+   */
+  static stop() {
+    if (flushInterval) {
+      clearInterval(flushInterval);
+      flushInterval = null;
+    }
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+    }
+  }
+
+  /**
+   * Get outbox backlog statistics
+   * @returns {Object}
+   */
+  static getStats() {
+    let stuck = 0;
+    pending.forEach((record) => {
+      if (record.attempts >= config.outbox.alertAfterAttempts) {
+        stuck++;
+      }
+    });
+
+    return {
+      backlogDepth: pending.size,
+      // Failed at least OUTBOX_ALERT_AFTER_ATTEMPTS times and still retrying
+      stuck,
+      lastFlushAt
+    };
+  }
+}
+
+module.exports = PurchaseOutboxService;
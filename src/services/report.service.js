@@ -0,0 +1,348 @@
+const { once } = require('events');
+const { PURCHASE_STATUS, PAYMENT_STATUS, getEventPurchaseBatches } = require('../models/purchase.model');
+const { getTiersByEventId } = require('../models/tier.model');
+const { createApiError } = require('../utils/apiError');
+const httpStatus = require('http-status');
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+
+/**
+ * Per-event sales reports and purchase exports for finance.
+ *
+ * Every recorded purchase attempt lands in one outcome: a sale, a payment
+ * still pending, a sold-out refusal, a failed payment or another refusal.
+ * Amounts stay in minor currency units and are kept apart per currency.
+ */
+
+const OUTCOME = {
+  SOLD: 'sold',
+  PENDING: 'pending',
+  SOLD_OUT: 'soldOut',
+  PAYMENT_FAILED: 'paymentFailed',
+  REJECTED: 'rejected'
+};
+
+const EXPORT_COLUMNS = [
+  'id',
+  'createdAt',
+  'outcome',
+  'status',
+  'quantity',
+  'tier',
+  'unitPrice',
+  'discountAmount',
+  'totalPrice',
+  'currency',
+  'paymentStatus',
+  'paymentId',
+  'paidAt',
+  'cancelledAt',
+  'userId',
+  'buyerKey',
+  'idempotencyKey'
+];
+
+// timeZone -> Intl.DateTimeFormat
+const formatters = new Map();
+
+/**
+ * Classify a purchase attempt
+ * @param {Object} purchase - Purchase object
+ * @returns {string} One of OUTCOME
+ */
+const getOutcome = (purchase) => {
+  if (purchase.wasSuccessful === false) {
+    if (purchase.paymentStatus === PAYMENT_STATUS.FAILED) {
+      return OUTCOME.PAYMENT_FAILED;
+    }
+    return purchase.statusCode === httpStatus.CONFLICT ? OUTCOME.SOLD_OUT : OUTCOME.REJECTED;
+  }
+  if (purchase.paymentStatus === PAYMENT_STATUS.PENDING) {
+    return OUTCOME.PENDING;
+  }
+  return OUTCOME.SOLD;
+};
+
+/**
+ * Name the hour or day a time falls in, in the event's timezone
+ * @param {Date} date - Time
+ * @param {string} bucket - hour or day
+ * @param {string} timeZone - IANA zone
+ * @returns {string} e.g. 2026-10-19 or 2026-10-19T14:00
+ */
+const getPeriod = (date, bucket, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const day = `${parts.year}-${parts.month}-${parts.day}`;
+  return bucket === 'hour' ? `${day}T${parts.hour}:00` : day;
+};
+
+/**
+ * Add an amount to a per-currency total
+ * @param {Object} totals - currency -> amount
+ * @param {string} currency - Currency code
+ * @param {number} amount - Minor units
+ */
+const addAmount = (totals, currency, amount) => {
+  if (currency && amount) {
+    totals[currency] = (totals[currency] || 0) + amount;
+  }
+};
+
+/**
+ * Quote a CSV field when needed. Fields that a spreadsheet would run as a
+ * formula are prefixed with a quote so they stay plain text.
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Shape a purchase as an export row
+ * @param {Object} purchase - Purchase with its tier name
+ * @returns {Object}
+ */
+const toExportRow = (purchase) => ({
+  id: purchase.id,
+  createdAt: purchase.createdAt,
+  outcome: getOutcome(purchase),
+  status: purchase.status,
+  quantity: purchase.quantity,
+  tier: purchase.tier ? purchase.tier.name : null,
+  unitPrice: purchase.unitPrice,
+  discountAmount: purchase.discountAmount,
+  totalPrice: purchase.totalPrice,
+  currency: purchase.currency,
+  paymentStatus: purchase.paymentStatus,
+  paymentId: purchase.paymentId,
+  paidAt: purchase.paidAt,
+  cancelledAt: purchase.cancelledAt,
+  userId: purchase.userId,
+  buyerKey: purchase.buyerKey,
+  idempotencyKey: purchase.idempotencyKey
+});
+
+/**
+ * Write to a response, waiting when its buffer is full until it drains
+ * or the client disconnects
+ * @param {Object} res - Express response
+ * @param {string} chunk - Text to write
+ * @returns {Promise<void>}
+ */
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+};
+
+class ReportService {
+  /**
+   * Build an event's sales report
+   * @param {string} eventId - Event ID
+   * @param {Object} options - { bucket: 'hour' | 'day', from, to }
+   * @returns {Promise<Object>}
+   */
+  static async getSalesReport(eventId, { bucket = 'day', from, to } = {}) {
+    const event = await prisma.event.findUnique({ where: { id: eventId } });
+    if (!event) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
+    }
+
+    const conversion = {
+      attempts: 0,
+      [OUTCOME.SOLD]: 0,
+      [OUTCOME.PENDING]: 0,
+      [OUTCOME.SOLD_OUT]: 0,
+      [OUTCOME.PAYMENT_FAILED]: 0,
+      [OUTCOME.REJECTED]: 0
+    };
+    const sales = {
+      purchases: 0,
+      seats: 0,
+      cancelledPurchases: 0,
+      cancelledSeats: 0
+    };
+    const gross = {};
+    const discounts = {};
+    const refunded = {};
+    const refundPending = {};
+    const periods = new Map();
+
+    // Tiers with no sales still show up
+    const tiers = new Map();
+    (await getTiersByEventId(eventId)).forEach((tier) => {
+      tiers.set(tier.id, { tierId: tier.id, name: tier.name, currency: tier.currency, purchases: 0, seats: 0, revenue: 0, refunded: 0 });
+    });
+
+    for await (const batch of getEventPurchaseBatches(eventId, { from, to })) {
+      for (const purchase of batch) {
+        const outcome = getOutcome(purchase);
+        conversion.attempts++;
+        conversion[outcome]++;
+
+        if (purchase.paymentStatus === PAYMENT_STATUS.REFUNDED) {
+          addAmount(refunded, purchase.currency, purchase.totalPrice);
+        } else if (purchase.paymentStatus === PAYMENT_STATUS.REFUND_PENDING) {
+          addAmount(refundPending, purchase.currency, purchase.totalPrice);
+        }
+
+        if (outcome !== OUTCOME.SOLD) {
+          continue;
+        }
+
+        sales.purchases++;
+        sales.seats += purchase.quantity;
+        if (purchase.status === PURCHASE_STATUS.CANCELLED) {
+          sales.cancelledPurchases++;
+          sales.cancelledSeats += purchase.quantity;
+        }
+        addAmount(gross, purchase.currency, purchase.totalPrice);
+        addAmount(discounts, purchase.currency, purchase.discountAmount);
+
+        const period = getPeriod(purchase.createdAt, bucket, event.timezone);
+        if (!periods.has(period)) {
+          periods.set(period, { period, purchases: 0, seats: 0, revenue: {} });
+        }
+        const slot = periods.get(period);
+        slot.purchases++;
+        slot.seats += purchase.quantity;
+        addAmount(slot.revenue, purchase.currency, purchase.totalPrice);
+
+        const tierKey = purchase.tierId || null;
+        if (!tiers.has(tierKey)) {
+          tiers.set(tierKey, {
+            tierId: tierKey,
+            name: purchase.tier ? purchase.tier.name : 'General admission',
+            currency: purchase.currency,
+            purchases: 0,
+            seats: 0,
+            revenue: 0,
+            refunded: 0
+          });
+        }
+        const tier = tiers.get(tierKey);
+        tier.purchases++;
+        tier.seats += purchase.quantity;
+        tier.revenue += purchase.totalPrice || 0;
+        if (purchase.paymentStatus === PAYMENT_STATUS.REFUNDED) {
+          tier.refunded += purchase.totalPrice || 0;
+        }
+      }
+    }
+
+    // Net leaves out refunds already sent and refunds still owed
+    const currencies = new Set([...Object.keys(gross), ...Object.keys(refunded), ...Object.keys(refundPending)]);
+    const revenue = Array.from(currencies).sort().map((currency) => ({
+      currency,
+      gross: gross[currency] || 0,
+      discounts: discounts[currency] || 0,
+      refunded: refunded[currency] || 0,
+      refundPending: refundPending[currency] || 0,
+      net: (gross[currency] || 0) - (refunded[currency] || 0) - (refundPending[currency] || 0)
+    }));
+
+    return {
+      event: {
+        id: event.id,
+        name: event.name,
+        status: event.status,
+        timezone: event.timezone,
+        totalSeats: event.totalSeats,
+        seatsSold: event.seatsSold
+      },
+      range: {
+        from: from || null,
+        to: to || null,
+        bucket
+      },
+      generatedAt: new Date(),
+      sales,
+      revenue,
+      conversion: {
+        ...conversion,
+        rate: conversion.attempts > 0 ? Number((conversion[OUTCOME.SOLD] / conversion.attempts).toFixed(4)) : null
+      },
+      timeline: Array.from(periods.values()).sort((a, b) => a.period.localeCompare(b.period)),
+      tiers: Array.from(tiers.values())
+    };
+  }
+
+  /**
+   * Check that an event can be exported, before any of the export is sent
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} The event
+   */
+  static async getExportableEvent(eventId) {
+    // Without purchases: those are streamed in batches
+    const event = await prisma.event.findUnique({ where: { id: eventId } });
+    if (!event) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
+    }
+    return event;
+  }
+
+  /**
+   * Stream every purchase attempt for an event as CSV or a JSON array,
+   * oldest first. Stops early if the client goes away.
+   * @param {string} eventId - Event ID
+   * @param {Object} options - { format: 'csv' | 'json', from, to }
+   * @param {Object} res - Express response, headers already set
+   * @returns {Promise<number>} Rows written
+   */
+  static async streamPurchaseExport(eventId, { format = 'csv', from, to }, res) {
+    let rows = 0;
+
+    await write(res, format === 'csv' ? `${EXPORT_COLUMNS.join(',')}\r\n` : '[');
+
+    for await (const batch of getEventPurchaseBatches(eventId, { from, to })) {
+      if (res.destroyed) {
+        logger.info(`[EXPORT_ABORTED] Event: ${eventId}, Rows: ${rows}`);
+        return rows;
+      }
+
+      const chunk = batch.map((purchase) => {
+        const row = toExportRow(purchase);
+        const text = format === 'csv'
+          ? EXPORT_COLUMNS.map((column) => toCsvField(row[column])).join(',')
+          : `${rows > 0 ? ',' : ''}${JSON.stringify(row)}`;
+        rows++;
+        return text;
+      });
+      await write(res, format === 'csv' ? `${chunk.join('\r\n')}\r\n` : chunk.join(''));
+    }
+
+    if (format === 'json') {
+      await write(res, ']');
+    }
+    res.end();
+
+    logger.info(`[EXPORT_COMPLETE] Event: ${eventId}, Format: ${format}, Rows: ${rows}`);
+    return rows;
+  }
+}
+
+module.exports = ReportService;
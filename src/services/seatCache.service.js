@@ -0,0 +1,511 @@
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+const config = require('../config/config');
+const { SELLING_STATUSES } = require('../models/event.model');
+const { getBuyerSeatCount } = require('../models/purchase.model');
+const { getBuyerLimit } = require('../utils/buyer');
+const { seatEvents, SEAT_EVENTS } = require('../utils/seatEvents');
+
+const CACHE_TTL_MS = 5000;
+const INIT_RETRY_MS = 5000;
+const MISS_TTL_MS = 5000;
+const MAX_MISSES = 10000;
+
+// eventId -> { eventId, name, status, saleStartsAt, saleEndsAt, totalSeats, hasSeatMap, hasTiers, seatsSold, pendingSeats, maxTicketsPerBuyer, admissionRate, buyerCounts, version, lastUpdated }
+const seatCaches = new Map();
+// eventId -> time until which the id is known not to exist, so requests
+// for made-up ids do not each cost a database read
+const missingEvents = new Map();
+// eventId -> in-flight refresh promise, so concurrent misses share one query
+const pendingLoads = new Map();
+// eventId:buyerKey -> in-flight buyer count query
+const pendingBuyerLoads = new Map();
+
+let defaultEventId = null;
+// Until the first load succeeds the cache knows no events, so the
+// instance must not take buyers
+let initialized = false;
+
+// Tier count is needed to tell whether the fast path can sell the event
+const eventInclude = {
+  _count: {
+    select: { tiers: true }
+  }
+};
+
+/**
+ * Waiting room admissions per second for an event, 0 when it has none
+ * @param {Object} event - Event row
+ * @returns {number}
+ */
+const getAdmissionRate = (event) => {
+  return event.queueAdmissionRate ?? config.queue.admissionRatePerSecond;
+};
+
+/**
+ * Build a cache entry from an event row, keeping seats that were
+ * reserved in memory but not yet persisted on top of the DB count
+ * @param {Object} event - Event row
+ * @param {Object} [previous] - Existing cache entry
+ * @returns {Object}
+ */
+const toEntry = (event, previous) => {
+  const pendingSeats = previous ? previous.pendingSeats : 0;
+  return {
+    eventId: event.id,
+    name: event.name,
+    status: event.status,
+    saleStartsAt: event.saleStartsAt,
+    saleEndsAt: event.saleEndsAt,
+    totalSeats: event.totalSeats,
+    hasSeatMap: event.hasSeatMap,
+    hasTiers: event._count.tiers > 0,
+    seatsSold: event.seatsSold + pendingSeats,
+    pendingSeats,
+    maxTicketsPerBuyer: getBuyerLimit(event, config.purchaseLimits.perBuyerPerEvent),
+    admissionRate: getAdmissionRate(event),
+    // Seats per buyer, loaded lazily; kept across refreshes because it
+    // includes purchases that are not persisted yet
+    buyerCounts: previous ? previous.buyerCounts : new Map(),
+    version: previous ? previous.version : 0,
+    lastUpdated: Date.now()
+  };
+};
+
+/**
+ * Remember that an event does not exist. The oldest miss is dropped once
+ * the map is full so random ids cannot grow it without bound.
+ * @param {string} eventId - Event ID
+ */
+const rememberMissing = (eventId) => {
+  missingEvents.delete(eventId);
+  if (missingEvents.size >= MAX_MISSES) {
+    missingEvents.delete(missingEvents.keys().next().value);
+  }
+  missingEvents.set(eventId, Date.now() + MISS_TTL_MS);
+};
+
+/**
+ * Whether an event was looked up recently and did not exist
+ * @param {string} eventId - Event ID
+ * @returns {boolean}
+ */
+const isKnownMissing = (eventId) => {
+  const expiresAt = missingEvents.get(eventId);
+  if (expiresAt === undefined) {
+    return false;
+  }
+  if (expiresAt <= Date.now()) {
+    missingEvents.delete(eventId);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Apply a seat delta to a buyer whose count is already loaded
+ * @param {Object} entry - Cache entry
+ * @param {string} [buyerKey] - Buyer key
+ * @param {number} delta - Seats to add (negative to remove)
+ */
+const adjustBuyerCount = (entry, buyerKey, delta) => {
+  if (buyerKey && entry.buyerCounts.has(buyerKey)) {
+    entry.buyerCounts.set(buyerKey, Math.max(0, entry.buyerCounts.get(buyerKey) + delta));
+  }
+};
+
+class SeatCacheService {
+  /**
+   * Load every event that is on sale into the cache. A failed load is
+   * retried in the background until one succeeds.
+   * @returns {Promise<boolean>} Whether the load succeeded
+   */
+  static async initializeSeatCache() {
+    try {
+      const events = await prisma.event.findMany({
+        where: { status: { in: SELLING_STATUSES } },
+        orderBy: { createdAt: 'desc' },
+        include: eventInclude
+      });
+
+      events.forEach((event) => {
+        seatCaches.set(event.id, toEntry(event, seatCaches.get(event.id)));
+        logger.info(`[CACHE_INIT] Initialized seat cache for event ${event.id} - Total: ${event.totalSeats}, Sold: ${event.seatsSold}`);
+      });
+
+      defaultEventId = events.length > 0 ? events[0].id : null;
+      initialized = true;
+      return true;
+    } catch (error) {
+      logger.error('[CACHE_INIT] Failed to initialize seat cache:', error);
+      if (!initialized) {
+        setTimeout(() => this.initializeSeatCache(), INIT_RETRY_MS).unref();
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Whether the cache has been loaded at least once
+   * @returns {boolean}
+   */
+  static isInitialized() {
+    return initialized;
+  }
+
+  /**
+   * Resolve the event a request targets, falling back to the newest
+   * event on sale when no id is given (single-event clients)
+   * @param {string} [eventId] - Requested event ID
+   * @returns {Promise<string|null>}
+   */
+  static async resolveEventId(eventId) {
+    if (eventId) {
+      return eventId;
+    }
+
+    if (defaultEventId && seatCaches.has(defaultEventId)) {
+      const entry = seatCaches.get(defaultEventId);
+      if (SELLING_STATUSES.includes(entry.status)) {
+        return defaultEventId;
+      }
+    }
+
+    const event = await prisma.event.findFirst({
+      where: { status: { in: SELLING_STATUSES } },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    defaultEventId = event ? event.id : null;
+    return defaultEventId;
+  }
+
+  /**
+   * Get the cache entry for an event, refreshing it from the database
+   * when missing or older than the cache TTL. Unknown ids are remembered
+   * for a few seconds instead of being looked up on every request.
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object|null>} Cache entry, or null for unknown events
+   */
+  static async getEntry(eventId) {
+    const entry = seatCaches.get(eventId);
+    if (entry && Date.now() - entry.lastUpdated < CACHE_TTL_MS) {
+      return entry;
+    }
+    if (!entry && isKnownMissing(eventId)) {
+      return null;
+    }
+
+    return await this.refresh(eventId);
+  }
+
+  /**
+   * Reload an event from the database into the cache
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object|null>}
+   */
+  static async refresh(eventId) {
+    if (pendingLoads.has(eventId)) {
+      return await pendingLoads.get(eventId);
+    }
+
+    const load = (async () => {
+      const versionAtStart = seatCaches.has(eventId) ? seatCaches.get(eventId).version : 0;
+      const event = await prisma.event.findUnique({
+        where: { id: eventId },
+        include: eventInclude
+      });
+
+      if (!event) {
+        seatCaches.delete(eventId);
+        rememberMissing(eventId);
+        return null;
+      }
+      missingEvents.delete(eventId);
+
+      const current = seatCaches.get(eventId);
+      if (current && event.totalSeats > current.totalSeats) {
+        seatEvents.emit(SEAT_EVENTS.RELEASED, { eventId, quantity: event.totalSeats - current.totalSeats });
+      }
+      // A persist or rollback landed while we were reading, so the row we
+      // fetched may not include it; keep the in-memory counter this round
+      if (current && current.version !== versionAtStart) {
+        Object.assign(current, {
+          name: event.name,
+          status: event.status,
+          saleStartsAt: event.saleStartsAt,
+          saleEndsAt: event.saleEndsAt,
+          totalSeats: event.totalSeats,
+          hasSeatMap: event.hasSeatMap,
+          hasTiers: event._count.tiers > 0,
+          maxTicketsPerBuyer: getBuyerLimit(event, config.purchaseLimits.perBuyerPerEvent),
+          admissionRate: getAdmissionRate(event),
+          lastUpdated: Date.now()
+        });
+        return current;
+      }
+
+      const entry = toEntry(event, current);
+      seatCaches.set(eventId, entry);
+      if (current && (entry.seatsSold !== current.seatsSold || entry.totalSeats !== current.totalSeats)) {
+        seatEvents.emit(SEAT_EVENTS.CHANGED, { eventId });
+      }
+      return entry;
+    })();
+
+    pendingLoads.set(eventId, load);
+    try {
+      return await load;
+    } finally {
+      pendingLoads.delete(eventId);
+    }
+  }
+
+  /**
+   * Make sure a buyer's existing seat count for an event is in memory.
+   * Must be awaited before exceedsBuyerLimit/reserve for that buyer.
+   * @param {Object} entry - Cache entry
+   * @param {string} buyerKey - Buyer key
+   * @returns {Promise<void>}
+   */
+  static async loadBuyerCount(entry, buyerKey) {
+    if (!buyerKey || !entry.maxTicketsPerBuyer || entry.buyerCounts.has(buyerKey)) {
+      return;
+    }
+
+    const loadKey = `${entry.eventId}:${buyerKey}`;
+    if (!pendingBuyerLoads.has(loadKey)) {
+      pendingBuyerLoads.set(loadKey, getBuyerSeatCount(entry.eventId, buyerKey)
+        .then((count) => {
+          if (!entry.buyerCounts.has(buyerKey)) {
+            entry.buyerCounts.set(buyerKey, count);
+          }
+        })
+        .finally(() => pendingBuyerLoads.delete(loadKey)));
+    }
+
+    await pendingBuyerLoads.get(loadKey);
+  }
+
+  /**
+   * Check whether a buyer would go over the event's per-buyer cap
+   * @param {Object} entry - Cache entry
+   * @param {string} buyerKey - Buyer key
+   * @param {number} quantity - Seats requested
+   * @returns {boolean}
+   */
+  static exceedsBuyerLimit(entry, buyerKey, quantity) {
+    if (!buyerKey || !entry.maxTicketsPerBuyer) {
+      return false;
+    }
+
+    return (entry.buyerCounts.get(buyerKey) || 0) + quantity > entry.maxTicketsPerBuyer;
+  }
+
+  /**
+   * Reserve seats in memory. Must be called synchronously after
+   * getEntry so the check and the increment cannot interleave. Events
+   * that stopped selling, e.g. were cancelled since the caller's last
+   * check, reserve nothing.
+   * @param {Object} entry - Cache entry
+   * @param {number} quantity - Seats to reserve
+   * @param {string} [buyerKey] - Buyer the seats count against
+   * @returns {boolean} Whether the seats were reserved
+   */
+  static reserve(entry, quantity, buyerKey) {
+    if (!SELLING_STATUSES.includes(entry.status)) {
+      return false;
+    }
+
+    if (quantity > entry.totalSeats - entry.seatsSold) {
+      return false;
+    }
+
+    entry.seatsSold += quantity;
+    entry.pendingSeats += quantity;
+    adjustBuyerCount(entry, buyerKey, quantity);
+    seatEvents.emit(SEAT_EVENTS.CHANGED, { eventId: entry.eventId });
+    return true;
+  }
+
+  /**
+   * Mark reserved seats as persisted to the database
+   * @param {string} eventId - Event ID
+   * @param {number} quantity - Seats persisted
+   */
+  static confirm(eventId, quantity) {
+    const entry = seatCaches.get(eventId);
+    if (!entry) {
+      return;
+    }
+
+    entry.pendingSeats = Math.max(0, entry.pendingSeats - quantity);
+    entry.version++;
+  }
+
+  /**
+   * Undo an in-memory reservation that could not be persisted
+   * @param {string} eventId - Event ID
+   * @param {number} quantity - Seats to give back
+   * @param {string} [buyerKey] - Buyer the seats counted against
+   */
+  static rollback(eventId, quantity, buyerKey) {
+    const entry = seatCaches.get(eventId);
+    if (!entry) {
+      return;
+    }
+
+    entry.seatsSold = Math.max(0, entry.seatsSold - quantity);
+    entry.pendingSeats = Math.max(0, entry.pendingSeats - quantity);
+    adjustBuyerCount(entry, buyerKey, -quantity);
+    entry.version++;
+    seatEvents.emit(SEAT_EVENTS.CHANGED, { eventId });
+  }
+
+  /**
+   * Give back seats that were already persisted as sold, e.g. when a
+   * hold expires, and announce them to waiting buyers. Seats kept for
+   * the waitlist stay counted as sold.
+   * @param {string} eventId - Event ID
+   * @param {number} quantity - Seats released
+   * @param {string} [buyerKey] - Buyer the seats counted against
+   * @param {boolean} [keptForWaitlist] - Whether the release set them aside for the waitlist
+   */
+  static release(eventId, quantity, buyerKey, keptForWaitlist = false) {
+    const entry = seatCaches.get(eventId);
+    if (entry) {
+      if (!keptForWaitlist) {
+        entry.seatsSold = Math.max(0, entry.seatsSold - quantity);
+      }
+      adjustBuyerCount(entry, buyerKey, -quantity);
+      entry.version++;
+      seatEvents.emit(SEAT_EVENTS.CHANGED, { eventId });
+    }
+
+    seatEvents.emit(SEAT_EVENTS.RELEASED, { eventId, quantity });
+  }
+
+  /**
+   * Take an event's sold count from a fresh database read, e.g. after a
+   * write that other instances may also be making. Seats this process
+   * has not persisted yet stay on top.
+   * @param {string} eventId - Event ID
+   * @param {number} seatsSold - Seats sold according to the database
+   */
+  static setSeatsSold(eventId, seatsSold) {
+    const entry = seatCaches.get(eventId);
+    if (!entry) {
+      return;
+    }
+
+    const current = seatsSold + entry.pendingSeats;
+    entry.version++;
+    if (current !== entry.seatsSold) {
+      entry.seatsSold = current;
+      seatEvents.emit(SEAT_EVENTS.CHANGED, { eventId });
+    }
+  }
+
+  /**
+   * Count seats sold outside the cache (e.g. the transactional purchase
+   * path) against a buyer
+   * @param {string} eventId - Event ID
+   * @param {string} buyerKey - Buyer key
+   * @param {number} quantity - Seats sold
+   */
+  static addBuyerSeats(eventId, buyerKey, quantity) {
+    const entry = seatCaches.get(eventId);
+    if (entry) {
+      adjustBuyerCount(entry, buyerKey, quantity);
+    }
+  }
+
+  /**
+   * Change an event's capacity in memory ahead of the database, so the
+   * fast path cannot sell past a lowered capacity in between. Must be
+   * called synchronously after getEntry.
+   * @param {Object} entry - Cache entry
+   * @param {number} totalSeats - New capacity
+   * @returns {boolean} False when more seats are already sold
+   */
+  static setCapacity(entry, totalSeats) {
+    if (totalSeats < entry.seatsSold) {
+      return false;
+    }
+
+    const added = totalSeats - entry.totalSeats;
+    entry.totalSeats = totalSeats;
+    entry.version++;
+    seatEvents.emit(SEAT_EVENTS.CHANGED, { eventId: entry.eventId });
+    if (added > 0) {
+      seatEvents.emit(SEAT_EVENTS.RELEASED, { eventId: entry.eventId, quantity: added });
+    }
+    return true;
+  }
+
+  /**
+   * Change a cached event's status right away, e.g. so the fast path
+   * stops selling a cancelled event without waiting for a reload
+   * @param {string} eventId - Event ID
+   * @param {string} status - New status
+   */
+  static setStatus(eventId, status) {
+    const entry = seatCaches.get(eventId);
+    if (entry) {
+      entry.status = status;
+      seatEvents.emit(SEAT_EVENTS.CHANGED, { eventId });
+    }
+    if (defaultEventId === eventId) {
+      defaultEventId = null;
+    }
+  }
+
+  /**
+   * Mark an event stale so the next request reloads it. Seats that are
+   * still pending persistence are kept.
+   * @param {string} eventId - Event ID
+   */
+  static invalidate(eventId) {
+    missingEvents.delete(eventId);
+    const entry = seatCaches.get(eventId);
+    if (entry) {
+      entry.lastUpdated = 0;
+      seatEvents.emit(SEAT_EVENTS.CHANGED, { eventId });
+    }
+    if (defaultEventId === eventId) {
+      defaultEventId = null;
+    }
+  }
+
+  /**
+   * Forget the default event so the next id-less request picks the
+   * newest event on sale again
+   */
+  static clearDefaultEvent() {
+    defaultEventId = null;
+  }
+
+  /**
+   * Whether an event is in the cache, which means it exists. Cheap
+   * enough to check on every request, e.g. before using a client-sent
+   * ID as a metric label.
+   * @param {string} [eventId] - Event ID
+   * @returns {boolean}
+   */
+  static isCached(eventId) {
+    return Boolean(eventId) && seatCaches.has(eventId);
+  }
+
+  /**
+   * Get a plain snapshot of every cached event
+   * @returns {Array<Object>}
+   */
+  static getSnapshot() {
+    return Array.from(seatCaches.values()).map(({ buyerCounts, ...entry }) => ({
+      ...entry,
+      trackedBuyers: buyerCounts.size
+    }));
+  }
+}
+
+module.exports = SeatCacheService;
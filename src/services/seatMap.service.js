@@ -0,0 +1,161 @@
+const {
+  getSeatMap,
+  getAvailableSeats,
+  sellSeats
+} = require('../models/seatMap.model');
+const { getEventById } = require('../models/event.model');
+const SeatCacheService = require('./seatCache.service');
+const { createApiError, createCodedError } = require('../utils/apiError');
+const httpStatus = require('http-status');
+const prisma = require('../config/database');
+
+/**
+ * Pick seats for a group, preferring a contiguous block in one row.
+ * Seats must be in allocation order (section, row, number).
+ * @param {Array<Object>} seats - Available seats { id, rowId, number }
+ * @param {number} quantity - Group size
+ * @returns {Array<string>|null} Seat IDs, or null if there are not enough seats
+ */
+const findBestAvailable = (seats, quantity) => {
+  if (seats.length < quantity) {
+    return null;
+  }
+
+  let run = [];
+  for (const seat of seats) {
+    const previous = run[run.length - 1];
+    if (previous && previous.rowId === seat.rowId && previous.number + 1 === seat.number) {
+      run.push(seat);
+    } else {
+      run = [seat];
+    }
+
+    if (run.length === quantity) {
+      return run.map((s) => s.id);
+    }
+  }
+
+  // No block is big enough; fall back to the best seats in order
+  return seats.slice(0, quantity).map((s) => s.id);
+};
+
+class SeatMapService {
+  /**
+   * Replace an event's seat map. Only allowed before any seats are sold
+   * or held; the event's capacity becomes the number of seats.
+   * @param {string} eventId - Event ID
+   * @param {Object} layout - { sections: [{ name, rows: [{ label, seats }] }] }
+   * @returns {Promise<Object>}
+   */
+  static async saveSeatMap(eventId, layout) {
+    const event = await getEventById(eventId);
+    if (!event) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
+    }
+
+    if (event.seatsSold > 0) {
+      throw createApiError(httpStatus.CONFLICT, 'Seat map cannot be changed after seats have been sold or held');
+    }
+
+    const totalSeats = layout.sections.reduce(
+      (sum, section) => sum + section.rows.reduce((rowSum, row) => rowSum + row.seats, 0),
+      0
+    );
+
+    await prisma.$transaction(async (tx) => {
+      await tx.section.deleteMany({ where: { eventId } });
+
+      for (const [sectionIndex, section] of layout.sections.entries()) {
+        await tx.section.create({
+          data: {
+            eventId,
+            name: section.name,
+            sortOrder: sectionIndex,
+            rows: {
+              create: section.rows.map((row, rowIndex) => ({
+                label: row.label,
+                sortOrder: rowIndex,
+                seats: {
+                  create: Array.from({ length: row.seats }, (_, i) => ({
+                    eventId,
+                    number: i + 1,
+                    label: `${row.label}-${i + 1}`
+                  }))
+                }
+              }))
+            }
+          }
+        });
+      }
+
+      await tx.event.update({
+        where: { id: eventId },
+        data: {
+          hasSeatMap: true,
+          totalSeats
+        }
+      });
+    });
+
+    SeatCacheService.invalidate(eventId);
+
+    return await this.getSeatMap(eventId);
+  }
+
+  /**
+   * Get an event's seat map with per-seat status
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>}
+   */
+  static async getSeatMap(eventId) {
+    const event = await getEventById(eventId);
+    if (!event) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
+    }
+
+    if (!event.hasSeatMap) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Event has no seat map');
+    }
+
+    return {
+      eventId: event.id,
+      totalSeats: event.totalSeats,
+      seatsSold: event.seatsSold,
+      sections: await getSeatMap(eventId)
+    };
+  }
+
+  /**
+   * Assign seats to a purchase inside its transaction. Requested seats are
+   * taken all-or-nothing; without a request the best contiguous block is used.
+   * @param {Object} tx - Prisma transaction
+   * @param {string} eventId - Event ID
+   * @param {number} quantity - Number of seats
+   * @param {Array<string>} [seatIds] - Specific seats requested
+   * @param {string} purchaseId - Purchase the seats are sold to
+   * @returns {Promise<Array<string>>} Assigned seat IDs
+   */
+  static async allocateSeats(tx, eventId, quantity, seatIds, purchaseId) {
+    let selected = seatIds;
+
+    if (!selected || selected.length === 0) {
+      selected = findBestAvailable(await getAvailableSeats(eventId, tx), quantity);
+      if (!selected) {
+        throw createCodedError(httpStatus.CONFLICT, 'SEATS_UNAVAILABLE', 'Not enough seats available');
+      }
+    }
+
+    const taken = await sellSeats(tx, eventId, selected, purchaseId);
+    if (taken !== selected.length) {
+      throw createCodedError(
+        httpStatus.CONFLICT,
+        'SEATS_UNAVAILABLE',
+        'One or more of the selected seats are no longer available'
+      );
+    }
+
+    return selected;
+  }
+}
+
+module.exports = SeatMapService;
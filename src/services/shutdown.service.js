@@ -0,0 +1,135 @@
+const EventService = require('./event.service');
+const HoldService = require('./hold.service');
+const PaymentService = require('./payment.service');
+const WaitlistService = require('./waitlist.service');
+const WaitingRoomService = require('./waitingRoom.service');
+const AvailabilityStreamService = require('./availabilityStream.service');
+const PurchaseOutboxService = require('./purchaseOutbox.service');
+const prisma = require('../config/database');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+/**
+ * Coordinated shutdown.
+ *
+ * Order matters: new purchases are refused first, then background work
+ * stops, in-flight requests finish, accepted purchases are written to
+ * the database, and only then is Prisma disconnected. The whole drain
+ * shares one deadline; anything the outbox could not persist in time
+ * stays in its log and is replayed on the next start.
+ */
+
+// Past the deadline, give disconnecting and logging this long before forcing exit
+const FORCE_EXIT_GRACE_MS = 2000;
+
+let shutdownPromise = null;
+
+/**
+ * Stop the HTTP server, waiting for in-flight requests until the deadline.
+ * Connections still open then are cut.
+ * @param {Object} server - HTTP server
+ * @param {number} deadline - Epoch milliseconds
+ * @returns {Promise<boolean>} Whether every request finished in time
+ */
+const closeServer = (server, deadline) => new Promise((resolve) => {
+  if (!server || !server.listening) {
+    resolve(true);
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    server.closeAllConnections();
+    resolve(false);
+  }, Math.max(deadline - Date.now(), 0));
+
+  server.close(() => {
+    clearTimeout(timer);
+    resolve(true);
+  });
+  // Keep-alive connections with no request in flight would hold close() open
+  server.closeIdleConnections();
+});
+
+class ShutdownService {
+  /**
+   * Whether shutdown has begun
+   * @returns {boolean}
+   */
+  static isShuttingDown() {
+    return shutdownPromise !== null;
+  }
+
+  /**
+   * Drain and exit. Calling it again while a shutdown is running returns
+   * the same shutdown.
+   * @param {Object} options - { signal, server, exitCode }
+   * @param {string} options.signal - What triggered the shutdown, for the logs
+   * @param {Object} [options.server] - HTTP server to close
+   * @param {number} [options.exitCode] - Exit code; by default 0, or 1 if the drain timed out
+   * @returns {Promise<void>}
+   */
+  static shutdown({ signal, server, exitCode }) {
+    if (shutdownPromise) {
+      logger.info('[SHUTDOWN] Already shutting down', { signal });
+      return shutdownPromise;
+    }
+
+    const startedAt = Date.now();
+    const deadline = startedAt + config.shutdown.timeoutMs;
+    logger.info('[SHUTDOWN] Draining', { signal, timeoutMs: config.shutdown.timeoutMs });
+
+    // Backstop in case a step hangs past the deadline
+    setTimeout(() => {
+      logger.error('[SHUTDOWN] Drain did not finish, forcing exit', { signal });
+      process.exit(1);
+    }, config.shutdown.timeoutMs + FORCE_EXIT_GRACE_MS).unref();
+
+    shutdownPromise = (async () => {
+      EventService.stop();
+      HoldService.stopExpirySweeper();
+      PaymentService.stopPendingSweeper();
+      WaitlistService.stop();
+      WaitingRoomService.stop();
+      // Ends open availability streams, which would otherwise hold the server open
+      AvailabilityStreamService.stop();
+
+      const requestsDrained = await closeServer(server, deadline);
+
+      let outbox = { acknowledged: 0, remaining: PurchaseOutboxService.getStats().backlogDepth };
+      try {
+        outbox = await PurchaseOutboxService.drain(deadline);
+      } catch (error) {
+        logger.error('[SHUTDOWN] Outbox drain failed', { error: error.message });
+      }
+      PurchaseOutboxService.stop();
+
+      let disconnected = true;
+      try {
+        await prisma.$disconnect();
+      } catch (error) {
+        disconnected = false;
+        logger.error('[SHUTDOWN] Prisma disconnect failed', { error: error.message });
+      }
+
+      const clean = requestsDrained && outbox.remaining === 0 && disconnected;
+      const code = exitCode === undefined ? (clean ? 0 : 1) : exitCode;
+      logger.log(clean ? 'info' : 'warn', '[SHUTDOWN_COMPLETE]', {
+        signal,
+        durationMs: Date.now() - startedAt,
+        requestsDrained,
+        purchasesFlushed: outbox.acknowledged,
+        // Still in the outbox log; replayed on the next start
+        purchasesRemaining: outbox.remaining,
+        purchasesStuck: PurchaseOutboxService.getStats().stuck,
+        prismaDisconnected: disconnected,
+        exitCode: code
+      });
+
+      process.exit(code);
+    })();
+
+    return shutdownPromise;
+  }
+}
+
+module.exports = ShutdownService;
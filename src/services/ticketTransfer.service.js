@@ -0,0 +1,247 @@
+const {
+  TRANSFER_STATUS,
+  getTransferById,
+  countPendingTransfersForTickets,
+  createTransfer,
+  transitionTransfer,
+  recordOwnershipChanges
+} = require('../models/ticketTransfer.model');
+const { ISSUED_TICKET_STATUS, reissueTicket } = require('../models/issuedTicket.model');
+const { getUserById, getUserByEmail } = require('../models/user.model');
+const PurchaseService = require('./purchase.service');
+const { createApiError, createCodedError } = require('../utils/apiError');
+const httpStatus = require('http-status');
+const prisma = require('../config/database');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+/**
+ * Load a transfer, expiring it first if its time ran out
+ * @param {string} id - Transfer ID
+ * @returns {Promise<Object>}
+ */
+const loadTransfer = async (id) => {
+  const transfer = await getTransferById(id);
+  if (!transfer) {
+    throw createApiError(httpStatus.NOT_FOUND, 'Transfer not found');
+  }
+
+  if (transfer.status === TRANSFER_STATUS.PENDING && transfer.expiresAt <= new Date()) {
+    await transitionTransfer(prisma, id, TRANSFER_STATUS.PENDING, { status: TRANSFER_STATUS.EXPIRED });
+    return await getTransferById(id);
+  }
+
+  return transfer;
+};
+
+/**
+ * Whether a user is a transfer's recipient. Recipients without an
+ * account when the transfer was made are matched by email.
+ * @param {Object} transfer - Transfer object
+ * @param {Object} user - Requesting user ({ id, role })
+ * @returns {Promise<boolean>}
+ */
+const isRecipient = async (transfer, user) => {
+  if (transfer.toUserId) {
+    return transfer.toUserId === user.id;
+  }
+
+  const account = await getUserById(user.id);
+  return Boolean(account) && account.email === transfer.toEmail;
+};
+
+/**
+ * Throw unless a transfer is still waiting for an answer
+ * @param {Object} transfer - Transfer object
+ */
+const assertPending = (transfer) => {
+  if (transfer.status === TRANSFER_STATUS.EXPIRED) {
+    throw createCodedError(httpStatus.CONFLICT, 'TRANSFER_EXPIRED', 'Transfer has expired');
+  }
+  if (transfer.status !== TRANSFER_STATUS.PENDING) {
+    throw createCodedError(httpStatus.CONFLICT, 'TRANSFER_NOT_PENDING', `Transfer is already ${transfer.status.toLowerCase()}`);
+  }
+};
+
+class TicketTransferService {
+  /**
+   * Offer some of a purchase's tickets to another person. Whoever holds
+   * the tickets now may do this, not whoever bought them; admins act for
+   * the holder.
+   * @param {string} purchaseId - Purchase ID
+   * @param {Object} transferData - { ticketIds, email?, userId? }
+   * @param {Object} user - Requesting user ({ id, role })
+   * @returns {Promise<Object>}
+   */
+  static async createTransfer(purchaseId, { ticketIds, email, userId }, user) {
+    const purchase = await PurchaseService.getPurchaseById(purchaseId);
+
+    if (!purchase.event || !purchase.event.transfersEnabled) {
+      throw createCodedError(httpStatus.FORBIDDEN, 'TRANSFERS_DISABLED', 'Tickets for this event cannot be transferred');
+    }
+
+    let recipient;
+    if (userId) {
+      recipient = await getUserById(userId);
+      if (!recipient) {
+        throw createApiError(httpStatus.NOT_FOUND, 'Recipient not found');
+      }
+    } else {
+      recipient = await getUserByEmail(email);
+    }
+    const toEmail = recipient ? recipient.email : email.toLowerCase();
+
+    const uniqueTicketIds = [...new Set(ticketIds)];
+    const tickets = await prisma.ticket.findMany({
+      where: {
+        id: { in: uniqueTicketIds },
+        purchaseId
+      }
+    });
+
+    if (tickets.length !== uniqueTicketIds.length) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Tickets not found in this purchase');
+    }
+
+    // Only the current holder can pass a ticket on, and only while it can still be used
+    const holderIds = new Set(tickets.map((ticket) => ticket.holderId));
+    const [holderId] = holderIds;
+    if (user.role !== 'admin' && (holderIds.size !== 1 || holderId !== user.id)) {
+      throw createApiError(httpStatus.FORBIDDEN, 'You can only transfer tickets you hold');
+    }
+    if (holderIds.size !== 1 || !holderId) {
+      throw createCodedError(httpStatus.CONFLICT, 'TICKET_NOT_TRANSFERABLE', 'Tickets in one transfer must all be held by the same account');
+    }
+    if (tickets.some((ticket) => ticket.status !== ISSUED_TICKET_STATUS.VALID)) {
+      throw createCodedError(httpStatus.CONFLICT, 'TICKET_NOT_TRANSFERABLE', 'Used or cancelled tickets cannot be transferred');
+    }
+
+    if (recipient && recipient.id === holderId) {
+      throw createApiError(httpStatus.BAD_REQUEST, 'Cannot transfer tickets to their current holder');
+    }
+
+    if (await countPendingTransfersForTickets(uniqueTicketIds) > 0) {
+      throw createCodedError(httpStatus.CONFLICT, 'TRANSFER_PENDING', 'Some of these tickets are already being transferred');
+    }
+
+    const transfer = await createTransfer({
+      eventId: purchase.eventId,
+      purchaseId,
+      fromUserId: holderId,
+      toEmail,
+      toUserId: recipient ? recipient.id : null,
+      expiresAt: new Date(Date.now() + config.transfers.ttlHours * 60 * 60 * 1000)
+    }, uniqueTicketIds);
+
+    logger.info(`[TRANSFER_CREATED] Transfer: ${transfer.id}, Purchase: ${purchaseId}, Tickets: ${uniqueTicketIds.length}`);
+    return transfer;
+  }
+
+  /**
+   * Get a transfer; visible to its sender, its recipient and admins
+   * @param {string} id - Transfer ID
+   * @param {Object} user - Requesting user ({ id, role })
+   * @returns {Promise<Object>}
+   */
+  static async getTransfer(id, user) {
+    const transfer = await loadTransfer(id);
+
+    if (transfer.fromUserId !== user.id && user.role !== 'admin' && !(await isRecipient(transfer, user))) {
+      throw createApiError(httpStatus.FORBIDDEN, 'Forbidden');
+    }
+
+    return transfer;
+  }
+
+  /**
+   * Accept a transfer. The tickets move to the recipient under new codes,
+   * so anything the sender kept of the old ones stops working.
+   * @param {string} id - Transfer ID
+   * @param {Object} user - Requesting user ({ id, role })
+   * @returns {Promise<Object>}
+   */
+  static async acceptTransfer(id, user) {
+    const transfer = await loadTransfer(id);
+    if (!(await isRecipient(transfer, user))) {
+      throw createApiError(httpStatus.FORBIDDEN, 'Forbidden');
+    }
+    assertPending(transfer);
+
+    const accepted = await prisma.$transaction(async (tx) => {
+      const didAccept = await transitionTransfer(tx, id, TRANSFER_STATUS.PENDING, {
+        status: TRANSFER_STATUS.ACCEPTED,
+        toUserId: user.id,
+        respondedAt: new Date()
+      });
+      if (!didAccept) {
+        return false;
+      }
+
+      for (const ticket of transfer.tickets) {
+        // Fails if the ticket was used, cancelled or moved since the offer
+        if (!(await reissueTicket(tx, { id: ticket.id, eventId: transfer.eventId }, transfer.fromUserId, user.id))) {
+          throw createCodedError(httpStatus.CONFLICT, 'TICKET_NOT_TRANSFERABLE', 'Some of these tickets can no longer be transferred');
+        }
+      }
+
+      await recordOwnershipChanges(tx, transfer, user.id);
+      return true;
+    });
+
+    if (!accepted) {
+      assertPending(await loadTransfer(id));
+    }
+
+    logger.info(`[TRANSFER_ACCEPTED] Transfer: ${id}, From: ${transfer.fromUserId}, To: ${user.id}, Tickets: ${transfer.tickets.length}`);
+    return await getTransferById(id);
+  }
+
+  /**
+   * Decline a transfer; the sender keeps the tickets
+   * @param {string} id - Transfer ID
+   * @param {Object} user - Requesting user ({ id, role })
+   * @returns {Promise<Object>}
+   */
+  static async declineTransfer(id, user) {
+    const transfer = await loadTransfer(id);
+    if (!(await isRecipient(transfer, user))) {
+      throw createApiError(httpStatus.FORBIDDEN, 'Forbidden');
+    }
+
+    return await this.closeTransfer(transfer, TRANSFER_STATUS.DECLINED);
+  }
+
+  /**
+   * Withdraw a transfer the recipient has not answered yet
+   * @param {string} id - Transfer ID
+   * @param {Object} user - Requesting user ({ id, role })
+   * @returns {Promise<Object>}
+   */
+  static async cancelTransfer(id, user) {
+    const transfer = await loadTransfer(id);
+    if (transfer.fromUserId !== user.id && user.role !== 'admin') {
+      throw createApiError(httpStatus.FORBIDDEN, 'Forbidden');
+    }
+
+    return await this.closeTransfer(transfer, TRANSFER_STATUS.CANCELLED);
+  }
+
+  /**
+   * End a pending transfer without moving its tickets
+   * @param {Object} transfer - Transfer object
+   * @param {string} status - DECLINED or CANCELLED
+   * @returns {Promise<Object>}
+   */
+  static async closeTransfer(transfer, status) {
+    assertPending(transfer);
+
+    if (!(await transitionTransfer(prisma, transfer.id, TRANSFER_STATUS.PENDING, { status, respondedAt: new Date() }))) {
+      assertPending(await loadTransfer(transfer.id));
+    }
+
+    logger.info(`[TRANSFER_${status}] Transfer: ${transfer.id}`);
+    return await getTransferById(transfer.id);
+  }
+}
+
+module.exports = TicketTransferService;
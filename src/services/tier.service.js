@@ -0,0 +1,121 @@
+const {
+  getTiersByEventId,
+  createTier,
+  isTierOnSale,
+  incrementTierSold
+} = require('../models/tier.model');
+const { getEventById } = require('../models/event.model');
+const SeatCacheService = require('./seatCache.service');
+const { createApiError, createCodedError } = require('../utils/apiError');
+const httpStatus = require('http-status');
+
+/**
+ * Shape a tier for availability responses
+ * @param {Object} tier - Tier object
+ * @returns {Object}
+ */
+const toTierAvailability = (tier) => ({
+  tierId: tier.id,
+  name: tier.name,
+  price: tier.price,
+  currency: tier.currency,
+  capacity: tier.capacity,
+  sold: tier.sold,
+  available: Math.max(0, tier.capacity - tier.sold),
+  saleStartsAt: tier.saleStartsAt,
+  saleEndsAt: tier.saleEndsAt,
+  isOnSale: isTierOnSale(tier) && tier.sold < tier.capacity
+});
+
+class TierService {
+  /**
+   * Add a ticket tier to an event
+   * @param {string} eventId - Event ID
+   * @param {Object} tierData - { name, price, currency, capacity, saleStartsAt, saleEndsAt }
+   * @returns {Promise<Object>}
+   */
+  static async createTier(eventId, tierData) {
+    const event = await getEventById(eventId);
+    if (!event) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
+    }
+
+    const { name, price, currency = 'USD', capacity, saleStartsAt, saleEndsAt } = tierData;
+
+    if (saleStartsAt && saleEndsAt && new Date(saleStartsAt) >= new Date(saleEndsAt)) {
+      throw createApiError(httpStatus.BAD_REQUEST, 'Tier sale start must be before sale end');
+    }
+
+    const existingTiers = await getTiersByEventId(eventId);
+    const allocated = existingTiers.reduce((sum, tier) => sum + tier.capacity, 0);
+    if (allocated + capacity > event.totalSeats) {
+      throw createApiError(
+        httpStatus.BAD_REQUEST,
+        `Tier capacities cannot exceed the event's total seats. Unallocated: ${event.totalSeats - allocated}`
+      );
+    }
+
+    try {
+      const tier = await createTier({
+        eventId,
+        name,
+        price,
+        currency: currency.toUpperCase(),
+        capacity,
+        saleStartsAt: saleStartsAt ? new Date(saleStartsAt) : null,
+        saleEndsAt: saleEndsAt ? new Date(saleEndsAt) : null
+      });
+
+      // The fast path stops selling untiered tickets for this event
+      SeatCacheService.invalidate(eventId);
+
+      return tier;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw createApiError(httpStatus.CONFLICT, 'A tier with this name already exists for the event');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get ticket tiers for an event with availability
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Array>}
+   */
+  static async getTierAvailability(eventId) {
+    const tiers = await getTiersByEventId(eventId);
+    return tiers.map(toTierAvailability);
+  }
+
+  /**
+   * Take seats from a tier inside a purchase transaction
+   * @param {Object} tx - Prisma transaction
+   * @param {string} eventId - Event ID
+   * @param {string} tierId - Tier ID
+   * @param {number} quantity - Seats to take
+   * @returns {Promise<Object>} The tier
+   */
+  static async reserveTier(tx, eventId, tierId, quantity) {
+    const tier = await tx.ticketTier.findUnique({ where: { id: tierId } });
+    if (!tier || tier.eventId !== eventId) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Ticket tier not found');
+    }
+
+    if (!isTierOnSale(tier)) {
+      throw createCodedError(httpStatus.CONFLICT, 'TIER_NOT_ON_SALE', `Tickets for ${tier.name} are not on sale`);
+    }
+
+    if (!(await incrementTierSold(tx, tier, quantity))) {
+      throw createCodedError(
+        httpStatus.CONFLICT,
+        'TIER_SOLD_OUT',
+        `Not enough ${tier.name} tickets available. Requested: ${quantity}, Available: ${Math.max(0, tier.capacity - tier.sold)}`
+      );
+    }
+
+    return tier;
+  }
+}
+
+module.exports = TierService;
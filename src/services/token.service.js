@@ -0,0 +1,110 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const {
+  saveToken,
+  findActiveToken
+} = require('../models/token.model');
+const { tokenTypes } = require('../config/tokens');
+const config = require('../config/config');
+
+class TokenService {
+  /**
+   * Sign a JWT
+   * @param {Object} user - User the token is for
+   * @param {Date} expires - Expiry time
+   * @param {string} type - Token type
+   * @returns {string}
+   */
+  static generateToken(user, expires, type) {
+    const payload = {
+      sub: user.id,
+      role: user.role,
+      iat: Math.floor(Date.now() / 1000),
+      exp: Math.floor(expires.getTime() / 1000),
+      type,
+      // Tokens signed for the same user in the same second must still differ
+      jti: uuidv4()
+    };
+    return jwt.sign(payload, config.jwt.secret);
+  }
+
+  /**
+   * Sign a waiting room admission for one event
+   * @param {string} queueToken - Waiting room token that was admitted
+   * @param {string} eventId - Event the admission is for
+   * @param {string} buyerKey - Buyer who queued; only they can use it
+   * @param {Date} expires - Expiry time
+   * @returns {string}
+   */
+  static generateAdmissionToken(queueToken, eventId, buyerKey, expires) {
+    const payload = {
+      sub: queueToken,
+      eventId,
+      buyerKey,
+      iat: Math.floor(Date.now() / 1000),
+      exp: Math.floor(expires.getTime() / 1000),
+      type: tokenTypes.QUEUE_ADMISSION
+    };
+    return jwt.sign(payload, config.jwt.secret);
+  }
+
+  /**
+   * Verify a JWT signature, expiry and type
+   * @param {string} token - Token string
+   * @param {string} type - Expected token type
+   * @returns {Object} Token payload
+   */
+  static verifyToken(token, type) {
+    const payload = jwt.verify(token, config.jwt.secret);
+    if (payload.type !== type) {
+      throw new Error('Invalid token type');
+    }
+    return payload;
+  }
+
+  /**
+   * Verify a refresh token and check it has not been revoked
+   * @param {string} token - Refresh token
+   * @returns {Promise<Object>} Stored token record
+   */
+  static async verifyRefreshToken(token) {
+    const payload = this.verifyToken(token, tokenTypes.REFRESH);
+    const tokenDoc = await findActiveToken(token, tokenTypes.REFRESH, payload.sub);
+    if (!tokenDoc) {
+      throw new Error('Token not found');
+    }
+    return tokenDoc;
+  }
+
+  /**
+   * Generate an access and refresh token pair
+   * @param {Object} user - User
+   * @returns {Promise<Object>}
+   */
+  static async generateAuthTokens(user) {
+    const accessTokenExpires = new Date(Date.now() + config.jwt.accessExpirationMinutes * 60 * 1000);
+    const accessToken = this.generateToken(user, accessTokenExpires, tokenTypes.ACCESS);
+
+    const refreshTokenExpires = new Date(Date.now() + config.jwt.refreshExpirationDays * 24 * 60 * 60 * 1000);
+    const refreshToken = this.generateToken(user, refreshTokenExpires, tokenTypes.REFRESH);
+    await saveToken({
+      token: refreshToken,
+      userId: user.id,
+      type: tokenTypes.REFRESH,
+      expires: refreshTokenExpires
+    });
+
+    return {
+      access: {
+        token: accessToken,
+        expires: accessTokenExpires
+      },
+      refresh: {
+        token: refreshToken,
+        expires: refreshTokenExpires
+      }
+    };
+  }
+}
+
+module.exports = TokenService;
@@ -0,0 +1,60 @@
+const bcrypt = require('bcryptjs');
+const {
+  getUserById,
+  getUserByEmail,
+  createUser
+} = require('../models/user.model');
+const { createApiError } = require('../utils/apiError');
+const httpStatus = require('http-status');
+
+class UserService {
+  /**
+   * Register a new user
+   * @param {Object} userData - { email, password, name }
+   * @returns {Promise<Object>}
+   */
+  static async createUser(userData) {
+    const { email, password, name } = userData;
+
+    if (await getUserByEmail(email)) {
+      throw createApiError(httpStatus.CONFLICT, 'Email already taken');
+    }
+
+    return await createUser({
+      email,
+      name,
+      passwordHash: await bcrypt.hash(password, 10)
+    });
+  }
+
+  /**
+   * Get user by ID
+   * @param {string} id - User ID
+   * @returns {Promise<Object>}
+   */
+  static async getUserById(id) {
+    const user = await getUserById(id);
+    if (!user) {
+      throw createApiError(httpStatus.NOT_FOUND, 'User not found');
+    }
+    return user;
+  }
+
+  /**
+   * Get user by email and check the password
+   * @param {string} email - User email
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object|null>} User without password hash, or null
+   */
+  static async getUserByCredentials(email, password) {
+    const user = await getUserByEmail(email);
+    if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+      return null;
+    }
+
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+  }
+}
+
+module.exports = UserService;
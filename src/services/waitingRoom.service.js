@@ -0,0 +1,299 @@
+const { v4: uuidv4 } = require('uuid');
+const TokenService = require('./token.service');
+const SeatCacheService = require('./seatCache.service');
+const { tokenTypes } = require('../config/tokens');
+const { createApiError, createCodedError } = require('../utils/apiError');
+const httpStatus = require('http-status');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+/**
+ * Admission-controlled waiting room in front of the purchase routes.
+ *
+ * Each buyer who joins gets the next sequence number for the event. A
+ * ticker moves the event's admitted sequence forward at its admission
+ * rate, so a buyer's position is just their number minus the admitted
+ * one. Admitted buyers get a short-lived signed token that the purchase
+ * routes require while the event has a waiting room. The token is bound
+ * to the buyer who queued and is spent by their first successful
+ * purchase, so it cannot be shared or replayed.
+ */
+
+// eventId -> { eventId, admissionRate, nextSeq, admittedSeq, allowance, tickets, buyers, totalJoined }
+const rooms = new Map();
+
+let ticker = null;
+let ticking = false;
+
+const getRoom = (eventId) => {
+  if (!rooms.has(eventId)) {
+    rooms.set(eventId, {
+      eventId,
+      admissionRate: 0,
+      nextSeq: 0,
+      admittedSeq: 0,
+      allowance: 0,
+      // queueToken -> { seq, buyerKey, joinedAt, admissionToken, admissionExpiresAt, admission }
+      // admission is IN_USE while a purchase with the token runs, then USED
+      tickets: new Map(),
+      // buyerKey -> queueToken, so a buyer holds one place per event
+      buyers: new Map(),
+      totalJoined: 0
+    });
+  }
+  return rooms.get(eventId);
+};
+
+/**
+ * Admit as many waiting buyers as the rate allows for the elapsed time
+ * @param {Object} room - Waiting room
+ * @param {number} elapsedMs - Time since the last tick
+ */
+const admit = (room, elapsedMs) => {
+  const waiting = room.nextSeq - room.admittedSeq;
+
+  // Waiting room switched off: let everyone through
+  if (!room.admissionRate) {
+    room.admittedSeq = room.nextSeq;
+    room.allowance = 0;
+    return;
+  }
+
+  // Unused allowance is capped at one second's worth so an idle room
+  // cannot build up a burst
+  room.allowance = Math.min(room.allowance + room.admissionRate * elapsedMs / 1000, room.admissionRate);
+  const admitted = Math.min(Math.floor(room.allowance), waiting);
+  room.admittedSeq += admitted;
+  room.allowance -= admitted;
+};
+
+const ADMISSION_STATE = {
+  IN_USE: 'IN_USE',
+  USED: 'USED'
+};
+
+const admissionRequired = (eventId, message) => createCodedError(
+  httpStatus.FORBIDDEN,
+  'QUEUE_ADMISSION_REQUIRED',
+  `${message}. Join the waiting room at /api/v1/queue/${eventId} and retry with its admission token in X-Queue-Token`
+);
+
+class WaitingRoomService {
+  /**
+   * Join an event's waiting room. A buyer who is already queued gets
+   * their existing place back.
+   * @param {string} eventId - Event ID
+   * @param {string} buyerKey - Buyer the place, and its admission, belong to
+   * @returns {Promise<Object>} Queue status, including the queue token
+   */
+  static async join(eventId, buyerKey) {
+    if (!buyerKey) {
+      throw createCodedError(
+        httpStatus.BAD_REQUEST,
+        'BUYER_ID_REQUIRED',
+        'A signed-in account, X-Buyer-Id header or email is required to join the waiting room'
+      );
+    }
+
+    const entry = await SeatCacheService.getEntry(eventId);
+    if (!entry) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
+    }
+
+    const room = getRoom(eventId);
+    room.admissionRate = entry.admissionRate;
+
+    const existingToken = room.buyers.get(buyerKey);
+    if (existingToken && room.tickets.has(existingToken)) {
+      return this.getStatus(eventId, existingToken);
+    }
+
+    const queueToken = uuidv4();
+    room.nextSeq++;
+    room.totalJoined++;
+    room.tickets.set(queueToken, { seq: room.nextSeq, buyerKey, joinedAt: Date.now() });
+    room.buyers.set(buyerKey, queueToken);
+
+    // No waiting room for this event: admitted straight away
+    if (!room.admissionRate) {
+      room.admittedSeq = room.nextSeq;
+    }
+
+    return this.getStatus(eventId, queueToken);
+  }
+
+  /**
+   * Get a buyer's place in the queue, with their admission token once
+   * they are through
+   * @param {string} eventId - Event ID
+   * @param {string} queueToken - Token returned by join
+   * @returns {Object}
+   */
+  static getStatus(eventId, queueToken) {
+    const room = rooms.get(eventId);
+    const ticket = room && room.tickets.get(queueToken);
+    if (!ticket) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Queue token not found or expired');
+    }
+
+    const position = ticket.seq - room.admittedSeq;
+    if (position > 0) {
+      return {
+        eventId,
+        queueToken,
+        status: 'WAITING',
+        position,
+        estimatedWaitSeconds: Math.ceil(position / room.admissionRate),
+        pollAfterMs: config.queue.tickMs
+      };
+    }
+
+    // Issued once, so polling cannot keep extending the admission
+    if (!ticket.admissionToken) {
+      ticket.admissionExpiresAt = new Date(Date.now() + config.queue.admissionTtlSeconds * 1000);
+      ticket.admissionToken = TokenService.generateAdmissionToken(queueToken, eventId, ticket.buyerKey, ticket.admissionExpiresAt);
+    }
+
+    return {
+      eventId,
+      queueToken,
+      status: 'ADMITTED',
+      position: 0,
+      admissionToken: ticket.admissionToken,
+      admissionExpiresAt: ticket.admissionExpiresAt
+    };
+  }
+
+  /**
+   * Check an admission token for an event and reserve it for one
+   * purchase. Settle the claim once the purchase is answered.
+   * @param {string} admissionToken - Signed admission token
+   * @param {string} eventId - Event being purchased
+   * @param {string|null} buyerKey - Buyer making the purchase
+   * @returns {Object} Claim for settleAdmission
+   */
+  static claimAdmission(admissionToken, eventId, buyerKey) {
+    let payload;
+    try {
+      payload = TokenService.verifyToken(admissionToken, tokenTypes.QUEUE_ADMISSION);
+    } catch (error) {
+      throw admissionRequired(eventId, 'Admission token is missing, invalid or expired');
+    }
+
+    const room = rooms.get(eventId);
+    const ticket = room && room.tickets.get(payload.sub);
+    if (payload.eventId !== eventId || !ticket || !buyerKey || payload.buyerKey !== buyerKey) {
+      throw admissionRequired(eventId, 'Admission token is not valid for this buyer and event');
+    }
+
+    if (ticket.admission === ADMISSION_STATE.USED) {
+      throw admissionRequired(eventId, 'Admission token was already used for a purchase');
+    }
+
+    if (ticket.admission === ADMISSION_STATE.IN_USE) {
+      throw createCodedError(
+        httpStatus.CONFLICT,
+        'QUEUE_ADMISSION_IN_USE',
+        'Another purchase with this admission token is in progress'
+      );
+    }
+
+    ticket.admission = ADMISSION_STATE.IN_USE;
+    return { ticket };
+  }
+
+  /**
+   * Spend a claimed admission when its purchase succeeded, or free it for
+   * another try when it did not
+   * @param {Object} claim - Claim from claimAdmission
+   * @param {boolean} succeeded - Whether the purchase went through
+   */
+  static settleAdmission({ ticket }, succeeded) {
+    ticket.admission = succeeded ? ADMISSION_STATE.USED : undefined;
+  }
+
+  /**
+   * Advance every room and forget tickets past their lifetime
+   * @param {number} elapsedMs - Time since the last tick
+   * @returns {Promise<void>}
+   */
+  static async tick(elapsedMs) {
+    const now = Date.now();
+    const expiredBefore = now - config.queue.tokenTtlSeconds * 1000;
+
+    for (const room of rooms.values()) {
+      // Pick up rate changes made by admins
+      const entry = await SeatCacheService.getEntry(room.eventId);
+      room.admissionRate = entry ? entry.admissionRate : 0;
+
+      admit(room, elapsedMs);
+
+      for (const [queueToken, ticket] of room.tickets) {
+        // Kept while its admission is valid, which is what makes it single-use
+        if (ticket.joinedAt < expiredBefore && !(ticket.admissionExpiresAt > now)) {
+          room.tickets.delete(queueToken);
+          room.buyers.delete(ticket.buyerKey);
+        }
+      }
+
+      if (room.tickets.size === 0 && room.admittedSeq === room.nextSeq) {
+        rooms.delete(room.eventId);
+      }
+    }
+  }
+
+  /**
+   * Start the admission ticker
+   */
+  static start() {
+    if (ticker) {
+      return;
+    }
+
+    let lastTick = Date.now();
+    ticker = setInterval(() => {
+      if (ticking) {
+        return;
+      }
+
+      const now = Date.now();
+      ticking = true;
+      this.tick(now - lastTick)
+        .catch((error) => {
+          logger.error('[WAITING_ROOM] Tick failed:', error);
+        })
+        .finally(() => {
+          lastTick = now;
+          ticking = false;
+        });
+    }, config.queue.tickMs);
+    ticker.unref();
+  }
+
+  /**
+   * Stop the admission ticker
+   */
+  static stop() {
+    if (ticker) {
+      clearInterval(ticker);
+      ticker = null;
+    }
+  }
+
+  /**
+   * Get waiting room statistics per event
+   * @returns {Array<Object>}
+   */
+  static getStats() {
+    return Array.from(rooms.values()).map((room) => ({
+      eventId: room.eventId,
+      admissionRate: room.admissionRate,
+      waiting: room.nextSeq - room.admittedSeq,
+      admitted: room.admittedSeq,
+      totalJoined: room.totalJoined,
+      activeTokens: room.tickets.size
+    }));
+  }
+}
+
+module.exports = WaitingRoomService;
@@ -0,0 +1,357 @@
+const {
+  WAITLIST_STATUS,
+  getWaitlistEntryById,
+  getActiveWaitlistEntry,
+  getWaitlistHead,
+  getOfferedEntries,
+  getWaitlistPosition,
+  getEventIdsWithWaitlist,
+  transitionWaitlistEntry
+} = require('../models/waitlist.model');
+const { HOLD_STATUS } = require('../models/hold.model');
+const { isEventOpen, getWaitlistSeats, returnWaitlistSeats } = require('../models/event.model');
+const HoldService = require('./hold.service');
+const SeatCacheService = require('./seatCache.service');
+const { seatEvents, SEAT_EVENTS } = require('../utils/seatEvents');
+const { createApiError, createCodedError } = require('../utils/apiError');
+const httpStatus = require('http-status');
+const prisma = require('../config/database');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+// eventId -> in-flight queue run; runs for one event never overlap
+const runs = new Map();
+// Events that got new seats while a run was in flight
+const rerun = new Set();
+
+let sweeperInterval = null;
+
+const onSeatsReleased = ({ eventId }) => {
+  WaitlistService.processEvent(eventId).catch((error) => {
+    logger.error(`[WAITLIST_ERROR] Failed to process waitlist for event ${eventId}:`, error);
+  });
+};
+
+/**
+ * Close out an offer whose hold was confirmed or has expired
+ * @param {Object} entry - Offered entry with its hold
+ * @returns {Promise<boolean>} Whether the entry left the OFFERED state
+ */
+const settleOffer = async (entry) => {
+  const { hold } = entry;
+
+  if (hold && hold.status === HOLD_STATUS.CONFIRMED) {
+    return await transitionWaitlistEntry(entry.id, WAITLIST_STATUS.OFFERED, { status: WAITLIST_STATUS.FULFILLED });
+  }
+
+  if (!hold || hold.status === HOLD_STATUS.EXPIRED) {
+    const lapsed = await transitionWaitlistEntry(entry.id, WAITLIST_STATUS.OFFERED, { status: WAITLIST_STATUS.LAPSED });
+    if (lapsed) {
+      logger.info(`[WAITLIST_OFFER_LAPSED] Entry: ${entry.id}, Event: ${entry.eventId}`);
+    }
+    return lapsed;
+  }
+
+  return false;
+};
+
+class WaitlistService {
+  /**
+   * Join an event's waitlist. A buyer has at most one active entry per
+   * event; joining again returns it.
+   * @param {string} eventId - Event ID
+   * @param {Object} joinData - { quantity, buyerKey }
+   * @returns {Promise<Object>}
+   */
+  static async joinWaitlist(eventId, { quantity, buyerKey }) {
+    if (!buyerKey) {
+      throw createApiError(httpStatus.BAD_REQUEST, 'Sign in or send X-Buyer-Id to join the waitlist');
+    }
+
+    const entry = await SeatCacheService.getEntry(eventId);
+    if (!entry) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Event not found');
+    }
+
+    if (!isEventOpen(entry)) {
+      throw createApiError(httpStatus.CONFLICT, 'Event is not open for sales');
+    }
+
+    // Offers are seat holds, which only general admission events support
+    if (entry.hasSeatMap || entry.hasTiers) {
+      throw createApiError(httpStatus.CONFLICT, 'Waitlists are only available for general admission events');
+    }
+
+    const existingEntry = await getActiveWaitlistEntry(eventId, buyerKey);
+    if (existingEntry) {
+      return {
+        entry: await this.describeEntry(existingEntry),
+        isNewEntry: false,
+        message: 'Already on the waitlist for this event'
+      };
+    }
+
+    await SeatCacheService.loadBuyerCount(entry, buyerKey);
+    if (SeatCacheService.exceedsBuyerLimit(entry, buyerKey, quantity)) {
+      throw createCodedError(
+        httpStatus.CONFLICT,
+        'PURCHASE_LIMIT_EXCEEDED',
+        `Purchase limit exceeded. Limit: ${entry.maxTicketsPerBuyer}`
+      );
+    }
+
+    const waitlistEntry = await prisma.waitlistEntry.create({
+      data: {
+        eventId,
+        buyerKey,
+        quantity
+      }
+    });
+
+    logger.info(`[WAITLIST_JOINED] Entry: ${waitlistEntry.id}, Event: ${eventId}, Quantity: ${quantity}`);
+
+    // Seats may already be free, e.g. the buyer lost a race to a release
+    await this.processEvent(eventId);
+
+    return {
+      entry: await this.describeEntry(await getWaitlistEntryById(waitlistEntry.id)),
+      isNewEntry: true,
+      message: 'Joined the waitlist'
+    };
+  }
+
+  /**
+   * Entries, and the offers in them, are only visible to and leavable by
+   * the buyer who joined, or an admin
+   * @param {Object} entry - Waitlist entry
+   * @param {string|null} buyerKey - Requesting buyer's key
+   * @param {Object} [user] - Requesting user ({ id, role })
+   */
+  static assertCanAccess(entry, buyerKey, user) {
+    if (user && user.role === 'admin') {
+      return;
+    }
+    if (!buyerKey || entry.buyerKey !== buyerKey) {
+      throw createApiError(httpStatus.FORBIDDEN, 'Forbidden');
+    }
+  }
+
+  /**
+   * Get a waitlist entry for its buyer or an admin
+   * @param {string} id - Entry ID
+   * @param {Object} buyer - { buyerKey, user }
+   * @returns {Promise<Object>}
+   */
+  static async getAccessibleEntry(id, { buyerKey = null, user = null } = {}) {
+    const entry = await getWaitlistEntryById(id);
+    if (!entry) {
+      throw createApiError(httpStatus.NOT_FOUND, 'Waitlist entry not found');
+    }
+    this.assertCanAccess(entry, buyerKey, user);
+    return entry;
+  }
+
+  /**
+   * Get a waitlist entry with its queue position and offer
+   * @param {string} id - Entry ID
+   * @param {Object} buyer - { buyerKey, user }; must be the buyer who joined
+   * @returns {Promise<Object>}
+   */
+  static async getWaitlistEntry(id, buyer) {
+    let entry = await this.getAccessibleEntry(id, buyer);
+
+    if (entry.status === WAITLIST_STATUS.OFFERED && await settleOffer(entry)) {
+      entry = await getWaitlistEntryById(id);
+    }
+
+    return await this.describeEntry(entry);
+  }
+
+  /**
+   * Leave a waitlist. Only waiting entries can leave; an outstanding
+   * offer simply lapses if not taken.
+   * @param {string} id - Entry ID
+   * @param {Object} buyer - { buyerKey, user }; must be the buyer who joined
+   * @returns {Promise<Object>}
+   */
+  static async leaveWaitlist(id, buyer) {
+    const entry = await this.getAccessibleEntry(id, buyer);
+
+    if (entry.status === WAITLIST_STATUS.LEFT) {
+      return await this.describeEntry(entry);
+    }
+
+    if (!(await transitionWaitlistEntry(id, WAITLIST_STATUS.WAITING, { status: WAITLIST_STATUS.LEFT }))) {
+      throw createApiError(httpStatus.CONFLICT, 'Only waiting entries can leave the waitlist');
+    }
+
+    logger.info(`[WAITLIST_LEFT] Entry: ${id}, Event: ${entry.eventId}`);
+
+    // The buyer behind may fit the seats set aside, or the queue is now empty
+    await this.processEvent(entry.eventId);
+
+    return await this.describeEntry(await getWaitlistEntryById(id));
+  }
+
+  /**
+   * Shape an entry for responses. The buyer key is left out: for
+   * anonymous buyers it is all that identifies them.
+   * @param {Object} entry - Waitlist entry with its hold
+   * @returns {Promise<Object>}
+   */
+  static async describeEntry(entry) {
+    const { hold, buyerKey, ...fields } = entry;
+    return {
+      ...fields,
+      position: entry.status === WAITLIST_STATUS.WAITING ? await getWaitlistPosition(entry) : null,
+      offer: hold && entry.status === WAITLIST_STATUS.OFFERED
+        ? { holdId: hold.id, accessKey: hold.accessKey, quantity: hold.quantity, expiresAt: hold.expiresAt }
+        : null
+    };
+  }
+
+  /**
+   * Settle finished offers and offer seats to the head of the queue,
+   * strictly in order: if the next buyer wants more seats than are set
+   * aside and free, nobody behind them is served. Seats set aside for an
+   * empty queue go back on general sale.
+   * @param {string} eventId - Event ID
+   * @returns {Promise<number>} Number of offers made
+   */
+  static async processEvent(eventId) {
+    if (runs.has(eventId)) {
+      rerun.add(eventId);
+      return await runs.get(eventId);
+    }
+
+    const run = (async () => {
+      let offered = 0;
+      do {
+        rerun.delete(eventId);
+        offered += await this.offerSeats(eventId);
+      } while (rerun.has(eventId));
+      return offered;
+    })();
+
+    runs.set(eventId, run);
+    try {
+      return await run;
+    } finally {
+      runs.delete(eventId);
+    }
+  }
+
+  /**
+   * One pass over an event's queue
+   * @param {string} eventId - Event ID
+   * @returns {Promise<number>} Number of offers made
+   */
+  static async offerSeats(eventId) {
+    for (const entry of await getOfferedEntries(eventId)) {
+      await settleOffer(entry);
+    }
+
+    let offered = 0;
+    for (;;) {
+      const head = await getWaitlistHead(eventId);
+      if (!head) {
+        await this.returnReservedSeats(eventId);
+        break;
+      }
+
+      // Released seats were set aside for the queue; free seats on general
+      // sale can serve it too
+      const cacheEntry = await SeatCacheService.getEntry(eventId);
+      const waitlistSeats = await getWaitlistSeats(eventId);
+      if (!cacheEntry || !isEventOpen(cacheEntry) ||
+          head.quantity > waitlistSeats + cacheEntry.totalSeats - cacheEntry.seatsSold) {
+        break;
+      }
+
+      let hold;
+      try {
+        ({ hold } = await HoldService.createHold({
+          eventId,
+          quantity: head.quantity,
+          idempotencyKey: `waitlist:${head.id}`,
+          buyerKey: head.buyerKey,
+          ttlSeconds: config.waitlist.offerTtlSeconds,
+          waitlistSeats: Math.min(waitlistSeats, head.quantity)
+        }));
+      } catch (error) {
+        // The buyer has since bought up to their cap; skip them
+        if (error.errorCode === 'PURCHASE_LIMIT_EXCEEDED') {
+          await transitionWaitlistEntry(head.id, WAITLIST_STATUS.WAITING, { status: WAITLIST_STATUS.LAPSED });
+          continue;
+        }
+        // Lost the seats to a concurrent purchase; wait for the next release
+        if (error.statusCode === httpStatus.CONFLICT) {
+          break;
+        }
+        throw error;
+      }
+
+      const didOffer = await transitionWaitlistEntry(head.id, WAITLIST_STATUS.WAITING, {
+        status: WAITLIST_STATUS.OFFERED,
+        holdId: hold.id,
+        offeredAt: new Date()
+      });
+
+      if (didOffer) {
+        offered++;
+        logger.info(`[WAITLIST_OFFERED] Entry: ${head.id}, Event: ${eventId}, Hold: ${hold.id}, Expires: ${hold.expiresAt.toISOString()}`);
+      }
+    }
+
+    return offered;
+  }
+
+  /**
+   * Put seats set aside for an event's queue back on general sale once
+   * nobody is waiting
+   * @param {string} eventId - Event ID
+   * @returns {Promise<void>}
+   */
+  static async returnReservedSeats(eventId) {
+    const returned = await returnWaitlistSeats(eventId);
+    if (returned > 0) {
+      SeatCacheService.release(eventId, returned);
+      logger.info(`[WAITLIST_SEATS_RETURNED] Event: ${eventId}, Seats: ${returned}`);
+    }
+  }
+
+  /**
+   * Listen for released seats and periodically re-check every waitlist,
+   * which also picks up capacity added while nobody was buying
+   */
+  static start() {
+    if (sweeperInterval) {
+      return;
+    }
+
+    seatEvents.on(SEAT_EVENTS.RELEASED, onSeatsReleased);
+    sweeperInterval = setInterval(async () => {
+      try {
+        for (const eventId of await getEventIdsWithWaitlist()) {
+          await this.processEvent(eventId);
+        }
+      } catch (error) {
+        logger.error('[WAITLIST_SWEEPER] Sweep failed:', error);
+      }
+    }, config.waitlist.sweepIntervalMs);
+    sweeperInterval.unref();
+  }
+
+  /**
+   * Stop listening and sweeping
+   */
+  static stop() {
+    if (sweeperInterval) {
+      clearInterval(sweeperInterval);
+      sweeperInterval = null;
+      seatEvents.off(SEAT_EVENTS.RELEASED, onSeatsReleased);
+    }
+  }
+}
+
+module.exports = WaitlistService;
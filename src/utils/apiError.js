@@ -29,6 +29,20 @@ function isOperationalError(error) {
   return error.isOperational === true;
 }
 
+/**
+ * Create an API error carrying a machine-readable error code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} errorCode - Error code returned to clients, e.g. PURCHASE_LIMIT_EXCEEDED
+ * @param {string} message - Error message
+ * @returns {Error} Custom error object
+ */
+function createCodedError(statusCode, errorCode, message) {
+  const error = createApiError(statusCode, message);
+  error.errorCode = errorCode;
+  Error.captureStackTrace(error, createCodedError);
+  return error;
+}
+
 /**
  * Create a bad request error (400)
  * @param {string} message - Error message
@@ -68,6 +82,7 @@ function createInternalServerError(message) {
 module.exports = {
   createApiError,
   isOperationalError,
+  createCodedError,
   createBadRequestError,
   createNotFoundError,
   createConflictError,
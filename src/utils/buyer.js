@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+/**
+ * Work out who is buying, for per-buyer purchase limits.
+ * Signed-in users are identified by their account; anonymous buyers by
+ * the X-Buyer-Id header or an email in the request body.
+ * @param {Object} req - Express request
+ * @returns {string|null} Buyer key, or null when the buyer is unknown
+ */
+function resolveBuyerKey(req) {
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+
+  const buyerId = req.headers['x-buyer-id'] || (req.body && req.body.email);
+  if (typeof buyerId === 'string' && buyerId.trim()) {
+    return `buyer:${buyerId.trim().toLowerCase()}`;
+  }
+
+  return null;
+}
+
+/**
+ * Get the per-buyer ticket cap for an event
+ * @param {Object} event - Event or seat cache entry
+ * @param {number} defaultLimit - Configured default
+ * @returns {number} Cap, or 0 when unlimited
+ */
+function getBuyerLimit(event, defaultLimit) {
+  if (event.maxTicketsPerBuyer !== null && event.maxTicketsPerBuyer !== undefined) {
+    return event.maxTicketsPerBuyer;
+  }
+  return defaultLimit;
+}
+
+/**
+ * Generate the secret an anonymous buyer uses to manage their purchase.
+ * It is only ever returned in the response that created the purchase.
+ * @returns {string}
+ */
+function generateAccessKey() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Read the purchase access key a request presents
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getAccessKey(req) {
+  const accessKey = req.headers['x-purchase-key'];
+  return typeof accessKey === 'string' && accessKey ? accessKey : null;
+}
+
+/**
+ * Read the hold access key a request presents
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getHoldKey(req) {
+  const accessKey = req.headers['x-hold-key'];
+  return typeof accessKey === 'string' && accessKey ? accessKey : null;
+}
+
+/**
+ * Check an access key against a purchase's or hold's
+ * @param {Object} record - Purchase or hold object
+ * @param {string|null} accessKey - Presented key
+ * @returns {boolean}
+ */
+function accessKeyMatches(record, accessKey) {
+  if (!record.accessKey || !accessKey) {
+    return false;
+  }
+
+  const expected = Buffer.from(record.accessKey);
+  const received = Buffer.from(accessKey);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+  resolveBuyerKey,
+  getBuyerLimit,
+  generateAccessKey,
+  getAccessKey,
+  getHoldKey,
+  accessKeyMatches
+};
@@ -1,143 +1,333 @@
 /**
- * In-memory metrics tracking system
- * Stores API performance and usage statistics
+ * In-memory metrics in the Prometheus text exposition format.
+ *
+ * Counters and histograms carry labels; each label combination is its own
+ * series. Latency is kept in fixed buckets rather than raw samples, so
+ * memory stays flat under load and quantiles are estimated from the
+ * bucket counts the same way Prometheus's histogram_quantile does.
  */
 
-class MetricsStore {
-  constructor() {
-    this.totalRequests = 0;
-    this.successPurchases = 0;
-    this.failedPurchases = 0;
-    this.requestTimes = []; // Store response times for p95 calculation
-    this.maxRequestTimes = 1000; // Keep last 1000 requests for p95
+// Seconds; covers the fast path (single-digit ms) through slow DB writes
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Render a label set, e.g. {method="GET",status="200"}
+ * @param {Object} labels - Label name -> value
+ * @returns {string}
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Render a number the way Prometheus expects
+ * @param {number} value - Sample value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
   }
+  return Number.isFinite(value) ? String(value) : 'NaN';
+};
 
+/**
+ * Find or create the series for a label set
+ * @param {Object} metric - Counter or histogram
+ * @param {Object} labels - Label values; names the metric does not declare are ignored
+ * @param {Function} init - Returns the fields of a new series
+ * @returns {Object} The series
+ */
+const getSeries = (metric, labels, init) => {
+  const key = metric.labelNames.map((name) => labels[name]).join('\u0000');
+  if (!metric.series.has(key)) {
+    const values = {};
+    metric.labelNames.forEach((name) => {
+      values[name] = labels[name];
+    });
+    metric.series.set(key, { labels: values, ...init() });
+  }
+  return metric.series.get(key);
+};
+
+class Counter {
   /**
-   * Increment total requests counter
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names, in order
    */
-  incrementRequests() {
-    this.totalRequests++;
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
   }
 
   /**
-   * Increment successful purchases counter
+   * Add to the series for a label set
+   * @param {Object} labels - Label values
+   * @param {number} amount - Amount to add
    */
-  incrementSuccessPurchases() {
-    this.successPurchases++;
+  inc(labels = {}, amount = 1) {
+    getSeries(this, labels, () => ({ value: 0 })).value += amount;
   }
 
   /**
-   * Increment failed purchases counter
+   * Sum every series, optionally only those matching some labels
+   * @param {Function} [filter] - Predicate on a series' labels
+   * @returns {number}
    */
-  incrementFailedPurchases() {
-    this.failedPurchases++;
+  total(filter = () => true) {
+    let sum = 0;
+    this.series.forEach((series) => {
+      if (filter(series.labels)) {
+        sum += series.value;
+      }
+    });
+    return sum;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    this.series.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    });
+    return lines.join('\n');
   }
 
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Histogram {
   /**
-   * Record request response time
-   * @param {number} responseTime - Response time in milliseconds
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names, in order
+   * @param {Array<number>} buckets - Upper bounds, ascending
    */
-  recordResponseTime(responseTime) {
-    this.requestTimes.push(responseTime);
-    
-    // Keep only the last N requests to prevent memory bloat
-    if (this.requestTimes.length > this.maxRequestTimes) {
-      this.requestTimes.shift();
-    }
+  constructor(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  /**
+   * Record one observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = getSeries(this, labels, () => ({
+      // Per bucket, not cumulative; the last slot is +Inf
+      counts: new Array(this.buckets.length + 1).fill(0),
+      sum: 0,
+      count: 0
+    }));
+    const index = this.buckets.findIndex((bound) => value <= bound);
+    series.counts[index === -1 ? this.buckets.length : index]++;
+    series.sum += value;
+    series.count++;
   }
 
   /**
-   * Calculate 95th percentile latency
-   * @returns {number} p95 latency in milliseconds
+   * Estimate a quantile across every series by interpolating inside the
+   * bucket it falls in. Observations above the last bound report that bound.
+   * @param {number} q - Quantile between 0 and 1
+   * @returns {number} 0 when nothing was observed
    */
-  getP95Latency() {
-    if (this.requestTimes.length === 0) {
+  quantile(q) {
+    const counts = new Array(this.buckets.length + 1).fill(0);
+    let count = 0;
+    this.series.forEach((series) => {
+      series.counts.forEach((n, i) => {
+        counts[i] += n;
+      });
+      count += series.count;
+    });
+
+    if (count === 0) {
       return 0;
     }
 
-    const sorted = [...this.requestTimes].sort((a, b) => a - b);
-    const index = Math.ceil(sorted.length * 0.95) - 1;
-    return sorted[index] || 0;
+    const rank = q * count;
+    let seen = 0;
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (seen + counts[i] >= rank) {
+        const lower = i === 0 ? 0 : this.buckets[i - 1];
+        return lower + (this.buckets[i] - lower) * ((rank - seen) / counts[i]);
+      }
+      seen += counts[i];
+    }
+    return this.buckets[this.buckets.length - 1];
   }
 
-  /**
-   * Get all metrics
-   * @returns {Object} Complete metrics object
-   */
-  getMetrics() {
-    return {
-      totalRequests: this.totalRequests,
-      successPurchases: this.successPurchases,
-      failedPurchases: this.failedPurchases,
-      p95Latency: this.getP95Latency()
-    };
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += counts[i];
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines.join('\n');
   }
 
-  /**
-   * Reset all metrics (useful for testing)
-   */
   reset() {
-    this.totalRequests = 0;
-    this.successPurchases = 0;
-    this.failedPurchases = 0;
-    this.requestTimes = [];
+    this.series.clear();
   }
 }
 
-// Singleton instance
-const metricsStore = new MetricsStore();
+const httpRequests = new Counter(
+  'http_requests_total',
+  'HTTP requests by method, route and status',
+  ['method', 'route', 'status']
+);
+
+const httpDuration = new Histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency by method and route',
+  ['method', 'route']
+);
+
+const purchaseOutcomes = new Counter(
+  'ticket_purchase_attempts_total',
+  'Purchase attempts by event and outcome (success, or the error code in lower case)',
+  ['event_id', 'outcome']
+);
+
+const persistenceErrors = new Counter(
+  'db_persistence_errors_total',
+  'Failed database writes by operation',
+  ['operation']
+);
+
+const registry = [httpRequests, httpDuration, purchaseOutcomes, persistenceErrors];
 
 /**
- * Middleware to track request metrics
+ * Middleware to count requests and time them. The route label is the
+ * matched route pattern, never the raw URL, so IDs do not create series.
  */
 function trackMetrics(req, res, next) {
-  const startTime = Date.now();
-  
-  // Increment total requests
-  metricsStore.incrementRequests();
-  
-  // Track response time when request completes
+  const startTime = process.hrtime.bigint();
+
   res.on('finish', () => {
-    const responseTime = Date.now() - startTime;
-    metricsStore.recordResponseTime(responseTime);
+    const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+    const labels = { method: req.method, route: getRoutePattern(req) };
+
+    httpRequests.inc({ ...labels, status: res.statusCode });
+    httpDuration.observe(labels, seconds);
   });
-  
+
   next();
 }
 
 /**
- * Get current metrics
- * @returns {Object} Current metrics
+ * Router-level middleware that remembers where a router is mounted. An
+ * error handed to next() unwinds req.baseUrl before the response is
+ * sent, so the prefix is kept for the route label.
  */
-function getMetrics() {
-  return metricsStore.getMetrics();
+function recordRouteBase(req, res, next) {
+  req.routeBase = req.baseUrl;
+  next();
+}
+
+/**
+ * Full pattern of the route that handled a request
+ * @param {Object} req - Express request
+ * @returns {string} Route pattern, or 'unmatched'
+ */
+function getRoutePattern(req) {
+  if (!req.route) {
+    return 'unmatched';
+  }
+
+  const base = req.routeBase ?? req.baseUrl;
+  return req.route.path === '/' && base ? base : `${base}${req.route.path}`;
+}
+
+/**
+ * Record how a purchase attempt ended
+ * @param {string} eventId - ID of an existing event, or null when no event
+ * was found. Never pass an unchecked client-sent ID: each one adds a series.
+ * @param {string} outcome - 'success' or an error code such as SOLD_OUT
+ */
+function recordPurchaseOutcome(eventId, outcome) {
+  purchaseOutcomes.inc({ event_id: eventId || 'none', outcome: String(outcome).toLowerCase() });
+}
+
+/**
+ * Record a failed database write
+ * @param {string} operation - What was being written, e.g. purchase_outbox
+ */
+function recordPersistenceError(operation) {
+  persistenceErrors.inc({ operation });
 }
 
 /**
- * Record successful purchase
+ * Get summary metrics for the JSON stats endpoint
+ * @returns {Object} Complete metrics object, latencies in milliseconds
  */
-function recordSuccessPurchase() {
-  metricsStore.incrementSuccessPurchases();
+function getMetrics() {
+  const successPurchases = purchaseOutcomes.total((labels) => labels.outcome === 'success');
+  return {
+    totalRequests: httpRequests.total(),
+    successPurchases,
+    failedPurchases: purchaseOutcomes.total() - successPurchases,
+    p50Latency: httpDuration.quantile(0.5) * 1000,
+    p95Latency: httpDuration.quantile(0.95) * 1000,
+    p99Latency: httpDuration.quantile(0.99) * 1000
+  };
 }
 
 /**
- * Record failed purchase
+ * Render every metric in the Prometheus text format
+ * @param {Array<Object>} gauges - Point-in-time values read at scrape
+ *   time: { name, help, samples: [{ labels, value }] }
+ * @returns {string}
  */
-function recordFailedPurchase() {
-  metricsStore.incrementFailedPurchases();
+function renderMetrics(gauges = []) {
+  const blocks = registry.map((metric) => metric.render());
+
+  gauges.forEach(({ name, help, samples }) => {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+    samples.forEach(({ labels = {}, value }) => {
+      lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+    });
+    blocks.push(lines.join('\n'));
+  });
+
+  return `${blocks.join('\n')}\n`;
 }
 
 /**
  * Reset metrics (for testing)
  */
 function resetMetrics() {
-  metricsStore.reset();
+  registry.forEach((metric) => metric.reset());
 }
 
 module.exports = {
   trackMetrics,
+  recordRouteBase,
   getMetrics,
-  recordSuccessPurchase,
-  recordFailedPurchase,
+  recordPurchaseOutcome,
+  recordPersistenceError,
+  renderMetrics,
   resetMetrics
-}; 
\ No newline at end of file
+};
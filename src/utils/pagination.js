@@ -0,0 +1,123 @@
+const { createApiError } = require('./apiError');
+const httpStatus = require('http-status');
+
+/**
+ * Keyset (cursor) pagination for list endpoints.
+ *
+ * Rows are ordered by the sort field with the id as a tie-breaker. The
+ * cursor is the last row's sort value and id, so a page is everything
+ * after that pair. Unlike offsets, rows inserted while a client pages
+ * through cannot shift or repeat the pages that follow.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Value type of each sortable field, so a cursor carrying anything else
+// is refused instead of reaching the database
+const SORT_FIELD_TYPES = {
+  createdAt: 'date',
+  name: 'string',
+  totalSeats: 'number',
+  quantity: 'number'
+};
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {Object} row - Last row of a page
+ * @param {string} sortBy - Sort field
+ * @returns {string}
+ */
+const encodeCursor = (row, sortBy) => {
+  const value = row[sortBy] instanceof Date ? row[sortBy].toISOString() : row[sortBy];
+  return Buffer.from(JSON.stringify({ s: sortBy, v: value, id: row.id })).toString('base64url');
+};
+
+/**
+ * Decode a cursor from a client. A cursor only continues the sort it
+ * was issued for.
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sortBy - Sort field of the requested page
+ * @param {string} fieldType - 'date', 'string' or 'number'
+ * @returns {Object} { value, id }
+ */
+const decodeCursor = (cursor, sortBy, fieldType) => {
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const isDate = fieldType === 'date';
+    // Dates travel as ISO strings
+    if (s !== sortBy || typeof id !== 'string' || typeof v !== (isDate ? 'string' : fieldType)) {
+      throw new Error('Malformed cursor');
+    }
+    const value = isDate ? new Date(v) : v;
+    if ((isDate && Number.isNaN(value.getTime())) || (fieldType === 'number' && !Number.isFinite(value))) {
+      throw new Error('Malformed cursor');
+    }
+    return { value, id };
+  } catch (error) {
+    throw createApiError(httpStatus.BAD_REQUEST, 'Invalid pagination cursor');
+  }
+};
+
+/**
+ * Build the Prisma query arguments for one page
+ * @param {Object} where - Filters
+ * @param {Object} page - { limit, cursor, sortBy, order }
+ * @param {Object} fieldTypes - Value type of each sortable field
+ * @returns {Object} { where, orderBy, take }
+ */
+const pageQuery = (where, { limit = DEFAULT_LIMIT, cursor, sortBy = 'createdAt', order = 'desc' }, fieldTypes = SORT_FIELD_TYPES) => {
+  const query = {
+    where,
+    orderBy: [
+      { [sortBy]: order },
+      { id: order }
+    ],
+    // One extra row tells whether another page follows
+    take: limit + 1
+  };
+
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor, sortBy, fieldTypes[sortBy]);
+    const after = order === 'desc' ? 'lt' : 'gt';
+    query.where = {
+      AND: [
+        where,
+        {
+          OR: [
+            { [sortBy]: { [after]: value } },
+            { [sortBy]: value, id: { [after]: id } }
+          ]
+        }
+      ]
+    };
+  }
+
+  return query;
+};
+
+/**
+ * Trim the extra row off a page and describe where the next one starts
+ * @param {Array} rows - Rows fetched with pageQuery
+ * @param {Object} page - { limit, sortBy }
+ * @returns {Object} { data, pagination: { limit, hasMore, nextCursor } }
+ */
+const toPage = (rows, { limit = DEFAULT_LIMIT, sortBy = 'createdAt' }) => {
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    data,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1], sortBy) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  pageQuery,
+  toPage
+};
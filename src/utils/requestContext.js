@@ -0,0 +1,52 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context that follows a request through every await,
+ * timer and callback it starts, so code far from the controller (and the
+ * logger) can tell which request it is working for.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a request context
+ * @param {Object} context - { requestId, ... }
+ * @param {Function} fn - Function to run
+ * @returns {*} What fn returns
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Run a function outside any request context, e.g. background work that
+ * a request merely triggered and that serves many requests at once
+ * @param {Function} fn - Function to run
+ * @returns {*} What fn returns
+ */
+function runWithoutContext(fn) {
+  return storage.exit(fn);
+}
+
+/**
+ * Get the current request context
+ * @returns {Object|undefined}
+ */
+function getContext() {
+  return storage.getStore();
+}
+
+/**
+ * Get the current request's id
+ * @returns {string|null}
+ */
+function getRequestId() {
+  const context = storage.getStore();
+  return context ? context.requestId : null;
+}
+
+module.exports = {
+  runWithContext,
+  runWithoutContext,
+  getContext,
+  getRequestId
+};
@@ -0,0 +1,20 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process notifications about seat inventory
+ */
+const SEAT_EVENTS = {
+  // { eventId, quantity } - seats went back on sale (cancellation, expired
+  // hold, failed payment, or a capacity increase)
+  RELEASED: 'seatsReleased',
+  // { eventId } - the seat counter moved in either direction; fires on
+  // every reservation, so listeners must be cheap
+  CHANGED: 'seatsChanged'
+};
+
+const seatEvents = new EventEmitter();
+
+module.exports = {
+  seatEvents,
+  SEAT_EVENTS
+};
@@ -1,15 +1,282 @@
 const { z } = require('zod');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('./pagination');
 
 /**
  * Validation schema for purchase request
  */
 const purchaseSchema = z.object({
+  eventId: z.string()
+    .min(1, 'Event ID cannot be empty')
+    .optional(),
+  email: z.string()
+    .email('Email must be valid')
+    .optional(),
   quantity: z.number()
     .int('Quantity must be an integer')
     .min(1, 'Quantity must be at least 1')
     .max(10, 'Quantity cannot exceed 10')
 });
 
+/**
+ * Validation schema for seat hold request
+ */
+const holdSchema = z.object({
+  eventId: z.string()
+    .min(1, 'Event ID is required'),
+  email: z.string()
+    .email('Email must be valid')
+    .optional(),
+  quantity: z.number()
+    .int('Quantity must be an integer')
+    .min(1, 'Quantity must be at least 1')
+    .max(10, 'Quantity cannot exceed 10')
+});
+
+/**
+ * Validation schema for joining a waitlist
+ */
+const waitlistSchema = z.object({
+  email: z.string()
+    .email('Email must be valid')
+    .optional(),
+  quantity: z.number()
+    .int('Quantity must be an integer')
+    .min(1, 'Quantity must be at least 1')
+    .max(10, 'Quantity cannot exceed 10')
+});
+
+/**
+ * Validation schemas for authentication requests
+ */
+const registerSchema = z.object({
+  email: z.string()
+    .email('Email must be valid'),
+  password: z.string()
+    .min(8, 'Password must be at least 8 characters')
+    .max(128, 'Password cannot exceed 128 characters'),
+  name: z.string()
+    .max(100, 'Name cannot exceed 100 characters')
+    .optional()
+});
+
+const loginSchema = z.object({
+  email: z.string()
+    .email('Email must be valid'),
+  password: z.string()
+    .min(1, 'Password is required')
+});
+
+const refreshTokenSchema = z.object({
+  refreshToken: z.string()
+    .min(1, 'Refresh token is required')
+});
+
+/**
+ * Validation schema for an event seat map
+ */
+const seatMapSchema = z.object({
+  sections: z.array(z.object({
+    name: z.string()
+      .min(1, 'Section name is required'),
+    rows: z.array(z.object({
+      label: z.string()
+        .min(1, 'Row label is required'),
+      seats: z.number()
+        .int('Seats per row must be an integer')
+        .min(1, 'A row needs at least 1 seat')
+        .max(500, 'A row cannot have more than 500 seats')
+    })).min(1, 'A section needs at least 1 row')
+  })).min(1, 'A seat map needs at least 1 section')
+});
+
+/**
+ * Validation schema for waiting room settings
+ */
+const queueSettingsSchema = z.object({
+  admissionRate: z.number()
+    .int('Admission rate must be an integer')
+    .min(0, 'Admission rate cannot be negative')
+    .nullable()
+});
+
+/**
+ * Validation schema for an event status change
+ */
+const eventStatusSchema = z.object({
+  status: z.enum(['DRAFT', 'ON_SALE', 'PAUSED', 'SOLD_OUT', 'CANCELLED', 'COMPLETED'])
+});
+
+/**
+ * Validation schema for an event's transfer setting
+ */
+const transferSettingsSchema = z.object({
+  enabled: z.boolean()
+});
+
+/**
+ * Validation schema for a ticket tier
+ */
+const tierSchema = z.object({
+  name: z.string()
+    .min(1, 'Tier name is required')
+    .max(100, 'Tier name cannot exceed 100 characters'),
+  price: z.number()
+    .int('Price must be an integer amount in minor units (e.g. cents)')
+    .min(0, 'Price cannot be negative'),
+  currency: z.string()
+    .length(3, 'Currency must be a 3-letter ISO code')
+    .optional(),
+  capacity: z.number()
+    .int('Capacity must be an integer')
+    .min(1, 'Capacity must be at least 1'),
+  saleStartsAt: z.string()
+    .datetime('Sale start must be an ISO date-time')
+    .optional(),
+  saleEndsAt: z.string()
+    .datetime('Sale end must be an ISO date-time')
+    .optional()
+});
+
+/**
+ * Validation schema for a promo code
+ */
+const promoCodeSchema = z.object({
+  code: z.string()
+    .min(3, 'Code must be at least 3 characters')
+    .max(32, 'Code cannot exceed 32 characters')
+    .regex(/^[A-Za-z0-9_-]+$/, 'Code can only contain letters, numbers, dashes and underscores'),
+  discountType: z.enum(['PERCENTAGE', 'FIXED']),
+  discountValue: z.number()
+    .int('Discount must be an integer (percent, or minor units for FIXED)')
+    .min(1, 'Discount must be at least 1'),
+  maxRedemptions: z.number()
+    .int('Max redemptions must be an integer')
+    .min(1, 'Max redemptions must be at least 1')
+    .optional(),
+  singleUsePerBuyer: z.boolean()
+    .optional(),
+  validFrom: z.string()
+    .datetime('Valid from must be an ISO date-time')
+    .optional(),
+  validUntil: z.string()
+    .datetime('Valid until must be an ISO date-time')
+    .optional(),
+  tierIds: z.array(z.string().min(1))
+    .optional()
+});
+
+/**
+ * Validation schema for a ticket transfer; the recipient is given by
+ * email or, for existing accounts, user ID
+ */
+const transferSchema = z.object({
+  ticketIds: z.array(z.string().min(1))
+    .min(1, 'At least one ticket is required')
+    .max(10, 'Cannot transfer more than 10 tickets at once'),
+  email: z.string()
+    .email('Email must be valid')
+    .optional(),
+  userId: z.string()
+    .min(1, 'User ID cannot be empty')
+    .optional()
+}).refine((data) => Boolean(data.email) !== Boolean(data.userId), 'Send either email or userId');
+
+/**
+ * Validation schema for a door check-in scan
+ */
+const checkInSchema = z.object({
+  code: z.string()
+    .min(1, 'Ticket code is required')
+    .max(128, 'Ticket code too long')
+});
+
+/**
+ * Validation schema for scans uploaded by an offline door scanner
+ */
+const checkInSyncSchema = z.object({
+  deviceId: z.string()
+    .min(1, 'Device ID is required')
+    .max(100, 'Device ID cannot exceed 100 characters'),
+  scans: z.array(z.object({
+    code: z.string()
+      .min(1, 'Ticket code is required')
+      .max(128, 'Ticket code too long'),
+    scannedAt: z.string()
+      .datetime('Scanned at must be an ISO date-time')
+  }))
+    .min(1, 'At least one scan is required')
+    .max(500, 'Cannot upload more than 500 scans at once')
+});
+
+/**
+ * Query fields shared by every paginated list
+ */
+const pageFields = {
+  limit: z.coerce.number()
+    .int('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(MAX_LIMIT, `Limit cannot exceed ${MAX_LIMIT}`)
+    .default(DEFAULT_LIMIT),
+  cursor: z.string()
+    .min(1, 'Cursor cannot be empty')
+    .max(512, 'Cursor too long')
+    .optional(),
+  order: z.enum(['asc', 'desc']).default('desc'),
+  search: z.string()
+    .trim()
+    .min(1, 'Search cannot be empty')
+    .max(100, 'Search too long')
+    .optional(),
+  from: z.coerce.date({ errorMap: () => ({ message: 'From must be a valid date' }) }).optional(),
+  to: z.coerce.date({ errorMap: () => ({ message: 'To must be a valid date' }) }).optional()
+};
+
+const dateRangeIsOrdered = (query) => !query.from || !query.to || query.from <= query.to;
+
+/**
+ * Validation schema for listing events. from/to filter on the event's start time.
+ */
+const eventListQuerySchema = z.object({
+  ...pageFields,
+  sortBy: z.enum(['createdAt', 'name', 'totalSeats']).default('createdAt'),
+  status: z.enum(['DRAFT', 'ON_SALE', 'PAUSED', 'SOLD_OUT', 'CANCELLED', 'COMPLETED']).optional()
+}).refine(dateRangeIsOrdered, 'From must not be after to');
+
+/**
+ * Validation schema for listing purchases. from/to filter on when the
+ * purchase was made and search matches the event name.
+ */
+const purchaseListQuerySchema = z.object({
+  ...pageFields,
+  sortBy: z.enum(['createdAt', 'quantity']).default('createdAt'),
+  eventId: z.string()
+    .min(1, 'Event ID cannot be empty')
+    .optional(),
+  status: z.enum(['CONFIRMED', 'CANCELLED']).optional(),
+  paymentStatus: z.enum(['PENDING', 'PAID', 'FAILED', 'REFUND_PENDING', 'REFUNDED']).optional(),
+  wasSuccessful: z.enum(['true', 'false'])
+    .transform((value) => value === 'true')
+    .optional()
+}).refine(dateRangeIsOrdered, 'From must not be after to');
+
+/**
+ * Validation schema for an event sales report. from/to bound when purchases were made.
+ */
+const salesReportQuerySchema = z.object({
+  bucket: z.enum(['hour', 'day']).default('day'),
+  from: pageFields.from,
+  to: pageFields.to
+}).refine(dateRangeIsOrdered, 'From must not be after to');
+
+/**
+ * Validation schema for an event purchase export
+ */
+const purchaseExportQuerySchema = z.object({
+  format: z.enum(['csv', 'json']).default('csv'),
+  from: pageFields.from,
+  to: pageFields.to
+}).refine(dateRangeIsOrdered, 'From must not be after to');
+
 const idempotencyKeySchema = z.string()
   .min(1, 'Idempotency-Key header is required')
   .max(255, 'Idempotency-Key header too long');
@@ -68,6 +335,26 @@ function validateBody(schema) {
   };
 }
 
+/**
+ * Middleware to validate the query string against schema
+ * @param {Object} schema - Zod schema to validate against
+ * @returns {Function} Express middleware function
+ */
+function validateQuery(schema) {
+  return (req, res, next) => {
+    try {
+      req.query = schema.parse(req.query);
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: error.errors.map(e => e.message).join(', ')
+      });
+    }
+  };
+}
+
 /**
  * Middleware to validate idempotency key header
  * @returns {Function} Express middleware function
@@ -100,9 +387,28 @@ function validateIdempotencyHeader() {
 
 module.exports = {
   purchaseSchema,
+  holdSchema,
+  waitlistSchema,
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  seatMapSchema,
+  queueSettingsSchema,
+  eventStatusSchema,
+  transferSettingsSchema,
+  tierSchema,
+  promoCodeSchema,
+  transferSchema,
+  checkInSchema,
+  checkInSyncSchema,
+  eventListQuerySchema,
+  purchaseListQuerySchema,
+  salesReportQuerySchema,
+  purchaseExportQuerySchema,
   idempotencyKeySchema,
   validatePurchaseRequest,
   validateIdempotencyKey,
   validateBody,
+  validateQuery,
   validateIdempotencyHeader
 }; 
\ No newline at end of file
@@ -0,0 +1,171 @@
+const http = require('node:http');
+const path = require('node:path');
+const os = require('node:os');
+const { spawn } = require('node:child_process');
+const { randomUUID } = require('node:crypto');
+
+// Runs several API processes against one database with the database
+// coordination backend and checks they never oversell between them.
+// Needs a seeded database: npm run db:reset
+const WORKERS = Number(process.env.WORKERS) || 3;
+const BASE_PORT = Number(process.env.BASE_PORT) || 3100;
+const USERS = Number(process.env.USERS) || 1000;
+// Keys sent to two different workers at once
+const DUPLICATES = 100;
+
+const workers = [];
+let sold = 0;
+let statusCodes = {};
+
+const request = (port, method, urlPath, { headers = {}, body } = {}) => new Promise((resolve, reject) => {
+  const req = http.request({
+    hostname: 'localhost',
+    port,
+    path: urlPath,
+    method,
+    headers: {
+      'content-type': 'application/json',
+      ...headers,
+    },
+  }, (res) => {
+    let data = '';
+    res.on('data', chunk => data += chunk);
+    res.on('end', () => {
+      let json = null;
+      try {
+        json = JSON.parse(data);
+      } catch (error) {
+        // Not JSON; the status code is enough
+      }
+      resolve({ statusCode: res.statusCode, body: json });
+    });
+  });
+  req.on('error', reject);
+  if (body) {
+    req.write(JSON.stringify(body));
+  }
+  req.end();
+});
+
+const startWorker = (index) => {
+  const port = BASE_PORT + index;
+  const child = spawn(process.execPath, [path.join(__dirname, 'index.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      COORDINATION_BACKEND: 'database',
+      // Each process keeps its own outbox log
+      OUTBOX_PATH: path.join(os.tmpdir(), `purchase-outbox-worker-${index}.log`),
+      LOG_LEVEL: process.env.LOG_LEVEL || 'warn',
+    },
+    stdio: ['ignore', 'inherit', 'inherit'],
+  });
+  workers.push({ port, child });
+};
+
+const waitUntilReady = async (port, timeoutMs = 30000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      const { statusCode } = await request(port, 'GET', '/health/ready');
+      if (statusCode === 200) {
+        return;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`Worker on port ${port} did not become ready`);
+};
+
+const purchase = async (port, idempotencyKey) => {
+  const res = await request(port, 'POST', '/api/v1/purchase', {
+    headers: { 'Idempotency-Key': idempotencyKey },
+    body: { quantity: 1 },
+  });
+  statusCodes[res.statusCode] = (statusCodes[res.statusCode] || 0) + 1;
+  return res;
+};
+
+const outcomeOf = ({ statusCode, body }) => JSON.stringify({
+  statusCode,
+  success: body && body.success,
+  error: body && body.error,
+  seatsRemaining: body && body.seatsRemaining,
+});
+
+const stopWorkers = () => Promise.all(workers.map(({ child }) => new Promise((resolve) => {
+  if (child.exitCode !== null) {
+    resolve();
+    return;
+  }
+  child.once('exit', resolve);
+  child.kill('SIGTERM');
+})));
+
+async function runTest() {
+  console.log(`🚀 Starting ${WORKERS} workers on ports ${BASE_PORT}-${BASE_PORT + WORKERS - 1}...`);
+  for (let i = 0; i < WORKERS; i++) {
+    startWorker(i);
+  }
+  await Promise.all(workers.map(({ port }) => waitUntilReady(port)));
+
+  const before = await request(BASE_PORT, 'GET', '/api/v1/event');
+  const { eventId, totalSeats, seatsSold: soldBefore } = before.body;
+  console.log(`🎫 Event ${eventId}: ${soldBefore}/${totalSeats} seats sold before the test`);
+  console.log(`🎫 Sending ${USERS} purchases round-robin, ${DUPLICATES} of them to two workers at once...`);
+
+  const startTime = Date.now();
+  let mismatched = 0;
+
+  await Promise.all(Array.from({ length: USERS }, async (_, i) => {
+    const idempotencyKey = randomUUID();
+    const port = workers[i % WORKERS].port;
+
+    if (i < DUPLICATES) {
+      const otherPort = workers[(i + 1) % WORKERS].port;
+      const [first, second] = await Promise.all([
+        purchase(port, idempotencyKey),
+        purchase(otherPort, idempotencyKey),
+      ]);
+      if (outcomeOf(first) !== outcomeOf(second)) {
+        mismatched += 1;
+      }
+      if (first.statusCode === 200) {
+        sold += 1;
+      }
+      return;
+    }
+
+    const res = await purchase(port, idempotencyKey);
+    if (res.statusCode === 200) {
+      sold += 1;
+    }
+  }));
+
+  const duration = Date.now() - startTime;
+  const available = totalSeats - soldBefore;
+
+  console.log(`\n📊 Results:`);
+  console.log(`Sold seats: ${sold} (${available} were available)`);
+  console.log(`Duplicate keys with different responses: ${mismatched}/${DUPLICATES}`);
+  console.log(`Duration: ${duration}ms`);
+  console.log(`\n📈 Status Code Breakdown:`);
+  Object.entries(statusCodes).forEach(([code, count]) => {
+    console.log(`  ${code}: ${count} requests`);
+  });
+
+  await stopWorkers();
+
+  const oversold = sold > available;
+  console.log(oversold ? '\n❌ Oversold' : '\n✅ No overselling');
+  console.log(mismatched > 0 ? '❌ Duplicate keys were not idempotent' : '✅ Duplicate keys got identical responses');
+  process.exitCode = oversold || mismatched > 0 ? 1 : 0;
+}
+
+runTest().catch(async (error) => {
+  console.error(error);
+  await stopWorkers();
+  process.exitCode = 1;
+});
@@ -15,6 +15,8 @@ const makePurchase = () => new Promise((resolve) => {
     headers: {
       'content-type': 'application/json',
       'Idempotency-key': randomUUID(),
+      // Each simulated user is a different buyer, for events with a per-buyer cap
+      'X-Buyer-Id': randomUUID(),
     },
   }, (res) => {
     let data = '';